@@ -3,9 +3,25 @@
  * A production-ready task management application built with vanilla JavaScript
  */
 
-import { loadTasks, saveTasks, saveSettings, loadSettings, isStorageAvailable } from './modules/storage.js';
-import { renderTaskList, updateTaskCounters, updateFilterButtons, updateCharacterCount, showLoading } from './modules/render.js';
-import { validateTaskInput, validateInputRealtime, debounceValidation, sanitizeInput } from './modules/validation.js';
+import { loadTasks, saveTasks, saveSettings, loadSettings, saveHistory, loadHistory, loadMigrationBackup, isStorageAvailable, exportTasks, importTasks, planImport, exportTasksCSV, importTasksCSV, importTasksMarkdown, exportTasksICS, importTasksICS, exportTasksTodoTxt, importTasksTodoTxt, loadLists, saveLists } from './modules/storage.js';
+import { renderTaskList, refreshTaskList, revealTask, updateTaskCounters, updateFilterButtons, updateSortControls, updateCharacterCount, showLoading, renderImportPreview, renderColumnMapping, renderRowErrors, renderPasteArea, renderTaskEditor, renderSubtaskEditor, renderTagBar, renderTagManager, renderListSwitcher, renderListEditor, renderViewTabs, renderViewEditor, renderSelectionBar, renderBulkTagEditor, renderCommandList, renderShortcutHelp, filterTasks } from './modules/render.js';
+import { validateTaskInput, validateInputRealtime, debounceValidation, validateBackupData, validateDueDate, validateListName, validateRecurrence, validateReminder, validateView } from './modules/validation.js';
+import { MigrationError } from './modules/migrations.js';
+import { createTask, createSubtask, createNextOccurrence, getSubtaskProgress, setSubtasksCompleted, setDueDate, setPriority, setTags, setList, setRecurrence, setReminder } from './modules/tasks.js';
+import { extractTags, appendTags, countTags, mergeTags, normalizeTag, normalizeTags } from './modules/tags.js';
+import { parseCSV, guessColumnMapping, getCSVFields } from './modules/csv.js';
+import { tasksToMarkdown } from './modules/markdown.js';
+import { DEFAULT_LIST_ID, ALL_LISTS_ID, createList, ensureTaskLists, getListTasks, getTaskListId } from './modules/lists.js';
+import { getFirstDueDate } from './modules/recurrence.js';
+import { formatDueDate } from './modules/dates.js';
+import { MANUAL_SORT, sortTasks, getDefaultSortOrder, getSortOptions, getPositionBetween, normalizePositions } from './modules/sorting.js';
+import { createHistory, createSnapshot, createCommand, applyCommand } from './modules/history.js';
+import { parseSearchQuery, combineSearches, searchTasks } from './modules/search.js';
+import { createView, normalizeViews, getViewFilter, isViewFilter, findView, moveView } from './modules/views.js';
+import { getKeyBindings, searchCommands } from './modules/commands.js';
+import { runRenderBenchmark } from './modules/benchmark.js';
+import { createTabSync, applyTaskOps, describeConflicts } from './modules/sync.js';
+import { SNOOZE_MINUTES, systemClock, createReminderScheduler, getSnoozedReminder, requestNotificationPermission, showReminderNotification } from './modules/reminders.js';
 
 /**
  * Application state management
@@ -13,14 +29,34 @@ import { validateTaskInput, validateInputRealtime, debounceValidation, sanitizeI
 class TaskFlowApp {
     constructor() {
         this.tasks = [];
+        this.lists = [];
         this.settings = {
             theme: 'light',
             filter: 'all'
         };
         this.currentFilter = 'all';
+        this.currentTag = null;
+        this.searchQuery = null; // Parsed search box query
+        this.currentList = DEFAULT_LIST_ID;
+        this.expandedTasks = new Set(); // Tasks whose subtasks are shown
         this.isInitialized = false;
-        this.history = [];
-        this.historyIndex = -1;
+        this.loadError = null; // Why the saved tasks could not be loaded; nothing is saved while set
+        this.history = createHistory(loadHistory()); // Undo/redo commands, kept for the session
+        this.pendingState = null; // Snapshot of the action in progress
+        this.dragState = null; // Task being dragged to a new place
+        this.inlineEdit = null; // Task whose text is edited in place ({ taskId, value, selection, hasFocus })
+        this.isRendering = false;
+        this.selectedTasks = new Set(); // Tasks selected for bulk actions
+        this.selectionAnchor = null; // Task a Shift-click range starts from
+        this.isSelecting = false; // Selection mode: a tap selects instead of completing
+        this.shownTaskIds = []; // Tasks in the list as shown (filtered and sorted), including rows not rendered
+        this.scrollFrame = null; // Pending redraw of the rows in view
+        this.palette = null; // Open command palette ({ commands, results, activeIndex, returnFocus })
+        
+        // Time source for reminders (replace before init to test with a fake clock)
+        this.clock = systemClock;
+        this.reminders = null;
+        this.sync = null; // Change messages to and from other tabs
         
         // DOM elements cache
         this.elements = {};
@@ -44,13 +80,24 @@ class TaskFlowApp {
             showLoading(true);
 
             // Check storage availability
-            if (!isStorageAvailable()) {
+            if (!(await isStorageAvailable())) {
                 this.showNotification('Storage not available. Data will not be saved.', 'warning');
             }
 
             // Cache DOM elements
             this.cacheElements();
             
+            // Reminders are scheduled as soon as the tasks are loaded
+            this.reminders = createReminderScheduler({
+                onDue: (taskId) => this.handleReminderDue(taskId),
+                clock: this.clock
+            });
+            
+            // Changes from other tabs are applied once the data is loaded
+            this.sync = createTabSync({
+                onMessage: (message) => this.handleSyncMessage(message)
+            });
+            
             // Load data
             await this.loadAppData();
             
@@ -63,6 +110,9 @@ class TaskFlowApp {
             // Initial render
             this.render();
             
+            // Apply a notification action that opened the app
+            this.handleReminderLaunch();
+            
             // Setup keyboard shortcuts
             this.setupKeyboardShortcuts();
             
@@ -91,18 +141,48 @@ class TaskFlowApp {
         this.elements = {
             taskForm: document.getElementById('task-form'),
             taskInput: document.getElementById('task-input'),
+            taskDueDate: document.getElementById('task-due-date'),
+            taskDueTime: document.getElementById('task-due-time'),
+            taskPriority: document.getElementById('task-priority'),
             taskList: document.getElementById('task-list'),
+            taskSearch: document.getElementById('task-search'),
+            selectionBar: document.getElementById('selection-bar'),
+            selectMode: document.getElementById('select-mode'),
+            bulkMove: document.getElementById('bulk-move'),
+            listSelect: document.getElementById('list-select'),
+            newList: document.getElementById('new-list'),
+            renameList: document.getElementById('rename-list'),
+            deleteList: document.getElementById('delete-list'),
             themeToggle: document.getElementById('theme-toggle'),
-            filterButtons: document.querySelectorAll('.filter-btn'),
+            filterSection: document.querySelector('.filter-section'),
+            viewTabs: document.getElementById('view-tabs'),
+            newView: document.getElementById('new-view'),
+            editView: document.getElementById('edit-view'),
+            tagBar: document.getElementById('tag-bar'),
+            manageTags: document.getElementById('manage-tags'),
+            sortBy: document.getElementById('sort-by'),
+            sortOrder: document.getElementById('sort-order'),
             clearCompleted: document.getElementById('clear-completed'),
             selectAll: document.getElementById('select-all'),
+            exportFormat: document.getElementById('export-format'),
+            exportBackup: document.getElementById('export-backup'),
+            importBackup: document.getElementById('import-backup'),
+            importFile: document.getElementById('import-file'),
+            copyMarkdown: document.getElementById('copy-markdown'),
+            pasteMarkdown: document.getElementById('paste-markdown'),
             charCount: document.getElementById('char-count'),
             emptyState: document.getElementById('empty-state'),
             modalOverlay: document.getElementById('modal-overlay'),
             modalTitle: document.getElementById('modal-title'),
             modalMessage: document.getElementById('modal-message'),
+            modalDetails: document.getElementById('modal-details'),
+            modalAlternative: document.getElementById('modal-alternative'),
             modalConfirm: document.getElementById('modal-confirm'),
-            modalCancel: document.getElementById('modal-cancel')
+            modalCancel: document.getElementById('modal-cancel'),
+            reorderStatus: document.getElementById('reorder-status'),
+            commandPalette: document.getElementById('command-palette'),
+            commandInput: document.getElementById('command-input'),
+            commandList: document.getElementById('command-list')
         };
     }
 
@@ -111,17 +191,51 @@ class TaskFlowApp {
      */
     async loadAppData() {
         try {
-            this.tasks = loadTasks();
-            this.settings = loadSettings();
+            this.settings = await loadSettings();
+            this.settings.views = normalizeViews(this.settings.views);
             this.currentFilter = this.settings.filter || 'all';
+            if (isViewFilter(this.currentFilter) && !this.getActiveView()) {
+                this.currentFilter = 'all';
+            }
+            this.tasks = normalizePositions(await loadTasks());
+            this.lists = ensureTaskLists(await loadLists(), this.tasks);
+            this.currentList = this.isKnownList(this.settings.list) ? this.settings.list : DEFAULT_LIST_ID;
+            this.reminders.schedule(this.tasks);
+            this.sync.track(this.tasks);
+            this.sync.trackSettings(this.settings);
             
             console.log(`Loaded ${this.tasks.length} tasks from storage`);
         } catch (error) {
             console.error('Failed to load app data:', error);
             this.tasks = [];
+            this.loadError = error;
+            
+            if (!(error instanceof MigrationError)) {
+                this.showNotification('Could not load your saved tasks. They were left as they are, and changes will not be saved.', 'error');
+                return;
+            }
+            
+            const backup = error.fromVersion ? await loadMigrationBackup(error.fromVersion) : null;
+            if (backup) {
+                this.showNotification(
+                    `${error.message}. Your saved tasks were left as they are, and changes will not be saved. Download the backup to import it later.`,
+                    'error',
+                    { action: { label: 'Download backup', onClick: () => this.downloadMigrationBackup(backup) } }
+                );
+            } else {
+                this.showNotification(`${error.message}. Your saved tasks were left as they are, and changes will not be saved.`, 'error');
+            }
         }
     }
 
+    /**
+     * Download the copy of the stored data taken before a failed upgrade
+     * @param {Object} backup - Backup from loadMigrationBackup
+     */
+    downloadMigrationBackup(backup) {
+        this.downloadFile(`taskflow-backup-${backup.version}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    }
+
     /**
      * Setup all event listeners
      */
@@ -134,15 +248,55 @@ class TaskFlowApp {
         this.addEventHandler(this.elements.taskInput, 'input', debouncedValidation);
         this.addEventHandler(this.elements.taskInput, 'input', (e) => this.updateCharCount(e));
         
+        // Search as you type
+        const debouncedSearch = debounceValidation((e) => this.setSearch(e.target.value), 150);
+        this.addEventHandler(this.elements.taskSearch, 'input', debouncedSearch);
+        this.addEventHandler(this.elements.taskSearch, 'keydown', (e) => this.handleSearchKeydown(e));
+        
         // Task list interactions (using event delegation)
         this.addEventHandler(this.elements.taskList, 'click', (e) => this.handleTaskListClick(e));
         this.addEventHandler(this.elements.taskList, 'change', (e) => this.handleTaskListChange(e));
+        this.addEventHandler(this.elements.taskList, 'submit', (e) => this.handleSubtaskSubmit(e));
+        this.addEventHandler(this.elements.taskList, 'keydown', (e) => this.handleTaskListKeydown(e));
+        
+        // Selection and bulk actions
+        this.addEventHandler(this.elements.selectMode, 'click', () => this.toggleSelectionMode());
+        this.addEventHandler(this.elements.selectionBar, 'click', (e) => this.handleSelectionBarClick(e));
+        this.addEventHandler(this.elements.bulkMove, 'change', (e) => this.moveSelectedTasks(e.target.value));
+        
+        // Inline editing of task text
+        this.addEventHandler(this.elements.taskList, 'dblclick', (e) => this.handleTaskListDblClick(e));
+        this.addEventHandler(this.elements.taskList, 'input', (e) => this.handleInlineEditInput(e));
+        this.addEventHandler(this.elements.taskList, 'focusout', (e) => this.handleInlineEditBlur(e));
+        
+        // Drag-and-drop reordering (pointer events cover mouse, touch and pen)
+        this.addEventHandler(this.elements.taskList, 'pointerdown', (e) => this.handleDragStart(e));
+        this.addEventHandler(this.elements.taskList, 'pointermove', (e) => this.handleDragMove(e));
+        this.addEventHandler(this.elements.taskList, 'pointerup', (e) => this.handleDragEnd(e, true));
+        this.addEventHandler(this.elements.taskList, 'pointercancel', (e) => this.handleDragEnd(e, false));
         
-        // Filter buttons
-        this.elements.filterButtons.forEach(btn => {
-            this.addEventHandler(btn, 'click', (e) => this.handleFilterChange(e));
+        // List switcher
+        this.addEventHandler(this.elements.listSelect, 'change', (e) => this.switchList(e.target.value));
+        this.addEventHandler(this.elements.newList, 'click', () => this.showListEditor());
+        this.addEventHandler(this.elements.renameList, 'click', () => this.showListEditor(this.currentList));
+        this.addEventHandler(this.elements.deleteList, 'click', () => this.confirmDeleteList(this.currentList));
+        
+        // Filter buttons and saved view tabs (using event delegation)
+        this.addEventHandler(this.elements.filterSection, 'click', (e) => this.handleFilterChange(e));
+        this.addEventHandler(this.elements.newView, 'click', () => this.showViewEditor());
+        this.addEventHandler(this.elements.editView, 'click', () => {
+            const view = this.getActiveView();
+            if (view) this.showViewEditor(view.id);
         });
         
+        // Tag filter and maintenance
+        this.addEventHandler(this.elements.tagBar, 'click', (e) => this.handleTagBarClick(e));
+        this.addEventHandler(this.elements.manageTags, 'click', () => this.showTagManager());
+        
+        // Sort controls
+        this.addEventHandler(this.elements.sortBy, 'change', (e) => this.setSort(e.target.value, getDefaultSortOrder(e.target.value)));
+        this.addEventHandler(this.elements.sortOrder, 'click', () => this.toggleSortOrder());
+        
         // Theme toggle
         this.addEventHandler(this.elements.themeToggle, 'click', () => this.toggleTheme());
         
@@ -150,18 +304,37 @@ class TaskFlowApp {
         this.addEventHandler(this.elements.clearCompleted, 'click', () => this.clearCompletedTasks());
         this.addEventHandler(this.elements.selectAll, 'click', () => this.toggleAllTasks());
         
+        // Backup and restore
+        this.addEventHandler(this.elements.exportBackup, 'click', () => this.handleExport());
+        this.addEventHandler(this.elements.importBackup, 'click', () => this.elements.importFile.click());
+        this.addEventHandler(this.elements.importFile, 'change', (e) => this.handleImportFile(e));
+        this.addEventHandler(this.elements.copyMarkdown, 'click', () => this.copyMarkdownChecklist());
+        this.addEventHandler(this.elements.pasteMarkdown, 'click', () => this.showMarkdownPaste());
+        
         // Modal interactions
         this.addEventHandler(this.elements.modalCancel, 'click', () => this.hideModal());
         this.addEventHandler(this.elements.modalOverlay, 'click', (e) => {
             if (e.target === this.elements.modalOverlay) this.hideModal();
         });
         
+        // Command palette
+        this.addEventHandler(this.elements.commandInput, 'input', () => this.updateCommandPalette());
+        this.addEventHandler(this.elements.commandInput, 'keydown', (e) => this.handleCommandPaletteKeydown(e));
+        this.addEventHandler(this.elements.commandList, 'click', (e) => this.handleCommandListClick(e));
+        this.addEventHandler(this.elements.commandPalette, 'click', (e) => {
+            if (e.target === this.elements.commandPalette) this.closeCommandPalette();
+        });
+        
         // Window events
         this.addEventHandler(window, 'beforeunload', () => this.cleanup());
         this.addEventHandler(window, 'resize', debounceValidation(() => this.handleResize(), 250));
+        this.addEventHandler(window, 'scroll', () => this.handleScroll());
         
         // Storage events (for multi-tab synchronization)
         this.addEventHandler(window, 'storage', (e) => this.handleStorageChange(e));
+        
+        // Notification actions forwarded by the service worker
+        this.addEventHandler(navigator.serviceWorker, 'message', (e) => this.handleServiceWorkerMessage(e));
     }
 
     /**
@@ -186,18 +359,34 @@ class TaskFlowApp {
         e.preventDefault();
         
         const input = this.elements.taskInput;
-        const validation = validateTaskInput(input.value, this.tasks);
+        const { text, tags } = extractTags(input.value);
+        const listId = this.getTargetListId();
+        const validation = validateTaskInput(text, getListTasks(this.tasks, listId));
         
         if (!validation.isValid) {
             this.showNotification(validation.errors[0].message, 'error');
             return;
         }
         
-        const newTask = this.createTask(validation.cleaned);
+        const dueValidation = validateDueDate(this.elements.taskDueDate.value, this.elements.taskDueTime.value);
+        if (!dueValidation.isValid) {
+            this.showNotification(dueValidation.errors[0].message, 'error');
+            return;
+        }
+        
+        const newTask = this.createTask(validation.cleaned, {
+            ...dueValidation.cleaned,
+            priority: this.elements.taskPriority.value,
+            tags,
+            listId
+        });
         this.addTask(newTask);
         
         // Reset form
         input.value = '';
+        this.elements.taskDueDate.value = '';
+        this.elements.taskDueTime.value = '';
+        this.elements.taskPriority.value = 'none';
         this.updateCharCount({ target: input });
         
         // Focus back to input
@@ -208,7 +397,7 @@ class TaskFlowApp {
      * Handle real-time input validation
      */
     handleInputValidation(e) {
-        validateInputRealtime(e.target, this.tasks);
+        validateInputRealtime(e.target, getListTasks(this.tasks, this.getTargetListId()));
     }
 
     /**
@@ -227,15 +416,57 @@ class TaskFlowApp {
         const taskElement = e.target.closest('.task');
         if (!taskElement) return;
         
-        const taskId = parseInt(taskElement.dataset.id);
+        const taskId = taskElement.dataset.id;
+        const tagChip = e.target.closest('.task-tag');
+        const subtaskElement = e.target.closest('.subtask');
+        
+        // Ctrl/Cmd-click, Shift-click or a tap in selection mode selects the task
+        // (row buttons and subtasks keep working)
+        const isSelectClick = e.ctrlKey || e.metaKey || e.shiftKey || this.isSelecting;
+        if (isSelectClick && !e.target.closest('button, .subtasks, .task-edit-input')) {
+            e.preventDefault();
+            this.selectTask(taskId, { range: e.shiftKey, add: e.ctrlKey || e.metaKey || this.isSelecting });
+            return;
+        }
         
-        if (e.target.classList.contains('delete-btn')) {
+        if (tagChip) {
+            // Keep the click from toggling the surrounding checkbox label
+            e.preventDefault();
+            this.setTagFilter(tagChip.dataset.tag);
+        } else if (subtaskElement) {
+            this.handleSubtaskClick(e, taskId, subtaskElement.dataset.subtaskId);
+        } else if (e.target.closest('.task-text')) {
+            // The text is edited by double-click, so clicking it leaves the checkbox alone
+            e.preventDefault();
+        } else if (e.target.closest('.subtasks-toggle')) {
+            e.preventDefault();
+            this.toggleSubtasks(taskId);
+        } else if (e.target.classList.contains('subtask-btn')) {
+            this.toggleSubtasks(taskId, true);
+        } else if (e.target.classList.contains('delete-btn')) {
             this.confirmDeleteTask(taskId);
         } else if (e.target.classList.contains('edit-btn')) {
             this.editTask(taskId);
         }
     }
 
+    /**
+     * Handle clicks on a subtask's action buttons
+     */
+    handleSubtaskClick(e, taskId, subtaskId) {
+        const { classList } = e.target;
+        
+        if (classList.contains('subtask-delete-btn')) {
+            this.deleteSubtask(taskId, subtaskId);
+        } else if (classList.contains('subtask-edit-btn')) {
+            this.editSubtask(taskId, subtaskId);
+        } else if (classList.contains('subtask-up-btn')) {
+            this.moveSubtask(taskId, subtaskId, -1);
+        } else if (classList.contains('subtask-down-btn')) {
+            this.moveSubtask(taskId, subtaskId, 1);
+        }
+    }
+
     /**
      * Handle task list change events (checkboxes)
      */
@@ -243,56 +474,153 @@ class TaskFlowApp {
         if (e.target.type === 'checkbox') {
             const taskElement = e.target.closest('.task');
             if (taskElement) {
-                const taskId = parseInt(taskElement.dataset.id);
-                this.toggleTask(taskId);
+                const taskId = taskElement.dataset.id;
+                const subtaskElement = e.target.closest('.subtask');
+                
+                if (subtaskElement) {
+                    this.toggleSubtask(taskId, subtaskElement.dataset.subtaskId);
+                } else {
+                    this.toggleTask(taskId);
+                }
             }
         }
     }
 
+    /**
+     * Handle the add-subtask form inside an expanded task
+     */
+    handleSubtaskSubmit(e) {
+        const form = e.target.closest('.subtask-form');
+        const taskElement = form && form.closest('.task');
+        if (!taskElement) return;
+        
+        e.preventDefault();
+        this.addSubtask(taskElement.dataset.id, form.querySelector('.subtask-input').value);
+    }
+
     /**
      * Handle filter button changes
      */
     handleFilterChange(e) {
-        const filter = e.target.getAttribute('data-filter');
-        this.setFilter(filter);
+        const button = e.target.closest('.filter-btn');
+        if (!button) return;
+        
+        this.setFilter(button.getAttribute('data-filter'));
     }
 
     /**
      * Handle window resize
      */
     handleResize() {
-        // Debounced resize handler for responsive adjustments
-        this.render();
+        // Debounced resize handler: rows change height with the width
+        refreshTaskList(this.elements.taskList, true);
+    }
+
+    /**
+     * Render the rows scrolled into view, at most once per frame
+     */
+    handleScroll() {
+        if (this.scrollFrame !== null) return;
+        
+        this.scrollFrame = requestAnimationFrame(() => {
+            this.scrollFrame = null;
+            refreshTaskList(this.elements.taskList);
+        });
     }
 
     /**
-     * Handle storage changes (multi-tab sync)
+     * Handle storage changes (multi-tab sync where BroadcastChannel is missing)
      */
     handleStorageChange(e) {
-        if (e.key === 'taskflow_tasks') {
-            console.log('Tasks updated in another tab, reloading...');
-            this.loadAppData().then(() => this.render());
+        this.sync.handleStorageEvent(e);
+    }
+
+    /**
+     * Apply a change message from another tab
+     * @param {Object} message - { type: 'tasks', ops }, { type: 'lists', lists } or { type: 'settings', settings }
+     */
+    handleSyncMessage(message) {
+        if (!this.isInitialized || this.loadError) return;
+        
+        if (message.type === 'tasks' && Array.isArray(message.ops)) {
+            this.applyRemoteTasks(message.ops);
+        } else if (message.type === 'lists' && Array.isArray(message.lists)) {
+            this.applyRemoteLists(message.lists);
+        } else if (message.type === 'settings' && message.settings) {
+            this.applyRemoteSettings(message.settings);
+        }
+    }
+
+    /**
+     * Merge task changes from another tab into the tasks in memory
+     * Both tabs end up with the same tasks, so this tab saves them too: a
+     * save from either tab may have overwritten the other's changes.
+     * @param {Array} ops - Task operations
+     */
+    applyRemoteTasks(ops) {
+        const { tasks, conflicts, kept } = applyTaskOps(this.tasks, ops);
+        
+        this.tasks = normalizePositions(tasks);
+        
+        // Tasks kept against a delete there go back to the other tabs as new
+        this.sync.track(this.tasks.filter(task => !kept.includes(task.id)));
+        this.sync.publishTasks(this.tasks);
+        
+        this.reminders.schedule(this.tasks);
+        saveTasks(this.tasks);
+        this.render();
+        
+        if (conflicts.length > 0) {
+            this.showNotification(describeConflicts(conflicts), 'info');
+        }
+    }
+
+    /**
+     * Take the lists from another tab
+     * @param {Array} lists - List objects
+     */
+    applyRemoteLists(lists) {
+        this.lists = ensureTaskLists(lists, this.tasks);
+        if (!this.isKnownList(this.currentList)) {
+            this.currentList = DEFAULT_LIST_ID;
+            this.settings.list = DEFAULT_LIST_ID;
+        }
+        this.render();
+    }
+
+    /**
+     * Take the shared settings (theme, sort order, views) from another tab
+     * @param {Object} settings - Settings without the per-tab filter and list
+     */
+    applyRemoteSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.settings.views = normalizeViews(this.settings.views);
+        this.sync.trackSettings(this.settings);
+        
+        if (isViewFilter(this.currentFilter) && !this.getActiveView()) {
+            this.currentFilter = 'all';
+            this.settings.filter = 'all';
         }
+        
+        this.initializeTheme();
+        this.render();
     }
 
     /**
      * Create a new task object
+     * @param {string} text - Validated task text
+     * @param {Object} fields - Optional fields such as priority, tags, dueDate and dueTime
      */
-    createTask(text) {
-        return {
-            id: Date.now() + Math.random(), // Ensure uniqueness
-            text: sanitizeInput(text),
-            completed: false,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+    createTask(text, fields = {}) {
+        return createTask(text, { createdAt: this.getCurrentTime().toISOString(), ...fields });
     }
 
     /**
      * Add a new task
      */
     addTask(task) {
-        this.saveState(); // For undo functionality
+        this.saveState('Add task');
+        task.position = getPositionBetween(null, this.tasks[0] || null);
         this.tasks.unshift(task); // Add to beginning
         this.saveData();
         this.render();
@@ -301,236 +629,2545 @@ class TaskFlowApp {
 
     /**
      * Toggle task completion status
+     * Completing a task with open subtasks asks whether to complete them too
      */
     toggleTask(taskId) {
-        this.saveState();
         const task = this.tasks.find(t => t.id === taskId);
-        if (task) {
-            task.completed = !task.completed;
-            task.updatedAt = new Date().toISOString();
-            this.saveData();
+        if (!task) return;
+        
+        const { done, total } = getSubtaskProgress(task);
+        if (!task.completed && done < total) {
+            // Put the checkbox back until the user decides
             this.render();
-            
-            const status = task.completed ? 'completed' : 'reactivated';
-            this.showNotification(`Task ${status}!`, 'success');
+            this.showModal(
+                'Complete Subtasks?',
+                `"${task.text}" has ${total - done} unfinished subtasks. Complete them as well?`,
+                () => this.completeTask(taskId, true),
+                {
+                    confirmLabel: 'Complete all',
+                    alternative: {
+                        label: 'Only this task',
+                        onSelect: () => this.completeTask(taskId, false)
+                    }
+                }
+            );
+            return;
         }
+        
+        this.saveState(task.completed ? 'Reactivate task' : 'Complete task');
+        task.completed = !task.completed;
+        task.updatedAt = this.getCurrentTime().toISOString();
+        const next = task.completed ? this.scheduleNextOccurrence(task) : null;
+        this.saveData();
+        this.render();
+        
+        const status = task.completed ? 'completed' : 'reactivated';
+        this.showNotification(`Task ${status}!${this.describeNextOccurrence(next)}`, 'success');
+    }
+
+    /**
+     * Complete a task, optionally together with its subtasks
+     * @param {string} taskId - Task ID
+     * @param {boolean} includeSubtasks - Whether to complete the subtasks too
+     */
+    completeTask(taskId, includeSubtasks) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.completed) return;
+        
+        this.saveState('Complete task');
+        task.completed = true;
+        if (includeSubtasks) setSubtasksCompleted(task, true, this.getCurrentTime());
+        task.updatedAt = this.getCurrentTime().toISOString();
+        const next = this.scheduleNextOccurrence(task);
+        this.saveData();
+        this.render();
+        
+        const message = includeSubtasks ? 'Task and subtasks completed!' : 'Task completed!';
+        this.showNotification(`${message}${this.describeNextOccurrence(next)}`, 'success');
+    }
+
+    /**
+     * Add the next occurrence of a recurring task that was just completed
+     * The new task is placed before the completed one, which stays as
+     * history and hands its repeat rule on
+     * @param {Object} task - Completed task
+     * @returns {Object|null} - New task, or null if the task does not repeat
+     */
+    scheduleNextOccurrence(task) {
+        if (!task.recurrence) return null;
+        
+        const next = createNextOccurrence(task, new Date(task.updatedAt));
+        if (!next) return null;
+        
+        delete task.recurrence;
+        const index = this.tasks.indexOf(task);
+        next.position = getPositionBetween(this.tasks[index - 1] || null, task);
+        this.tasks.splice(index, 0, next);
+        return next;
+    }
+
+    /**
+     * Describe a newly scheduled occurrence for a notification
+     * @param {Object|null} next - Task from scheduleNextOccurrence
+     * @returns {string} - Sentence to append (empty when nothing was scheduled)
+     */
+    describeNextOccurrence(next) {
+        return next ? ` Next one is due ${formatDueDate(next)}.` : '';
     }
 
     /**
      * Delete a task
      */
     deleteTask(taskId) {
-        this.saveState();
         const taskIndex = this.tasks.findIndex(t => t.id === taskId);
         if (taskIndex !== -1) {
+            this.saveState('Delete task');
             this.tasks.splice(taskIndex, 1);
+            this.expandedTasks.delete(taskId);
             this.saveData();
             this.render();
-            this.showNotification('Task deleted!', 'success');
+            this.showNotification('Task deleted!', 'success', this.getUndoAction());
         }
     }
 
     /**
-     * Edit a task (inline editing)
+     * Edit a task's text and due date in a modal
      */
     editTask(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (!task) return;
         
-        const newText = prompt('Edit task:', task.text);
-        if (newText !== null && newText.trim() !== task.text) {
-            const validation = validateTaskInput(newText, this.tasks.filter(t => t.id !== taskId));
-            
-            if (validation.isValid) {
-                this.saveState();
-                task.text = validation.cleaned;
-                task.updatedAt = new Date().toISOString();
-                this.saveData();
-                this.render();
-                this.showNotification('Task updated!', 'success');
-            } else {
-                this.showNotification(validation.errors[0].message, 'error');
+        let textInput = null;
+        
+        this.showModal(
+            'Edit Task',
+            'Change the task, its #tags, priority, due date, repeat rule or reminder. Clear a date to remove it.',
+            () => {
+                // Read the form before the modal is cleared; checkbox groups become arrays
+                const values = {};
+                this.elements.modalDetails.querySelectorAll('[data-field]').forEach(input => {
+                    const { field } = input.dataset;
+                    if (input.type === 'checkbox') {
+                        values[field] = [...(values[field] || []), ...(input.checked ? [input.value] : [])];
+                    } else {
+                        values[field] = input.value;
+                    }
+                });
+                this.updateTask(taskId, values);
+            },
+            {
+                confirmLabel: 'Save',
+                renderDetails: (container) => {
+                    textInput = renderTaskEditor(container, task, this.lists);
+                }
             }
-        }
+        );
+        
+        if (textInput) textInput.focus();
     }
 
     /**
-     * Show delete confirmation modal
+     * Start editing a task's text (with its #tags) in place
+     * @param {string} taskId - Task ID
      */
-    confirmDeleteTask(taskId) {
+    startInlineEdit(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (!task) return;
         
-        this.showModal(
-            'Delete Task',
-            `Are you sure you want to delete "${task.text}"? This action cannot be undone.`,
-            () => this.deleteTask(taskId)
-        );
+        const value = appendTags(task.text, task.tags);
+        this.inlineEdit = { taskId, value, selection: [value.length, value.length], hasFocus: true };
+        this.render();
     }
 
     /**
-     * Clear all completed tasks
+     * Save the inline edit
+     * Invalid text keeps the editor open after Enter; leaving the field
+     * with invalid text drops the change
+     * @param {boolean} isBlur - Whether the edit ends because focus left the field
      */
-    clearCompletedTasks() {
-        const completedCount = this.tasks.filter(t => t.completed).length;
-        if (completedCount === 0) {
-            this.showNotification('No completed tasks to clear', 'warning');
+    saveInlineEdit(isBlur = false) {
+        const edit = this.inlineEdit;
+        const task = edit ? this.tasks.find(t => t.id === edit.taskId) : null;
+        if (!task) {
+            this.inlineEdit = null;
             return;
         }
         
-        this.showModal(
-            'Clear Completed Tasks',
-            `Are you sure you want to delete all ${completedCount} completed tasks? This action cannot be undone.`,
-            () => {
-                this.saveState();
-                this.tasks = this.tasks.filter(t => !t.completed);
-                this.saveData();
-                this.render();
-                this.showNotification(`${completedCount} completed tasks cleared!`, 'success');
-            }
-        );
+        const { text, tags } = extractTags(edit.value);
+        const validation = validateTaskInput(text, this.getEditSiblings(task));
+        if (!validation.isValid) {
+            if (isBlur) this.cancelInlineEdit(false);
+            this.showNotification(isBlur ? `${validation.errors[0].message}; the change was not saved` : validation.errors[0].message, 'error');
+            return;
+        }
+        
+        this.inlineEdit = null;
+        const updated = { ...task, text: validation.cleaned };
+        const tagsChanged = setTags(updated, tags);
+        const isChanged = updated.text !== task.text || tagsChanged;
+        if (isChanged) {
+            this.saveState('Edit task');
+            updated.updatedAt = this.getCurrentTime().toISOString();
+            this.tasks[this.tasks.indexOf(task)] = updated;
+            this.saveData();
+        }
+        this.render();
+        if (!isBlur) this.focusTask(task.id);
+        if (isChanged) this.showNotification('Task updated!', 'success');
     }
 
     /**
-     * Toggle all tasks completion status
+     * Stop editing inline without saving
+     * @param {boolean} restoreFocus - Whether to put focus back on the task
      */
-    toggleAllTasks() {
-        const allCompleted = this.tasks.every(t => t.completed);
-        
-        this.saveState();
-        this.tasks.forEach(task => {
-            task.completed = !allCompleted;
-            task.updatedAt = new Date().toISOString();
-        });
+    cancelInlineEdit(restoreFocus = true) {
+        if (!this.inlineEdit) return;
         
-        this.saveData();
+        const { taskId } = this.inlineEdit;
+        this.inlineEdit = null;
         this.render();
-        
-        const action = allCompleted ? 'reactivated' : 'completed';
-        this.showNotification(`All tasks ${action}!`, 'success');
+        if (restoreFocus) this.focusTask(taskId);
     }
 
     /**
-     * Set current filter
+     * Get the tasks an edited task's text must not repeat
+     * Completed tasks are history and may repeat the text of an open task
+     * @param {Object} task - Task being edited
+     * @returns {Array} - Other open tasks in the same list
      */
-    setFilter(filter) {
-        this.currentFilter = filter;
-        this.settings.filter = filter;
-        this.saveSettings();
-        this.render();
+    getEditSiblings(task) {
+        return task.completed ? [] : getListTasks(this.tasks, getTaskListId(task)).filter(t => t.id !== task.id);
     }
 
     /**
-     * Initialize theme from settings
+     * Save or cancel the inline edit from the keyboard
      */
-    initializeTheme() {
-        document.documentElement.setAttribute('data-theme', this.settings.theme);
-        this.updateThemeToggle();
+    handleInlineEditKeydown(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.saveInlineEdit();
+        } else if (e.key === 'Escape') {
+            // Keep the global Escape from moving focus to the new task input
+            e.stopPropagation();
+            this.cancelInlineEdit();
+        }
     }
 
     /**
-     * Toggle theme between light and dark
+     * Keep the inline edit's text and validate it as it is typed
      */
-    toggleTheme() {
-        const newTheme = this.settings.theme === 'light' ? 'dark' : 'light';
-        this.settings.theme = newTheme;
-        
-        document.documentElement.setAttribute('data-theme', newTheme);
-        this.updateThemeToggle();
-        this.saveSettings();
+    handleInlineEditInput(e) {
+        if (!e.target.classList.contains('task-edit-input') || !this.inlineEdit) return;
         
-        this.showNotification(`Switched to ${newTheme} theme`, 'success');
+        this.inlineEdit.value = e.target.value;
+        const task = this.tasks.find(t => t.id === this.inlineEdit.taskId);
+        if (task) {
+            validateInputRealtime(e.target, this.getEditSiblings(task), document.getElementById('task-edit-error'));
+        }
     }
 
     /**
-     * Update theme toggle button
+     * Save the inline edit when focus leaves it
+     * Ignored while the list is rebuilt, which removes the field
      */
-    updateThemeToggle() {
-        const themeIcon = this.elements.themeToggle.querySelector('.theme-icon');
-        if (themeIcon) {
-            themeIcon.textContent = this.settings.theme === 'light' ? '🌙' : '☀️';
-        }
+    handleInlineEditBlur(e) {
+        if (!e.target.classList.contains('task-edit-input') || !this.inlineEdit || this.isRendering) return;
+        
+        this.inlineEdit.value = e.target.value;
+        this.saveInlineEdit(true);
     }
 
     /**
-     * Setup keyboard shortcuts
+     * Edit a task's text on double-click (on the text or the row itself)
      */
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + Enter to add task
-            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                if (this.elements.taskInput === document.activeElement) {
-                    this.elements.taskForm.dispatchEvent(new Event('submit'));
-                }
-            }
-            
-            // Escape to focus input
-            if (e.key === 'Escape') {
-                this.elements.taskInput.focus();
-                this.hideModal();
-            }
-            
-            // Theme toggle shortcut (Ctrl/Cmd + D)
-            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
-                e.preventDefault();
-                this.toggleTheme();
-            }
-        });
+    handleTaskListDblClick(e) {
+        const taskElement = e.target.closest('.task');
+        if (!taskElement || (e.target !== taskElement && !e.target.closest('.task-text'))) return;
+        
+        e.preventDefault();
+        this.startInlineEdit(taskElement.dataset.id);
     }
 
     /**
-     * Setup performance monitoring
+     * Keep the inline edit's text, caret and focus across a re-render
+     * @param {Function} renderList - Rebuilds the task list
      */
-    setupPerformanceMonitoring() {
-        // Monitor render performance
-        const observer = new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            entries.forEach(entry => {
-                if (entry.name.includes('task-render')) {
-                    this.performanceMetrics.renderTimes.push(entry.duration);
-                }
-            });
-        });
+    renderPreservingInlineEdit(renderList) {
+        const input = this.elements.taskList.querySelector('.task-edit-input');
+        if (this.inlineEdit && input) {
+            this.inlineEdit.value = input.value;
+            this.inlineEdit.selection = [input.selectionStart, input.selectionEnd];
+            this.inlineEdit.hasFocus = document.activeElement === input;
+        }
+        if (this.inlineEdit && !this.tasks.some(t => t.id === this.inlineEdit.taskId)) {
+            this.inlineEdit = null;
+        }
         
-        if (typeof PerformanceObserver !== 'undefined') {
-            observer.observe({ entryTypes: ['measure'] });
+        this.isRendering = true;
+        try {
+            renderList();
+        } finally {
+            this.isRendering = false;
+        }
+        
+        const newInput = this.elements.taskList.querySelector('.task-edit-input');
+        if (this.inlineEdit && newInput && this.inlineEdit.hasFocus) {
+            newInput.focus();
+            newInput.setSelectionRange(...this.inlineEdit.selection);
         }
     }
 
     /**
-     * Save current state for undo functionality
+     * Move keyboard focus to a task's row
+     * @param {string} taskId - Task ID
+     */
+    focusTask(taskId) {
+        // Long lists only render the rows in view, so scroll to it first
+        const row = revealTask(this.elements.taskList, taskId);
+        if (row) row.focus();
+    }
+
+    /**
+     * Apply edited values to a task
+     * @param {string} taskId - Task ID
+     * @param {Object} values - Edited values ({ text, priority, dueDate, dueTime, listId,
+     *   repeat, repeatDays, repeatDay, repeatInterval, reminder })
      */
-    saveState() {
-        const currentState = JSON.stringify(this.tasks);
-        this.history.push(currentState);
+    updateTask(taskId, values) {
+        const taskIndex = this.tasks.findIndex(t => t.id === taskId);
+        if (taskIndex === -1) return;
+        const task = this.tasks[taskIndex];
+        
+        const { text, tags } = extractTags(values.text);
+        const listId = this.isKnownList(values.listId) ? values.listId : getTaskListId(task);
+        // Completed tasks are history and may repeat the text of an open task
+        const siblings = task.completed ? [] : getListTasks(this.tasks, listId).filter(t => t.id !== taskId);
+        const validation = validateTaskInput(text, siblings);
+        if (!validation.isValid) {
+            this.showNotification(validation.errors[0].message, 'error');
+            return;
+        }
+        
+        const dueValidation = validateDueDate(values.dueDate, values.dueTime);
+        if (!dueValidation.isValid) {
+            this.showNotification(dueValidation.errors[0].message, 'error');
+            return;
+        }
         
-        // Limit history size
-        if (this.history.length > 50) {
-            this.history.shift();
+        const recurrenceValidation = validateRecurrence({
+            type: values.repeat,
+            days: values.repeatDays,
+            day: values.repeatDay,
+            interval: values.repeatInterval
+        });
+        if (!recurrenceValidation.isValid) {
+            this.showNotification(recurrenceValidation.errors[0].message, 'error');
+            return;
+        }
+        
+        const reminderValidation = validateReminder(values.reminder, this.clock.now(), task.reminderAt);
+        if (!reminderValidation.isValid) {
+            this.showNotification(reminderValidation.errors[0].message, 'error');
+            return;
         }
         
-        this.historyIndex = this.history.length - 1;
+        // A repeating task needs a due date to count from
+        const rule = recurrenceValidation.cleaned;
+        const due = { ...dueValidation.cleaned };
+        if (rule && !due.dueDate) due.dueDate = getFirstDueDate(rule, this.getCurrentTime());
+        
+        const updated = { ...task, text: validation.cleaned };
+        const dueChanged = setDueDate(updated, due);
+        const priorityChanged = setPriority(updated, values.priority);
+        const tagsChanged = setTags(updated, tags);
+        const listChanged = setList(updated, listId);
+        const recurrenceChanged = values.repeat !== undefined && setRecurrence(updated, rule);
+        const reminderChanged = values.reminder !== undefined && setReminder(updated, reminderValidation.cleaned);
+        if (updated.text === task.text && !dueChanged && !priorityChanged && !tagsChanged && !listChanged && !recurrenceChanged && !reminderChanged) return;
+        
+        this.saveState('Edit task');
+        updated.updatedAt = this.getCurrentTime().toISOString();
+        this.tasks[taskIndex] = updated;
+        this.saveData();
+        this.render();
+        this.showNotification('Task updated!', 'success');
+        
+        if (reminderChanged && updated.reminderAt) {
+            this.ensureNotificationPermission();
+        }
     }
 
     /**
-     * Undo last action
+     * Ask for notification permission once a reminder is set
+     * Must run from a user action; when notifications are blocked or
+     * unsupported, reminders still show as toasts while the app is open
      */
-    undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.tasks = JSON.parse(this.history[this.historyIndex]);
-            this.saveData();
-            this.render();
-            this.showNotification('Action undone', 'success');
+    async ensureNotificationPermission() {
+        const permission = await requestNotificationPermission();
+        if (permission === 'denied') {
+            this.showNotification('Notifications are blocked, so reminders only show while TaskFlow Lite is open', 'warning');
+        } else if (permission === 'unsupported') {
+            this.showNotification('This browser cannot show notifications, so reminders only show while TaskFlow Lite is open', 'warning');
         }
     }
 
     /**
-     * Save tasks data
+     * Show a reminder that has come due
+     * The reminder is cleared once shown, so it fires only once
+     * @param {string} taskId - Task ID
      */
-    saveData() {
-        if (saveTasks(this.tasks)) {
-            console.log(`Saved ${this.tasks.length} tasks`);
+    async handleReminderDue(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.completed || !task.reminderAt) return;
+        
+        delete task.reminderAt;
+        this.saveData();
+        this.render();
+        
+        if (!(await showReminderNotification(task))) {
+            this.showNotification(`🔔 Reminder: ${task.text}`, 'info');
+        }
+    }
+
+    /**
+     * Handle messages from the service worker
+     * @param {MessageEvent} e - Message with { type, action, taskId }
+     */
+    handleServiceWorkerMessage(e) {
+        const { type, action, taskId } = e.data || {};
+        if (type === 'reminder-action') {
+            this.handleReminderAction(action, taskId);
+        }
+    }
+
+    /**
+     * Get the current time from the app clock
+     * Reminders, due-date filters and labels, counters and the timestamps
+     * written on tasks and subtasks read it (export file names do not)
+     * @returns {Date} - Current time
+     */
+    getCurrentTime() {
+        return new Date(this.clock.now());
+    }
+
+    /**
+     * Apply a notification action passed in the URL
+     * The service worker opens `/?reminder=<action>&task=<id>` when no
+     * window was open to receive the action
+     */
+    handleReminderLaunch() {
+        const params = new URLSearchParams(window.location.search);
+        const action = params.get('reminder');
+        if (!action) return;
+        
+        // Drop the parameters so a reload does not repeat the action
+        window.history.replaceState(null, '', window.location.pathname);
+        this.handleReminderAction(action, params.get('task'));
+    }
+
+    /**
+     * Apply a reminder notification action to a task
+     * @param {string} action - 'complete' or 'snooze'
+     * @param {string} taskId - Task ID
+     */
+    handleReminderAction(action, taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.completed) return;
+        
+        if (action === 'complete') {
+            this.completeTask(taskId, false);
+        } else if (action === 'snooze') {
+            this.saveState('Snooze reminder');
+            task.reminderAt = getSnoozedReminder(this.clock.now());
+            task.updatedAt = this.getCurrentTime().toISOString();
+            this.saveData();
+            this.render();
+            this.showNotification(`Reminder snoozed for ${SNOOZE_MINUTES} minutes`, 'success');
+        }
+    }
+
+    /**
+     * Show or hide a task's subtasks
+     * @param {string} taskId - Task ID
+     * @param {boolean} focusInput - Focus the add-subtask input when opening
+     */
+    toggleSubtasks(taskId, focusInput = false) {
+        const isExpanded = !this.expandedTasks.has(taskId);
+        if (isExpanded) {
+            this.expandedTasks.add(taskId);
+        } else {
+            this.expandedTasks.delete(taskId);
+        }
+        
+        this.render();
+        if (isExpanded && focusInput) this.focusSubtaskInput(taskId);
+    }
+
+    /**
+     * Focus the add-subtask input of a rendered task
+     * @param {string} taskId - Task ID
+     */
+    focusSubtaskInput(taskId) {
+        const taskElement = [...this.elements.taskList.querySelectorAll('.task')]
+            .find(element => element.dataset.id === taskId);
+        const input = taskElement && taskElement.querySelector('.subtask-input');
+        if (input) input.focus();
+    }
+
+    /**
+     * Find a task and one of its subtasks
+     * @param {string} taskId - Task ID
+     * @param {string} subtaskId - Subtask ID
+     * @returns {Object|null} - { task, subtask, index }, or null if either is missing
+     */
+    findSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const index = task && task.subtasks ? task.subtasks.findIndex(s => s.id === subtaskId) : -1;
+        return index === -1 ? null : { task, subtask: task.subtasks[index], index };
+    }
+
+    /**
+     * Add a subtask to the end of a task's list
+     * @param {string} taskId - Task ID
+     * @param {string} text - Subtask text as typed
+     */
+    addSubtask(taskId, text) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const validation = validateTaskInput(text, task.subtasks || []);
+        if (!validation.isValid) {
+            this.showNotification(validation.errors[0].message, 'error');
+            return;
+        }
+        
+        this.saveState('Add subtask');
+        const subtask = createSubtask(validation.cleaned, { createdAt: this.getCurrentTime().toISOString() });
+        task.subtasks = [...(task.subtasks || []), subtask];
+        task.updatedAt = subtask.createdAt;
+        this.expandedTasks.add(taskId);
+        this.saveData();
+        this.render();
+        this.focusSubtaskInput(taskId);
+    }
+
+    /**
+     * Toggle a subtask's completion status
+     * The parent's own status is left alone; it is completed separately
+     */
+    toggleSubtask(taskId, subtaskId) {
+        const found = this.findSubtask(taskId, subtaskId);
+        if (!found) return;
+        
+        this.saveState(found.subtask.completed ? 'Reactivate subtask' : 'Complete subtask');
+        const now = this.getCurrentTime().toISOString();
+        found.subtask.completed = !found.subtask.completed;
+        found.subtask.updatedAt = now;
+        found.task.updatedAt = now;
+        this.saveData();
+        this.render();
+    }
+
+    /**
+     * Edit a subtask's text in a modal
+     */
+    editSubtask(taskId, subtaskId) {
+        const found = this.findSubtask(taskId, subtaskId);
+        if (!found) return;
+        
+        let textInput = null;
+        
+        this.showModal(
+            'Edit Subtask',
+            `Change this step of "${found.task.text}".`,
+            () => {
+                // Read the input before the modal is cleared
+                const input = this.elements.modalDetails.querySelector('[data-field="text"]');
+                this.updateSubtask(taskId, subtaskId, input ? input.value : '');
+            },
+            {
+                confirmLabel: 'Save',
+                renderDetails: (container) => {
+                    textInput = renderSubtaskEditor(container, found.subtask);
+                }
+            }
+        );
+        
+        if (textInput) textInput.focus();
+    }
+
+    /**
+     * Change a subtask's text
+     * @param {string} taskId - Task ID
+     * @param {string} subtaskId - Subtask ID
+     * @param {string} text - New text as typed
+     */
+    updateSubtask(taskId, subtaskId, text) {
+        const found = this.findSubtask(taskId, subtaskId);
+        if (!found) return;
+        
+        const siblings = found.task.subtasks.filter(s => s.id !== subtaskId);
+        const validation = validateTaskInput(text, siblings);
+        if (!validation.isValid) {
+            this.showNotification(validation.errors[0].message, 'error');
+            return;
+        }
+        if (validation.cleaned === found.subtask.text) return;
+        
+        this.saveState('Edit subtask');
+        const now = this.getCurrentTime().toISOString();
+        found.subtask.text = validation.cleaned;
+        found.subtask.updatedAt = now;
+        found.task.updatedAt = now;
+        this.saveData();
+        this.render();
+        this.showNotification('Subtask updated!', 'success');
+    }
+
+    /**
+     * Delete a subtask
+     */
+    deleteSubtask(taskId, subtaskId) {
+        const found = this.findSubtask(taskId, subtaskId);
+        if (!found) return;
+        
+        this.saveState('Delete subtask');
+        found.task.subtasks.splice(found.index, 1);
+        if (found.task.subtasks.length === 0) delete found.task.subtasks;
+        found.task.updatedAt = this.getCurrentTime().toISOString();
+        this.saveData();
+        this.render();
+        this.showNotification('Subtask deleted!', 'success', this.getUndoAction());
+    }
+
+    /**
+     * Move a subtask up or down within its task
+     * @param {string} taskId - Task ID
+     * @param {string} subtaskId - Subtask ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveSubtask(taskId, subtaskId, offset) {
+        const found = this.findSubtask(taskId, subtaskId);
+        if (!found) return;
+        
+        const target = found.index + offset;
+        if (target < 0 || target >= found.task.subtasks.length) return;
+        
+        this.saveState('Move subtask');
+        const [subtask] = found.task.subtasks.splice(found.index, 1);
+        found.task.subtasks.splice(target, 0, subtask);
+        found.task.updatedAt = this.getCurrentTime().toISOString();
+        this.saveData();
+        this.render();
+    }
+
+    /**
+     * Move a task next to another one in the manual order
+     * The task gets a position between its new neighbours, so only the
+     * moved task changes
+     * @param {string} taskId - Task to move
+     * @param {string} targetId - Task to move it next to
+     * @param {boolean} placeAfter - Whether to place it after the target instead of before
+     * @returns {boolean} - Whether the task moved
+     */
+    moveTask(taskId, targetId, placeAfter) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const target = this.tasks.find(t => t.id === targetId);
+        if (!task || !target || task === target) return false;
+        
+        const from = this.tasks.indexOf(task);
+        const rest = this.tasks.filter(t => t !== task);
+        const index = rest.indexOf(target) + (placeAfter ? 1 : 0);
+        if (index === from) return false;
+        
+        this.saveState('Move task');
+        task.position = getPositionBetween(rest[index - 1] || null, rest[index] || null);
+        rest.splice(index, 0, task);
+        this.tasks = rest;
+        this.saveData();
+        this.render();
+        return true;
+    }
+
+    /**
+     * Move a task up or down past the next visible task (Alt+Up/Down)
+     * @param {string} taskId - Task ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveTaskByKeyboard(taskId, offset) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        if (this.getSort().sortBy !== MANUAL_SORT) {
+            this.showNotification('Choose "Manual" under Sort by to reorder tasks', 'info');
+            return;
+        }
+        
+        const visibleIds = this.shownTaskIds;
+        const index = visibleIds.indexOf(taskId) + offset;
+        if (index < 0 || index >= visibleIds.length) {
+            this.announce(`"${task.text}" is already at the ${offset < 0 ? 'top' : 'bottom'}`);
+            return;
+        }
+        
+        this.moveTask(taskId, visibleIds[index], offset > 0);
+        this.announceTaskPosition(taskId);
+    }
+
+    /**
+     * Handle keys on a focused task: Enter edits its text, Space selects it,
+     * Alt+Up/Down reorders it, and Enter/Escape save or cancel an inline edit
+     */
+    handleTaskListKeydown(e) {
+        if (e.target.classList.contains('task-edit-input')) {
+            this.handleInlineEditKeydown(e);
+            return;
+        }
+        
+        if (e.key === 'Enter' && !e.altKey && !e.ctrlKey && !e.metaKey &&
+            (e.target.classList.contains('task') || e.target.classList.contains('task-checkbox'))) {
+            e.preventDefault();
+            this.startInlineEdit(e.target.closest('.task').dataset.id);
+            return;
+        }
+        
+        // Space selects the focused task (Shift+Space selects up to it)
+        if (e.key === ' ' && e.target.classList.contains('task')) {
+            e.preventDefault();
+            this.selectTask(e.target.dataset.id, { range: e.shiftKey, add: true });
+            return;
+        }
+        
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        
+        const taskElement = e.target.closest('.task');
+        if (!taskElement || e.target.closest('.subtasks') || this.isTextEntry(e.target)) return;
+        
+        e.preventDefault();
+        this.moveTaskByKeyboard(taskElement.dataset.id, e.key === 'ArrowUp' ? -1 : 1);
+    }
+
+    /**
+     * Start dragging a task by its handle
+     */
+    handleDragStart(e) {
+        const handle = e.target.closest('.drag-handle');
+        if (!handle || e.button !== 0) return;
+        
+        const taskElement = handle.closest('.task');
+        e.preventDefault();
+        // Keep receiving the pointer while it leaves the handle
+        if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+        taskElement.classList.add('dragging');
+        this.dragState = {
+            taskId: taskElement.dataset.id,
+            pointerId: e.pointerId,
+            element: taskElement,
+            drop: null
+        };
+    }
+
+    /**
+     * Show where a dragged task would land
+     * It goes before the first row whose middle is below the pointer, or
+     * after the last row
+     */
+    handleDragMove(e) {
+        if (!this.dragState || e.pointerId !== this.dragState.pointerId) return;
+        
+        const rows = this.getTaskRows().filter(row => row !== this.dragState.element);
+        if (rows.length === 0) return;
+        
+        const before = rows.find(row => {
+            const rect = row.getBoundingClientRect();
+            return e.clientY < rect.top + rect.height / 2;
+        });
+        const row = before || rows[rows.length - 1];
+        
+        this.clearDropMarkers();
+        row.classList.add(before ? 'drop-before' : 'drop-after');
+        this.dragState.drop = { taskId: row.dataset.id, placeAfter: !before };
+    }
+
+    /**
+     * Finish dragging, moving the task if it was dropped on the list
+     * @param {PointerEvent} e - pointerup or pointercancel event
+     * @param {boolean} isDrop - Whether the task should move (false when cancelled)
+     */
+    handleDragEnd(e, isDrop) {
+        if (!this.dragState || e.pointerId !== this.dragState.pointerId) return;
+        
+        const { taskId, element, drop } = this.dragState;
+        this.dragState = null;
+        element.classList.remove('dragging');
+        this.clearDropMarkers();
+        
+        if (isDrop && drop && this.moveTask(taskId, drop.taskId, drop.placeAfter)) {
+            this.announceTaskPosition(taskId);
+        }
+    }
+
+    /**
+     * Remove the drop indicators left by a drag
+     */
+    clearDropMarkers() {
+        this.elements.taskList.querySelectorAll('.drop-before, .drop-after').forEach(row => {
+            row.classList.remove('drop-before', 'drop-after');
+        });
+    }
+
+    /**
+     * Get the rendered task rows, top to bottom
+     * @returns {Array<Element>} - Task list items
+     */
+    getTaskRows() {
+        return [...this.elements.taskList.children].filter(row => row.classList.contains('task'));
+    }
+
+    /**
+     * Announce a moved task's place in the list and keep focus on it
+     * @param {string} taskId - Task ID
+     */
+    announceTaskPosition(taskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const index = this.shownTaskIds.indexOf(taskId);
+        if (!task || index === -1) return;
+        
+        this.announce(`Moved "${task.text}" to position ${index + 1} of ${this.shownTaskIds.length}`);
+        const row = revealTask(this.elements.taskList, taskId);
+        const handle = row && row.querySelector('.drag-handle');
+        if (handle) handle.focus();
+    }
+
+    /**
+     * Read a message out to screen readers
+     * @param {string} message - Message
+     */
+    announce(message) {
+        if (this.elements.reorderStatus) {
+            this.elements.reorderStatus.textContent = message;
+        }
+    }
+
+    /**
+     * Show delete confirmation modal
+     * @param {string} taskId - Task ID
+     * @param {number|null} focusIndex - Row index to move focus to after deleting (keyboard deletes)
+     */
+    confirmDeleteTask(taskId, focusIndex = null) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+        
+        const { total } = getSubtaskProgress(task);
+        const subtaskNote = total > 0 ? ` and its ${total} subtasks` : '';
+        
+        this.showModal(
+            'Delete Task',
+            `Are you sure you want to delete "${task.text}"${subtaskNote}?`,
+            () => {
+                this.deleteTask(taskId);
+                if (focusIndex !== null) this.restoreTaskFocus(taskId, focusIndex);
+            }
+        );
+    }
+
+    /**
+     * Clear all completed tasks in the current list
+     * A completed task is removed with all of its subtasks; completed
+     * subtasks of active tasks are removed from their parent
+     */
+    clearCompletedTasks() {
+        const listTasks = getListTasks(this.tasks, this.currentList);
+        const completedCount = listTasks.filter(t => t.completed).length;
+        const subtaskCount = listTasks
+            .filter(t => !t.completed)
+            .reduce((count, task) => count + getSubtaskProgress(task).done, 0);
+        if (completedCount === 0 && subtaskCount === 0) {
+            this.showNotification('No completed tasks to clear', 'warning');
+            return;
+        }
+        
+        const parts = [];
+        if (completedCount > 0) parts.push(`${completedCount} completed tasks (with their subtasks)`);
+        if (subtaskCount > 0) parts.push(`${subtaskCount} completed subtasks of active tasks`);
+        
+        this.showModal(
+            'Clear Completed Tasks',
+            `Are you sure you want to delete ${parts.join(' and ')}?`,
+            () => {
+                this.saveState('Clear completed');
+                const now = this.getCurrentTime().toISOString();
+                this.tasks = this.tasks.filter(t => !(t.completed && listTasks.includes(t)));
+                listTasks.filter(t => !t.completed).forEach(task => {
+                    if (getSubtaskProgress(task).done === 0) return;
+                    
+                    task.subtasks = task.subtasks.filter(s => !s.completed);
+                    if (task.subtasks.length === 0) delete task.subtasks;
+                    task.updatedAt = now;
+                });
+                this.saveData();
+                this.render();
+                this.showNotification(`${completedCount + subtaskCount} completed items cleared!`, 'success', this.getUndoAction());
+            }
+        );
+    }
+
+    /**
+     * Toggle completion status of all tasks in the current list
+     * Subtasks count too: everything is reactivated only when every task
+     * and subtask is already complete, otherwise everything is completed.
+     * Recurring tasks that get completed schedule their next occurrence.
+     */
+    toggleAllTasks() {
+        const listTasks = getListTasks(this.tasks, this.currentList);
+        if (listTasks.length === 0) return;
+        
+        const allCompleted = listTasks.every(t => {
+            const { done, total } = getSubtaskProgress(t);
+            return t.completed && done === total;
+        });
+        
+        this.saveState(allCompleted ? 'Reactivate all' : 'Complete all');
+        const now = this.getCurrentTime();
+        listTasks.forEach(task => {
+            const wasCompleted = task.completed;
+            task.completed = !allCompleted;
+            setSubtasksCompleted(task, !allCompleted, now);
+            task.updatedAt = now.toISOString();
+            if (task.completed && !wasCompleted) this.scheduleNextOccurrence(task);
+        });
+        
+        this.saveData();
+        this.render();
+        
+        const action = allCompleted ? 'reactivated' : 'completed';
+        this.showNotification(`All tasks ${action}!`, 'success');
+    }
+
+    /**
+     * Select a task for bulk actions
+     * @param {string} taskId - Task ID
+     * @param {Object} options - { range: select every shown task from the last
+     *   one picked, add: keep (or toggle within) the current selection }
+     */
+    selectTask(taskId, { range = false, add = false } = {}) {
+        const rowIds = this.shownTaskIds;
+        const anchorIndex = rowIds.indexOf(this.selectionAnchor);
+        
+        if (range && anchorIndex !== -1) {
+            const index = rowIds.indexOf(taskId);
+            rowIds.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+                .forEach(id => this.selectedTasks.add(id));
+        } else if (add) {
+            if (this.selectedTasks.has(taskId)) {
+                this.selectedTasks.delete(taskId);
+            } else {
+                this.selectedTasks.add(taskId);
+            }
+            this.selectionAnchor = taskId;
+        } else {
+            this.selectedTasks = new Set([taskId]);
+            this.selectionAnchor = taskId;
+        }
+        
+        this.render();
+        this.focusTask(taskId);
+    }
+
+    /**
+     * Deselect every task and leave selection mode
+     */
+    clearSelection() {
+        this.selectedTasks.clear();
+        this.selectionAnchor = null;
+        this.isSelecting = false;
+        this.render();
+    }
+
+    /**
+     * Turn selection mode (for touch screens) on or off
+     * Turning it off also clears the selection
+     */
+    toggleSelectionMode() {
+        if (this.isSelecting) {
+            this.clearSelection();
+            return;
+        }
+        
+        this.isSelecting = true;
+        this.render();
+        this.showNotification('Tap tasks to select them', 'info');
+    }
+
+    /**
+     * Handle the bulk action buttons
+     */
+    handleSelectionBarClick(e) {
+        const button = e.target.closest('[data-bulk-action]');
+        if (!button) return;
+        
+        switch (button.dataset.bulkAction) {
+            case 'complete':
+                this.setSelectedCompleted(true);
+                break;
+            case 'reactivate':
+                this.setSelectedCompleted(false);
+                break;
+            case 'tag':
+                this.showBulkTagEditor();
+                break;
+            case 'delete':
+                this.confirmDeleteSelected();
+                break;
+            case 'clear':
+                this.clearSelection();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Get the selected tasks, in list order
+     * @returns {Array} - Selected tasks
+     */
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedTasks.has(task.id));
+    }
+
+    /**
+     * Complete or reactivate the selected tasks as one undoable step
+     * Completed recurring tasks schedule their next occurrence
+     * @param {boolean} completed - Whether to complete (true) or reactivate (false)
+     */
+    setSelectedCompleted(completed) {
+        const tasks = this.getSelectedTasks().filter(task => task.completed !== completed);
+        if (tasks.length === 0) {
+            this.showNotification(`The selected tasks are already ${completed ? 'completed' : 'active'}`, 'info');
+            return;
+        }
+        
+        this.saveState(completed ? 'Complete selected tasks' : 'Reactivate selected tasks');
+        const now = this.getCurrentTime().toISOString();
+        tasks.forEach(task => {
+            task.completed = completed;
+            task.updatedAt = now;
+            if (completed) this.scheduleNextOccurrence(task);
+        });
+        this.saveData();
+        this.render();
+        
+        const count = `${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}`;
+        this.showNotification(`${count} ${completed ? 'completed' : 'reactivated'}!`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Move the selected tasks to another list as one undoable step
+     * @param {string} listId - Target list ID (empty does nothing)
+     */
+    moveSelectedTasks(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return;
+        
+        const tasks = this.getSelectedTasks().filter(task => getTaskListId(task) !== listId);
+        if (tasks.length === 0) {
+            this.render();
+            this.showNotification(`The selected tasks are already in "${list.name}"`, 'info');
+            return;
+        }
+        
+        this.saveState('Move selected tasks');
+        const now = this.getCurrentTime().toISOString();
+        tasks.forEach(task => {
+            setList(task, listId);
+            task.updatedAt = now;
+        });
+        this.saveData();
+        this.render();
+        this.showNotification(`Moved ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'} to "${list.name}"`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Ask which tags to add to or remove from the selected tasks
+     */
+    showBulkTagEditor() {
+        const count = this.selectedTasks.size;
+        if (count === 0) return;
+        
+        let firstInput = null;
+        
+        this.showModal(
+            'Tag Selected Tasks',
+            `Add or remove tags on ${count} selected ${count === 1 ? 'task' : 'tasks'}, e.g. "#work #urgent".`,
+            () => {
+                // Read the inputs before the modal is cleared
+                const read = (field) => {
+                    const input = this.elements.modalDetails.querySelector(`[data-field="${field}"]`);
+                    return normalizeTags((input ? input.value : '').split(/[\s,]+/));
+                };
+                this.tagSelectedTasks(read('add'), read('remove'));
+            },
+            {
+                confirmLabel: 'Apply',
+                renderDetails: (container) => {
+                    firstInput = renderBulkTagEditor(container);
+                }
+            }
+        );
+        
+        if (firstInput) firstInput.focus();
+    }
+
+    /**
+     * Add and remove tags on the selected tasks as one undoable step
+     * @param {Array<string>} added - Tags to add
+     * @param {Array<string>} removed - Tags to remove
+     */
+    tagSelectedTasks(added, removed) {
+        if (added.length === 0 && removed.length === 0) {
+            this.showNotification('Enter tags to add or remove, e.g. #work', 'warning');
+            return;
+        }
+        
+        this.saveState('Tag selected tasks');
+        const now = this.getCurrentTime().toISOString();
+        let changed = 0;
+        this.getSelectedTasks().forEach(task => {
+            const tags = [...(task.tags || []), ...added].filter(tag => !removed.includes(tag));
+            if (setTags(task, tags)) {
+                task.updatedAt = now;
+                changed++;
+            }
+        });
+        this.saveData();
+        this.render();
+        this.showNotification(`Updated tags on ${changed} ${changed === 1 ? 'task' : 'tasks'}`, 'success', changed > 0 ? this.getUndoAction() : {});
+    }
+
+    /**
+     * Ask before deleting the selected tasks, then delete them as one undoable step
+     */
+    confirmDeleteSelected() {
+        const tasks = this.getSelectedTasks();
+        if (tasks.length === 0) return;
+        
+        const subtaskCount = tasks.reduce((count, task) => count + getSubtaskProgress(task).total, 0);
+        const taskText = `${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}`;
+        const subtaskText = subtaskCount > 0 ? ` and ${subtaskCount} ${subtaskCount === 1 ? 'subtask' : 'subtasks'}` : '';
+        
+        this.showModal(
+            'Delete Selected Tasks',
+            `Are you sure you want to delete ${taskText}${subtaskText}?`,
+            () => {
+                this.saveState('Delete selected tasks');
+                const ids = new Set(tasks.map(task => task.id));
+                this.tasks = this.tasks.filter(task => !ids.has(task.id));
+                this.selectedTasks.clear();
+                this.saveData();
+                this.render();
+                this.showNotification(`${taskText} deleted`, 'success', this.getUndoAction());
+            },
+            { confirmLabel: 'Delete' }
+        );
+    }
+
+    /**
+     * Export tasks in the format chosen next to the Export button
+     */
+    handleExport() {
+        switch (this.elements.exportFormat.value) {
+            case 'csv':
+                return this.exportCSV();
+            case 'ics':
+                return this.exportICS();
+            case 'todotxt':
+                return this.exportTodoTxt();
+            case 'json':
+            default:
+                return this.exportBackup();
+        }
+    }
+
+    /**
+     * Download all tasks as a JSON backup file
+     */
+    async exportBackup() {
+        const data = await exportTasks();
+        if (!data) {
+            this.showNotification('Failed to export tasks', 'error');
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`taskflow-backup-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+        this.showNotification(`Exported ${data.tasks.length} tasks`, 'success');
+    }
+
+    /**
+     * Download all tasks as a CSV file
+     */
+    async exportCSV() {
+        const csv = await exportTasksCSV();
+        if (csv === null) {
+            this.showNotification('Failed to export tasks', 'error');
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`taskflow-tasks-${date}.csv`, csv.text, 'text/csv');
+        this.showNotification(`Exported ${csv.count} tasks as CSV`, 'success');
+    }
+
+    /**
+     * Download all tasks as an iCalendar (.ics) file of to-dos
+     */
+    async exportICS() {
+        const ics = await exportTasksICS();
+        if (ics === null) {
+            this.showNotification('Failed to export tasks', 'error');
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`taskflow-tasks-${date}.ics`, ics.text, 'text/calendar');
+        this.showNotification(`Exported ${ics.count} tasks as iCalendar`, 'success');
+    }
+
+    /**
+     * Download all tasks as a todo.txt file
+     */
+    async exportTodoTxt() {
+        const todoTxt = await exportTasksTodoTxt();
+        if (todoTxt === null) {
+            this.showNotification('Failed to export tasks', 'error');
+            return;
+        }
+        
+        this.downloadFile('todo.txt', todoTxt.text, 'text/plain');
+        this.showNotification(`Exported ${todoTxt.count} tasks as todo.txt`, 'success');
+    }
+
+    /**
+     * Read an import file chosen by the user and route it by file type
+     */
+    async handleImportFile(e) {
+        const file = e.target.files && e.target.files[0];
+        // Reset so choosing the same file again still fires `change`
+        e.target.value = '';
+        if (!file) return;
+        
+        let text;
+        try {
+            text = await file.text();
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            this.showNotification('Could not read the selected file', 'error');
+            return;
+        }
+        
+        const extension = file.name.split('.').pop().toLowerCase();
+        switch (extension) {
+            case 'csv':
+                this.previewCSVImport(file.name, text);
+                break;
+            case 'md':
+            case 'markdown':
+                this.importMarkdown(text);
+                break;
+            case 'ics':
+                this.importICS(text);
+                break;
+            case 'txt':
+                this.importTodoTxt(text);
+                break;
+            case 'json':
+            default:
+                this.previewBackupImport(file.name, text);
+                break;
+        }
+    }
+
+    /**
+     * Validate a JSON backup and preview the import
+     * @param {string} fileName - Name of the chosen file
+     * @param {string} text - File contents
+     */
+    previewBackupImport(fileName, text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.error('Failed to read backup file:', error);
+            this.showNotification('Backup file is not valid JSON', 'error');
+            return;
+        }
+        
+        const validation = validateBackupData(data);
+        if (!validation.isValid) {
+            this.showNotification(validation.errors[0].message, 'error');
+            return;
+        }
+        
+        let plan;
+        try {
+            plan = planImport(data, this.tasks);
+        } catch (error) {
+            console.error('Failed to plan import:', error);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        const versionNote = validation.warnings.length > 0 ? ` ${validation.warnings[0].message}.` : '';
+        const taskText = data.tasks.length === 1 ? 'task' : 'tasks';
+        this.showModal(
+            'Import Backup',
+            `"${fileName}" contains ${data.tasks.length} ${taskText}.${versionNote} Merge them into your list or replace your list with them?`,
+            () => this.importBackup(data, 'merge'),
+            {
+                confirmLabel: 'Merge',
+                alternative: {
+                    label: 'Replace',
+                    onSelect: () => this.importBackup(data, 'replace')
+                },
+                renderDetails: (container) => renderImportPreview(container, plan)
+            }
+        );
+    }
+
+    /**
+     * Apply a validated backup
+     * @param {Object} data - Parsed backup data
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async importBackup(data, mode) {
+        const result = await importTasks(data, { mode, currentTasks: this.tasks, currentLists: this.lists });
+        if (!result) {
+            this.showNotification('Failed to import backup', 'error');
+            return;
+        }
+        
+        this.applyImportedTasks('Import backup', result.tasks, result.lists);
+        
+        const action = mode === 'replace' ? 'Replaced list with' : 'Merged';
+        this.showNotification(`${action} backup (${result.tasks.length} tasks)`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Put imported tasks (and lists) in place as one undoable action
+     * Imports only return the result, so it is saved once, here
+     * @param {string} label - Undo label
+     * @param {Array} tasks - Tasks after the import
+     * @param {Array|null} lists - Lists after the import, if it changed them
+     */
+    applyImportedTasks(label, tasks, lists = null) {
+        this.saveState(label);
+        this.tasks = normalizePositions(tasks);
+        if (lists) {
+            this.lists = ensureTaskLists(lists, this.tasks);
+            this.saveLists();
+        }
+        this.saveData();
+        this.render();
+    }
+
+    /**
+     * Parse a CSV file and ask the user how its columns map to task fields
+     * @param {string} fileName - Name of the chosen file
+     * @param {string} text - File contents
+     */
+    previewCSVImport(fileName, text) {
+        let records;
+        try {
+            records = parseCSV(text);
+        } catch (error) {
+            console.error('Failed to parse CSV:', error);
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        if (records.length < 2) {
+            this.showNotification('CSV file has no task rows', 'warning');
+            return;
+        }
+        
+        const headers = records[0].fields;
+        const sample = records[1].fields;
+        const rowCount = records.length - 1;
+        
+        this.showModal(
+            'Import CSV',
+            `"${fileName}" has ${rowCount} ${rowCount === 1 ? 'row' : 'rows'}. Choose which task field each column fills; the first row is treated as headers.`,
+            () => {
+                // Read the selection before the modal is cleared
+                const mapping = headers.map(() => '');
+                this.elements.modalDetails.querySelectorAll('select[data-column]').forEach(select => {
+                    mapping[Number(select.dataset.column)] = select.value;
+                });
+                this.importCSV(records, mapping);
+            },
+            {
+                confirmLabel: 'Import',
+                renderDetails: (container) => renderColumnMapping(container, headers, sample, guessColumnMapping(headers), getCSVFields())
+            }
+        );
+    }
+
+    /**
+     * Import CSV records with the chosen column mapping
+     * @param {Array<Object>} records - Parsed CSV records
+     * @param {Array<string>} mapping - Task field per column
+     */
+    async importCSV(records, mapping) {
+        if (!mapping.includes('text')) {
+            this.showNotification('Choose which column holds the task text', 'error');
+            return;
+        }
+        
+        const result = await importTasksCSV(records, mapping, { currentTasks: this.tasks, listId: this.getTargetListId() });
+        this.applyImportResult(result, 'CSV');
+    }
+
+    /**
+     * Add tasks from a Markdown checklist
+     * @param {string} text - Markdown text
+     */
+    async importMarkdown(text) {
+        const result = await importTasksMarkdown(text, { currentTasks: this.tasks, listId: this.getTargetListId() });
+        
+        if (result && result.imported.length === 0 && result.rejected.length === 0) {
+            this.showNotification('No "- [ ]" checklist items found', 'warning');
+            return;
+        }
+        
+        this.applyImportResult(result, 'Markdown');
+    }
+
+    /**
+     * Add tasks from the VTODO components of an iCalendar file
+     * @param {string} text - iCalendar text
+     */
+    async importICS(text) {
+        const result = await importTasksICS(text, { currentTasks: this.tasks, listId: this.getTargetListId() });
+        
+        if (result && result.imported.length === 0 && result.rejected.length === 0) {
+            this.showNotification('No to-dos (VTODO) found in this calendar', 'warning');
+            return;
+        }
+        
+        this.applyImportResult(result, 'iCalendar');
+    }
+
+    /**
+     * Add tasks from a todo.txt file
+     * @param {string} text - todo.txt contents
+     */
+    async importTodoTxt(text) {
+        const result = await importTasksTodoTxt(text, { currentTasks: this.tasks, listId: this.getTargetListId() });
+        
+        if (result && result.imported.length === 0 && result.rejected.length === 0) {
+            this.showNotification('No tasks found in this file', 'warning');
+            return;
+        }
+        
+        this.applyImportResult(result, 'todo.txt');
+    }
+
+    /**
+     * Show the imported tasks and report any rejected lines
+     * @param {Object|null} result - { tasks, imported, rejected } from storage
+     * @param {string} source - Source format name for messages
+     */
+    applyImportResult(result, source) {
+        if (!result) {
+            this.showNotification(`Failed to import ${source}`, 'error');
+            return;
+        }
+        
+        const { tasks, imported, rejected } = result;
+        if (imported.length > 0) {
+            this.applyImportedTasks(`Import ${source}`, tasks);
+        }
+        
+        if (rejected.length === 0) {
+            this.showNotification(`Imported ${imported.length} tasks from ${source}`, 'success', imported.length > 0 ? this.getUndoAction() : {});
+            return;
+        }
+        
+        this.showModal(
+            `${source} Import Report`,
+            `Imported ${imported.length} tasks. ${rejected.length} ${rejected.length === 1 ? 'line was' : 'lines were'} rejected:`,
+            null,
+            {
+                confirmLabel: 'OK',
+                renderDetails: (container) => renderRowErrors(container, rejected)
+            }
+        );
+    }
+
+    /**
+     * Copy the currently filtered tasks as a GitHub-flavored checklist, in the order shown
+     */
+    async copyMarkdownChecklist() {
+        const listTasks = getListTasks(this.tasks, this.currentList);
+        const now = this.getCurrentTime();
+        const { sortBy, sortOrder } = this.getSort();
+        const visibleTasks = sortTasks(
+            searchTasks(filterTasks(listTasks, this.currentFilter, now, this.currentTag), this.getSearch(), now),
+            sortBy,
+            sortOrder
+        );
+        if (visibleTasks.length === 0) {
+            this.showNotification('No tasks to copy', 'warning');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(tasksToMarkdown(visibleTasks));
+            this.showNotification(`Copied ${visibleTasks.length} tasks as Markdown`, 'success');
+        } catch (error) {
+            console.error('Failed to copy checklist:', error);
+            this.showNotification('Clipboard is not available', 'error');
+        }
+    }
+
+    /**
+     * Ask the user to paste a Markdown checklist
+     */
+    showMarkdownPaste() {
+        let textarea = null;
+        
+        this.showModal(
+            'Paste Checklist',
+            'Paste Markdown with "- [ ]" / "- [x]" items. Nested items keep their parent as a group.',
+            () => this.importMarkdown(textarea ? textarea.value : ''),
+            {
+                confirmLabel: 'Import',
+                renderDetails: (container) => {
+                    textarea = renderPasteArea(container, '- [ ] First task');
+                }
+            }
+        );
+        
+        if (textarea) textarea.focus();
+    }
+
+    /**
+     * Trigger a browser download for generated content
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Check whether an ID names a known list or the all-lists overview
+     * @param {string} listId - List ID
+     * @returns {boolean} - Whether the ID can be selected
+     */
+    isKnownList(listId) {
+        return listId === ALL_LISTS_ID || this.lists.some(list => list.id === listId);
+    }
+
+    /**
+     * Get the list new tasks go to
+     * The all-lists overview adds to the default list
+     * @returns {string} - List ID
+     */
+    getTargetListId() {
+        return this.currentList === ALL_LISTS_ID ? DEFAULT_LIST_ID : this.currentList;
+    }
+
+    /**
+     * Switch to another list and remember it in settings
+     * @param {string} listId - List ID or ALL_LISTS_ID
+     */
+    switchList(listId) {
+        if (!this.isKnownList(listId)) return;
+        
+        this.currentList = listId;
+        this.settings.list = listId;
+        this.saveSettings();
+        this.render();
+    }
+
+    /**
+     * Show the modal for creating a list or renaming one
+     * @param {string|null} listId - List to rename, or null to create a list
+     */
+    showListEditor(listId = null) {
+        const list = this.lists.find(l => l.id === listId) || null;
+        if (listId && !list) return;
+        
+        let nameInput = null;
+        
+        this.showModal(
+            list ? 'Rename List' : 'New List',
+            list ? `Choose a new name for "${list.name}".` : 'Name the new list, e.g. "Work" or "Home".',
+            () => {
+                // Read the input before the modal is cleared
+                const input = this.elements.modalDetails.querySelector('[data-field="name"]');
+                this.saveList(listId, input ? input.value : '');
+            },
+            {
+                confirmLabel: list ? 'Rename' : 'Create',
+                renderDetails: (container) => {
+                    nameInput = renderListEditor(container, list);
+                }
+            }
+        );
+        
+        if (nameInput) nameInput.focus();
+    }
+
+    /**
+     * Create a list or rename an existing one
+     * A new list is selected straight away
+     * @param {string|null} listId - List to rename, or null to create a list
+     * @param {string} name - List name as typed
+     */
+    async saveList(listId, name) {
+        const validation = validateListName(name, this.lists, listId);
+        if (!validation.isValid) {
+            this.showNotification(validation.errors[0].message, 'error');
+            return;
+        }
+        
+        if (listId) {
+            this.lists = this.lists.map(list => (list.id === listId ? { ...list, name: validation.cleaned } : list));
+        } else {
+            const list = createList(validation.cleaned);
+            this.lists = [...this.lists, list];
+            this.currentList = list.id;
+            this.settings.list = list.id;
+            this.saveSettings();
+        }
+        
+        await this.saveLists();
+        this.render();
+        this.showNotification(listId ? 'List renamed!' : `List "${validation.cleaned}" created!`, 'success');
+    }
+
+    /**
+     * Ask how to delete a list: with its tasks, or moving them to the default list
+     * @param {string} listId - List ID
+     */
+    confirmDeleteList(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list || listId === DEFAULT_LIST_ID) return;
+        
+        const taskCount = getListTasks(this.tasks, listId).length;
+        if (taskCount === 0) {
+            this.showModal(
+                'Delete List',
+                `Are you sure you want to delete the empty list "${list.name}"?`,
+                () => this.deleteList(listId, false),
+                { confirmLabel: 'Delete' }
+            );
+            return;
+        }
+        
+        const defaultName = this.lists[0].name;
+        this.showModal(
+            'Delete List',
+            `"${list.name}" contains ${taskCount} tasks. Delete them with the list, or move them to "${defaultName}"?`,
+            () => this.deleteList(listId, false),
+            {
+                confirmLabel: 'Delete tasks',
+                alternative: {
+                    label: `Move to ${defaultName}`,
+                    onSelect: () => this.deleteList(listId, true)
+                }
+            }
+        );
+    }
+
+    /**
+     * Delete a list
+     * @param {string} listId - List ID
+     * @param {boolean} keepTasks - Move the list's tasks to the default list instead of deleting them
+     */
+    async deleteList(listId, keepTasks) {
+        if (listId === DEFAULT_LIST_ID) return;
+        
+        const listTasks = getListTasks(this.tasks, listId);
+        this.saveState('Delete list');
+        if (keepTasks) {
+            const now = this.getCurrentTime().toISOString();
+            listTasks.forEach(task => {
+                setList(task, DEFAULT_LIST_ID);
+                task.updatedAt = now;
+            });
+        } else {
+            this.tasks = this.tasks.filter(task => !listTasks.includes(task));
+        }
+        
+        this.lists = this.lists.filter(list => list.id !== listId);
+        this.saveData();
+        await this.saveLists();
+        this.switchList(DEFAULT_LIST_ID);
+        this.showNotification('List deleted!', 'success', this.getUndoAction());
+    }
+
+    /**
+     * Set current filter
+     */
+    setFilter(filter) {
+        this.currentFilter = filter;
+        this.settings.filter = filter;
+        this.saveSettings();
+        this.render();
+    }
+
+    /**
+     * Filter the list by a search box query
+     * @param {string} input - Query text
+     */
+    setSearch(input) {
+        this.searchQuery = parseSearchQuery(input);
+        this.render();
+    }
+
+    /**
+     * Clear the search with Escape (a second Escape leaves the search box)
+     */
+    handleSearchKeydown(e) {
+        if (e.key !== 'Escape' || !e.target.value) return;
+        
+        e.stopPropagation();
+        e.target.value = '';
+        this.setSearch('');
+    }
+
+    /**
+     * Get the saved view selected in the filter bar
+     * @returns {Object|null} - View, or null when a built-in filter is selected
+     */
+    getActiveView() {
+        return findView(this.settings.views || [], this.currentFilter);
+    }
+
+    /**
+     * Get the search the list is filtered by: the active view's query
+     * together with the search box
+     * @returns {Object|null} - Query for searchTasks
+     */
+    getSearch() {
+        const view = this.getActiveView();
+        return view ? combineSearches(parseSearchQuery(view.query), this.searchQuery) : this.searchQuery;
+    }
+
+    /**
+     * Show the form for a new saved view or for editing one
+     * A new view starts from the current search and sort order
+     * @param {string|null} viewId - View to edit, or null to create one
+     */
+    showViewEditor(viewId = null) {
+        const views = this.settings.views;
+        const view = views.find(v => v.id === viewId) || null;
+        if (viewId && !view) return;
+        
+        const draft = view || createView('', {
+            query: this.elements.taskSearch ? this.elements.taskSearch.value : '',
+            ...this.getSort()
+        });
+        let nameInput = null;
+        
+        this.showModal(
+            view ? 'Edit View' : 'New View',
+            view
+                ? `Change which tasks "${view.name}" shows and how they are sorted.`
+                : 'Name a search to keep it as a tab, e.g. "Stale" for is:active updated:>14d.',
+            () => {
+                // Read the form before the modal is cleared
+                const values = {};
+                this.elements.modalDetails.querySelectorAll('[data-field]').forEach(input => {
+                    values[input.dataset.field] = input.value;
+                });
+                this.saveView(viewId, values);
+            },
+            {
+                confirmLabel: view ? 'Save' : 'Create',
+                alternative: view
+                    ? { label: 'Delete view', onSelect: () => this.deleteView(viewId) }
+                    : null,
+                renderDetails: (container) => {
+                    nameInput = renderViewEditor(container, draft, view ? views.indexOf(view) : null, views.length);
+                }
+            }
+        );
+        
+        if (nameInput) nameInput.focus();
+    }
+
+    /**
+     * Create a saved view or update an existing one
+     * A new view is selected straight away
+     * @param {string|null} viewId - View to update, or null to create one
+     * @param {Object} values - { name, query, sortBy, sortOrder, position } from the form
+     */
+    saveView(viewId, values) {
+        const validation = validateView(values, this.settings.views, viewId);
+        if (!validation.isValid) {
+            this.showNotification(validation.errors[0].message, 'error');
+            return;
+        }
+        
+        const { name, query } = validation.cleaned;
+        const fields = { query, sortBy: values.sortBy, sortOrder: values.sortOrder };
+        
+        if (viewId) {
+            const views = this.settings.views.map(view => (view.id === viewId ? createView(name, { ...view, ...fields }) : view));
+            const position = Number.parseInt(values.position, 10);
+            this.settings.views = Number.isInteger(position) ? moveView(views, viewId, position) : views;
+        } else {
+            const view = createView(name, fields);
+            this.settings.views = [...this.settings.views, view];
+            this.currentFilter = getViewFilter(view);
+            this.settings.filter = this.currentFilter;
+        }
+        
+        this.saveSettings();
+        this.render();
+        this.showNotification(viewId ? 'View saved!' : `View "${name}" created!`, 'success');
+    }
+
+    /**
+     * Delete a saved view (its tasks are not touched)
+     * @param {string} viewId - View ID
+     */
+    deleteView(viewId) {
+        const view = this.settings.views.find(v => v.id === viewId);
+        if (!view) return;
+        
+        this.settings.views = this.settings.views.filter(v => v !== view);
+        if (this.currentFilter === getViewFilter(view)) {
+            this.currentFilter = 'all';
+            this.settings.filter = 'all';
+        }
+        
+        this.saveSettings();
+        this.render();
+        this.showNotification(`View "${view.name}" deleted`, 'success');
+    }
+
+    /**
+     * Limit the list to one tag, or clicking the active tag again clears it
+     * @param {string|null} tag - Tag to filter by; empty clears the filter
+     */
+    setTagFilter(tag) {
+        this.currentTag = tag && tag !== this.currentTag ? tag : null;
+        this.render();
+    }
+
+    /**
+     * Handle clicks on the tag chips under the filter buttons
+     */
+    handleTagBarClick(e) {
+        const chip = e.target.closest('.tag-chip');
+        if (!chip) return;
+        
+        this.setTagFilter(chip.dataset.tag || null);
+    }
+
+    /**
+     * Ask which tags to rename or merge, and the name to use instead
+     */
+    showTagManager() {
+        const tagCounts = countTags(this.tasks);
+        if (tagCounts.length === 0) {
+            this.showNotification('No tags yet. Add #tags to your tasks first.', 'warning');
+            return;
+        }
+        
+        let targetInput = null;
+        
+        this.showModal(
+            'Rename or Merge Tags',
+            'Tick one tag to rename it, or several to merge them into one tag across all tasks.',
+            () => {
+                // Read the selection before the modal is cleared
+                const sources = [...this.elements.modalDetails.querySelectorAll('input[data-tag]:checked')]
+                    .map(checkbox => checkbox.dataset.tag);
+                this.mergeTags(sources, targetInput ? targetInput.value : '');
+            },
+            {
+                confirmLabel: 'Apply',
+                renderDetails: (container) => {
+                    targetInput = renderTagManager(container, tagCounts, this.currentTag);
+                }
+            }
+        );
+        
+        if (targetInput) targetInput.focus();
+    }
+
+    /**
+     * Replace tags with a single tag on every task
+     * @param {Array<string>} sources - Tags to rename or merge
+     * @param {string} targetName - New tag name (with or without #)
+     */
+    mergeTags(sources, targetName) {
+        const target = normalizeTag(targetName);
+        
+        if (sources.length === 0) {
+            this.showNotification('Select at least one tag', 'error');
+            return;
+        }
+        
+        if (!target) {
+            this.showNotification('Tag names must start with a letter and contain no spaces', 'error');
+            return;
+        }
+        
+        if (sources.every(tag => tag === target)) {
+            this.showNotification(`Tag is already called #${target}`, 'info');
+            return;
+        }
+        
+        this.saveState(sources.length === 1 ? 'Rename tag' : 'Merge tags');
+        const changed = mergeTags(this.tasks, sources, target);
+        
+        if (sources.includes(this.currentTag)) {
+            this.currentTag = target;
+        }
+        
+        this.saveData();
+        this.render();
+        
+        const action = sources.length === 1 ? `Renamed #${sources[0]}` : `Merged ${sources.length} tags`;
+        this.showNotification(`${action} to #${target} on ${changed} ${changed === 1 ? 'task' : 'tasks'}`, 'success');
+    }
+
+    /**
+     * Set the sort key and direction
+     * @param {string} sortBy - Sort key ('createdAt', 'updatedAt', 'text', 'completed', 'priority' or 'manual')
+     * @param {string} sortOrder - 'asc' or 'desc'
+     */
+    setSort(sortBy, sortOrder) {
+        // A saved view keeps its own sort order
+        const view = this.getActiveView();
+        if (view) {
+            this.settings.views = this.settings.views.map(v => (v === view ? { ...v, sortBy, sortOrder } : v));
+        } else {
+            this.settings.sortBy = sortBy;
+            this.settings.sortOrder = sortOrder;
+        }
+        this.saveSettings();
+        this.render();
+    }
+
+    /**
+     * Flip the sort direction
+     */
+    toggleSortOrder() {
+        const { sortBy, sortOrder } = this.getSort();
+        this.setSort(sortBy, sortOrder === 'asc' ? 'desc' : 'asc');
+    }
+
+    /**
+     * Get the sort order of the list as shown
+     * @returns {Object} - { sortBy, sortOrder } of the active view, or from the settings
+     */
+    getSort() {
+        const view = this.getActiveView();
+        return view
+            ? { sortBy: view.sortBy, sortOrder: view.sortOrder }
+            : { sortBy: this.settings.sortBy, sortOrder: this.settings.sortOrder };
+    }
+
+    /**
+     * Initialize theme from settings
+     */
+    initializeTheme() {
+        document.documentElement.setAttribute('data-theme', this.settings.theme);
+        this.updateThemeToggle();
+    }
+
+    /**
+     * Toggle theme between light and dark
+     */
+    toggleTheme() {
+        const newTheme = this.settings.theme === 'light' ? 'dark' : 'light';
+        this.settings.theme = newTheme;
+        
+        document.documentElement.setAttribute('data-theme', newTheme);
+        this.updateThemeToggle();
+        this.saveSettings();
+        
+        this.showNotification(`Switched to ${newTheme} theme`, 'success');
+    }
+
+    /**
+     * Update theme toggle button
+     */
+    updateThemeToggle() {
+        const themeIcon = this.elements.themeToggle.querySelector('.theme-icon');
+        if (themeIcon) {
+            themeIcon.textContent = this.settings.theme === 'light' ? '🌙' : '☀️';
+        }
+    }
+
+    /**
+     * Setup keyboard shortcuts
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Ctrl/Cmd + Enter to add task
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                if (this.elements.taskInput === document.activeElement) {
+                    this.elements.taskForm.dispatchEvent(new Event('submit'));
+                }
+            }
+            
+            // Command palette (Ctrl/Cmd + K), also from text fields
+            if ((e.ctrlKey || e.metaKey) && (e.key || '').toLowerCase() === 'k') {
+                e.preventDefault();
+                this.openCommandPalette();
+                return;
+            }
+            
+            // Single-key shortcuts, unless typing or a dialog is open
+            if (!e.ctrlKey && !e.metaKey && !e.altKey && !this.isTextEntry(e.target) &&
+                !this.elements.modalOverlay.classList.contains('show') && this.handleShortcutKey(e)) {
+                e.preventDefault();
+                return;
+            }
+            
+            // Escape clears the selection, or focuses the input and closes a modal
+            if (e.key === 'Escape') {
+                if (this.selectedTasks.size > 0 && !this.elements.modalOverlay.classList.contains('show')) {
+                    this.clearSelection();
+                } else {
+                    this.elements.taskInput.focus();
+                    this.hideModal();
+                }
+            }
+            
+            // Undo (Ctrl/Cmd + Z) and redo (Ctrl/Cmd + Shift + Z or Ctrl + Y);
+            // text fields keep their own undo
+            const key = (e.key || '').toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !this.isTextEntry(e.target)) {
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            }
+            
+            // Theme toggle shortcut (Ctrl/Cmd + D)
+            if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
+                e.preventDefault();
+                this.toggleTheme();
+            }
+        });
+    }
+
+    /**
+     * Handle a single-key shortcut: j/k and the arrow keys move between
+     * tasks, x/e/Delete act on the focused task, / searches, ? shows help
+     * @param {KeyboardEvent} e - Key event (without Ctrl, Cmd or Alt)
+     * @returns {boolean} - Whether the key was a shortcut
+     */
+    handleShortcutKey(e) {
+        const taskElement = e.target.closest ? e.target.closest('.task') : null;
+        // Subtasks have their own controls; row shortcuts leave them alone
+        const task = taskElement && !e.target.closest('.subtasks') ? taskElement : null;
+        
+        switch (e.key) {
+            case 'j':
+                this.focusAdjacentTask(1);
+                return true;
+            case 'k':
+                this.focusAdjacentTask(-1);
+                return true;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                // Arrows keep scrolling the page unless a task has focus
+                if (!task) return false;
+                this.focusAdjacentTask(e.key === 'ArrowDown' ? 1 : -1);
+                return true;
+            case '/':
+                if (!this.elements.taskSearch) return false;
+                this.elements.taskSearch.focus();
+                this.elements.taskSearch.select();
+                return true;
+            case '?':
+                this.showShortcutHelp();
+                return true;
+            case 'x':
+                if (!task) return false;
+                this.toggleFocusedTask(task.dataset.id);
+                return true;
+            case 'e':
+                if (!task) return false;
+                this.startInlineEdit(task.dataset.id);
+                return true;
+            case 'Delete':
+                if (!task) return false;
+                this.confirmDeleteTask(task.dataset.id, this.shownTaskIds.indexOf(task.dataset.id));
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Move focus to the next or previous task row
+     * Without a focused task, starts at the first (or last) one
+     * @param {number} offset - 1 for the next task, -1 for the previous one
+     */
+    focusAdjacentTask(offset) {
+        const ids = this.shownTaskIds;
+        if (ids.length === 0) return;
+        
+        const focusedRow = document.activeElement && document.activeElement.closest('.task');
+        const current = focusedRow ? ids.indexOf(focusedRow.dataset.id) : -1;
+        const index = current === -1
+            ? (offset > 0 ? 0 : ids.length - 1)
+            : Math.min(Math.max(current + offset, 0), ids.length - 1);
+        
+        this.focusTask(ids[index]);
+    }
+
+    /**
+     * Toggle the focused task and keep focus in the list
+     * @param {string} taskId - Task ID
+     */
+    toggleFocusedTask(taskId) {
+        const index = this.shownTaskIds.indexOf(taskId);
+        this.toggleTask(taskId);
+        
+        // Unfinished subtasks ask first; the dialog keeps focus
+        if (!this.elements.modalOverlay.classList.contains('show')) {
+            this.restoreTaskFocus(taskId, index);
+        }
+    }
+
+    /**
+     * Focus a task after a change, or the row now in its place if the
+     * task left the list (e.g. completed under the Active filter)
+     * @param {string} taskId - Task ID
+     * @param {number} index - The task's row index before the change
+     */
+    restoreTaskFocus(taskId, index) {
+        const ids = this.shownTaskIds;
+        const id = ids.includes(taskId) ? taskId : ids[Math.min(index, ids.length - 1)];
+        if (id) this.focusTask(id);
+    }
+
+    /**
+     * Show the keyboard shortcut overview
+     */
+    showShortcutHelp() {
+        this.showModal(
+            'Keyboard Shortcuts',
+            'Single-key shortcuts work whenever you are not typing in a text field.',
+            null,
+            {
+                confirmLabel: 'Close',
+                showCancel: false,
+                renderDetails: (container) => renderShortcutHelp(container, getKeyBindings())
+            }
+        );
+    }
+
+    /**
+     * Get every action the command palette offers, for the current state
+     * @returns {Array} - Commands ({ id, label, keys, run })
+     */
+    getCommands() {
+        const commands = [
+            { id: 'add-task', label: 'Add task', run: () => this.elements.taskInput.focus() },
+            { id: 'search', label: 'Search tasks', keys: '/', run: () => this.elements.taskSearch.focus() },
+            { id: 'undo', label: 'Undo', keys: 'Ctrl/Cmd + Z', run: () => this.undo() },
+            { id: 'redo', label: 'Redo', keys: 'Ctrl/Cmd + Shift + Z', run: () => this.redo() },
+            { id: 'theme', label: 'Toggle dark/light theme', keys: 'Ctrl/Cmd + D', run: () => this.toggleTheme() },
+            { id: 'shortcuts', label: 'Show keyboard shortcuts', keys: '?', run: () => this.showShortcutHelp() }
+        ];
+        
+        // Filters, taking their labels from the filter buttons
+        this.elements.filterSection.querySelectorAll('.filter-btn:not(.view-btn)').forEach(button => {
+            const filter = button.dataset.filter;
+            commands.push({ id: `filter-${filter}`, label: `Show: ${button.firstChild.textContent.trim()}`, run: () => this.setFilter(filter) });
+        });
+        (this.settings.views || []).forEach(view => {
+            commands.push({ id: `view-${view.id}`, label: `Open view: ${view.name}`, run: () => this.setFilter(getViewFilter(view)) });
+        });
+        commands.push({ id: 'new-view', label: 'New view…', run: () => this.showViewEditor() });
+        const activeView = this.getActiveView();
+        if (activeView) {
+            commands.push({ id: 'edit-view', label: 'Edit view…', run: () => this.showViewEditor(activeView.id) });
+        }
+        
+        // Search and tag filters
+        if (this.elements.taskSearch && this.elements.taskSearch.value) {
+            commands.push({
+                id: 'clear-search',
+                label: 'Clear search',
+                run: () => {
+                    this.elements.taskSearch.value = '';
+                    this.setSearch('');
+                }
+            });
+        }
+        countTags(getListTasks(this.tasks, this.currentList)).forEach(({ tag }) => {
+            commands.push({ id: `tag-${tag}`, label: `Filter by tag: #${tag}`, run: () => this.setTagFilter(tag) });
+        });
+        if (this.currentTag) {
+            commands.push({ id: 'clear-tag', label: 'Clear tag filter', run: () => this.setTagFilter(null) });
+        }
+        commands.push({ id: 'manage-tags', label: 'Rename or merge tags…', run: () => this.showTagManager() });
+        
+        // Sorting
+        getSortOptions().forEach(({ key, label }) => {
+            commands.push({ id: `sort-${key}`, label: `Sort by: ${label}`, run: () => this.setSort(key, getDefaultSortOrder(key)) });
+        });
+        if (this.getSort().sortBy !== MANUAL_SORT) {
+            commands.push({ id: 'sort-order', label: 'Reverse sort order', run: () => this.toggleSortOrder() });
+        }
+        
+        // Lists
+        [{ id: ALL_LISTS_ID, name: 'All lists' }, ...this.lists].forEach(list => {
+            commands.push({ id: `list-${list.id}`, label: `Switch to list: ${list.name}`, run: () => this.switchList(list.id) });
+        });
+        commands.push({ id: 'new-list', label: 'New list…', run: () => this.showListEditor() });
+        if (this.currentList !== ALL_LISTS_ID) {
+            commands.push({ id: 'rename-list', label: 'Rename list…', run: () => this.showListEditor(this.currentList) });
+        }
+        if (this.currentList !== ALL_LISTS_ID && this.currentList !== DEFAULT_LIST_ID) {
+            commands.push({ id: 'delete-list', label: 'Delete list…', run: () => this.confirmDeleteList(this.currentList) });
+        }
+        
+        // Tasks and selection
+        commands.push(
+            { id: 'toggle-all', label: 'Complete or reactivate all tasks', run: () => this.toggleAllTasks() },
+            { id: 'clear-completed', label: 'Clear completed tasks', run: () => this.clearCompletedTasks() },
+            { id: 'select-mode', label: this.isSelecting ? 'Leave selection mode' : 'Selection mode', run: () => this.toggleSelectionMode() }
+        );
+        if (this.selectedTasks.size > 0) {
+            commands.push(
+                { id: 'complete-selected', label: 'Complete selected tasks', run: () => this.setSelectedCompleted(true) },
+                { id: 'reactivate-selected', label: 'Reactivate selected tasks', run: () => this.setSelectedCompleted(false) },
+                { id: 'tag-selected', label: 'Tag selected tasks…', run: () => this.showBulkTagEditor() },
+                { id: 'delete-selected', label: 'Delete selected tasks…', run: () => this.confirmDeleteSelected() },
+                { id: 'clear-selection', label: 'Clear selection', keys: 'Escape', run: () => this.clearSelection() }
+            );
+            this.lists.forEach(list => {
+                commands.push({ id: `move-selected-${list.id}`, label: `Move selected tasks to: ${list.name}`, run: () => this.moveSelectedTasks(list.id) });
+            });
+        }
+        
+        // Backup and sharing, one export command per format
+        [...this.elements.exportFormat.options].forEach(option => {
+            commands.push({
+                id: `export-${option.value}`,
+                label: `Export as ${option.textContent}`,
+                run: () => {
+                    this.elements.exportFormat.value = option.value;
+                    this.handleExport();
+                }
+            });
+        });
+        commands.push(
+            { id: 'import', label: 'Import tasks…', run: () => this.elements.importFile.click() },
+            { id: 'copy-markdown', label: 'Copy checklist', run: () => this.copyMarkdownChecklist() },
+            { id: 'paste-markdown', label: 'Paste checklist…', run: () => this.showMarkdownPaste() }
+        );
+        
+        return commands;
+    }
+
+    /**
+     * Open the command palette
+     */
+    openCommandPalette() {
+        if (this.palette || !this.elements.commandPalette) return;
+        
+        this.hideModal();
+        this.palette = {
+            commands: this.getCommands(),
+            results: [],
+            activeIndex: 0,
+            returnFocus: document.activeElement
+        };
+        
+        this.elements.commandInput.value = '';
+        this.elements.commandPalette.classList.add('show');
+        this.updateCommandPalette();
+        this.elements.commandInput.focus();
+    }
+
+    /**
+     * Close the command palette
+     * @param {boolean} restoreFocus - Whether to focus what had focus before it opened
+     */
+    closeCommandPalette(restoreFocus = true) {
+        if (!this.palette) return;
+        
+        const { returnFocus } = this.palette;
+        this.palette = null;
+        this.elements.commandPalette.classList.remove('show');
+        this.elements.commandInput.removeAttribute('aria-activedescendant');
+        
+        if (restoreFocus && returnFocus && returnFocus.isConnected && returnFocus.focus) {
+            returnFocus.focus();
+        }
+    }
+
+    /**
+     * Filter the palette's commands by what was typed
+     */
+    updateCommandPalette() {
+        if (!this.palette) return;
+        
+        this.palette.results = searchCommands(this.palette.commands, this.elements.commandInput.value);
+        this.palette.activeIndex = 0;
+        this.renderCommandPalette();
+    }
+
+    /**
+     * Render the palette results and mark the highlighted one
+     */
+    renderCommandPalette() {
+        const { results, activeIndex } = this.palette;
+        renderCommandList(this.elements.commandList, results, activeIndex);
+        
+        const active = document.getElementById(`command-option-${activeIndex}`);
+        if (active) {
+            this.elements.commandInput.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.elements.commandInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Handle keys in the palette: arrows pick a command, Enter runs it,
+     * Escape (or Ctrl/Cmd + K again) closes the palette
+     * Keys stay in the palette, so app shortcuts don't fire behind it
+     */
+    handleCommandPaletteKeydown(e) {
+        e.stopPropagation();
+        if (!this.palette) return;
+        
+        const { results } = this.palette;
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (results.length === 0) return;
+                this.palette.activeIndex = (this.palette.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+                this.renderCommandPalette();
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.runCommand(this.palette.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.closeCommandPalette();
+                break;
+            case 'Tab':
+                // Focus stays in the search field while the palette is open
+                e.preventDefault();
+                break;
+            default:
+                if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                    e.preventDefault();
+                    this.closeCommandPalette();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Run a clicked command
+     */
+    handleCommandListClick(e) {
+        const option = e.target.closest('.command-option');
+        if (option) this.runCommand(Number(option.dataset.index));
+    }
+
+    /**
+     * Close the palette and run one of its results
+     * @param {number} index - Result index
+     */
+    runCommand(index) {
+        const result = this.palette && this.palette.results[index];
+        if (!result) return;
+        
+        // Focus goes back first, so commands that open a dialog or focus a field keep theirs
+        this.closeCommandPalette();
+        try {
+            result.command.run();
+        } catch (error) {
+            console.error(`Command "${result.command.id}" failed:`, error);
+            this.showNotification('That command could not be run', 'error');
+        }
+    }
+
+    /**
+     * Check whether an element takes typed text
+     * @param {Element} element - Event target
+     * @returns {boolean} - Whether keyboard shortcuts should leave it alone
+     */
+    isTextEntry(element) {
+        if (!element || !element.matches) return false;
+        return element.isContentEditable ||
+            element.matches('textarea, select, input:not([type="checkbox"]):not([type="radio"]):not([type="button"])');
+    }
+
+    /**
+     * Setup performance monitoring
+     */
+    setupPerformanceMonitoring() {
+        // Monitor render performance
+        const observer = new PerformanceObserver((list) => {
+            const entries = list.getEntries();
+            entries.forEach(entry => {
+                if (entry.name.includes('task-render')) {
+                    this.performanceMetrics.renderTimes.push(entry.duration);
+                }
+            });
+        });
+        
+        if (typeof PerformanceObserver !== 'undefined') {
+            observer.observe({ entryTypes: ['measure'] });
+        }
+    }
+
+    /**
+     * Time rendering a large generated list (see modules/benchmark.js)
+     * The timings are also added to performanceMetrics.renderTimes
+     * @param {number} count - Number of tasks to generate
+     * @returns {Promise<Array>} - Timing of each step ({ step, ms, rows })
+     */
+    runRenderBenchmark(count = 10000) {
+        return runRenderBenchmark(this, { count });
+    }
+
+    /**
+     * Start recording an action for undo, before it changes anything
+     * The action becomes an undo command when it is saved (commitState)
+     * @param {string} label - What the action does, e.g. "Delete task"
+     */
+    saveState(label) {
+        this.pendingState = {
+            label,
+            snapshot: createSnapshot(this.tasks, this.lists)
+        };
+    }
+
+    /**
+     * Turn the action started by saveState into an undo command
+     * Called by saveData, and directly by actions whose data is saved elsewhere
+     */
+    commitState() {
+        if (!this.pendingState) return;
+        
+        const { label, snapshot } = this.pendingState;
+        this.pendingState = null;
+        
+        const command = createCommand(label, snapshot, this.tasks, this.lists);
+        if (command) {
+            this.history.push(command);
+            saveHistory(this.history.toJSON());
+        }
+    }
+
+    /**
+     * Undo the last action
+     */
+    undo() {
+        const command = this.history.undo();
+        if (!command) {
+            this.showNotification('Nothing to undo', 'info');
+            return;
+        }
+        
+        this.applyHistoryCommand(command, 'undo');
+        this.showNotification(`Undone: ${command.label}`, 'success');
+    }
+
+    /**
+     * Redo the last undone action
+     */
+    redo() {
+        const command = this.history.redo();
+        if (!command) {
+            this.showNotification('Nothing to redo', 'info');
+            return;
+        }
+        
+        this.applyHistoryCommand(command, 'redo');
+        this.showNotification(`Redone: ${command.label}`, 'success');
+    }
+
+    /**
+     * Replay an undo command and save the result
+     * @param {Object} command - Command from the history
+     * @param {string} direction - 'undo' or 'redo'
+     */
+    applyHistoryCommand(command, direction) {
+        const { tasks, lists } = applyCommand(this.tasks, command, direction);
+        
+        this.pendingState = null;
+        this.tasks = tasks;
+        if (lists) {
+            this.lists = lists;
+            this.saveLists();
+        }
+        
+        this.saveData();
+        saveHistory(this.history.toJSON());
+        this.render();
+    }
+
+    /**
+     * Get the toast action that undoes the action just taken
+     * It does nothing once another action has been taken or undone since
+     * @returns {Object} - showNotification options with an Undo action
+     */
+    getUndoAction() {
+        const command = this.history.current();
+        return {
+            action: {
+                label: 'Undo',
+                onClick: () => {
+                    if (command && this.history.current() === command) this.undo();
+                }
+            }
+        };
+    }
+
+    /**
+     * Save tasks data
+     */
+    async saveData() {
+        // Saving after a failed load would overwrite the tasks still in storage
+        if (this.loadError) {
+            this.showNotification('Changes are not saved, as your saved tasks could not be loaded', 'error');
+            return;
+        }
+        
+        this.tasks = normalizePositions(this.tasks);
+        this.commitState();
+        this.reminders.schedule(this.tasks);
+        this.sync.publishTasks(this.tasks);
+        if (await saveTasks(this.tasks)) {
+            console.log(`Saved ${this.tasks.length} tasks`);
         } else {
             this.showNotification('Failed to save tasks', 'error');
         }
@@ -540,7 +3177,18 @@ class TaskFlowApp {
      * Save application settings
      */
     saveSettings() {
-        saveSettings(this.settings);
+        if (this.loadError) return Promise.resolve(false);
+        this.sync.publishSettings(this.settings);
+        return saveSettings(this.settings);
+    }
+
+    /**
+     * Save the task lists
+     */
+    saveLists() {
+        if (this.loadError) return Promise.resolve(false);
+        this.sync.publishLists(this.lists);
+        return saveLists(this.lists);
     }
 
     /**
@@ -548,13 +3196,62 @@ class TaskFlowApp {
      */
     render() {
         const startTime = performance.now();
+        performance.mark('task-render-start');
+        
+        // Keep every task reachable from the list switcher
+        this.lists = ensureTaskLists(this.lists, this.tasks);
+        if (!this.isKnownList(this.currentList)) {
+            this.currentList = DEFAULT_LIST_ID;
+        }
+        const listTasks = getListTasks(this.tasks, this.currentList);
         
         // Update task list
-        renderTaskList(this.elements.taskList, this.tasks, this.currentFilter);
+        // Drop a tag filter once no task in the list carries that tag any more
+        const tagCounts = countTags(listTasks);
+        if (this.currentTag && !tagCounts.some(({ tag }) => tag === this.currentTag)) {
+            this.currentTag = null;
+        }
+        
+        const { sortBy, sortOrder } = this.getSort();
+        const now = this.getCurrentTime();
+        this.renderPreservingInlineEdit(() => {
+            this.shownTaskIds = renderTaskList(this.elements.taskList, listTasks, this.currentFilter, {
+                now,
+                sortBy,
+                sortOrder,
+                tag: this.currentTag,
+                search: this.getSearch(),
+                expanded: this.expandedTasks,
+                selected: this.selectedTasks,
+                editing: this.inlineEdit,
+                listNames: this.currentList === ALL_LISTS_ID
+                    ? new Map(this.lists.map(list => [list.id, list.name]))
+                    : null
+            }).map(task => task.id);
+        });
+        
+        // Only tasks that are shown stay selected
+        const visibleIds = new Set(this.shownTaskIds);
+        this.selectedTasks.forEach(taskId => {
+            if (!visibleIds.has(taskId)) this.selectedTasks.delete(taskId);
+        });
+        renderSelectionBar(this.elements.selectionBar, this.selectedTasks.size, this.lists, this.isSelecting);
         
         // Update counters and UI
-        updateTaskCounters(this.tasks);
+        renderListSwitcher(this.elements.listSelect, this.lists, this.tasks, this.currentList);
+        updateTaskCounters(listTasks, this.currentTag, this.searchQuery, now);
+        renderViewTabs(this.elements.viewTabs, this.settings.views, listTasks, this.currentTag, this.searchQuery, now);
+        renderTagBar(this.elements.tagBar, tagCounts, this.currentTag);
         updateFilterButtons(this.currentFilter);
+        updateSortControls(sortBy, sortOrder);
+        if (this.elements.editView) {
+            this.elements.editView.classList.toggle('hidden', !this.getActiveView());
+        }
+        
+        // Recorded in performanceMetrics.renderTimes (see setupPerformanceMonitoring)
+        performance.measure('task-render', 'task-render-start');
+        performance.clearMarks('task-render-start');
+        performance.clearMeasures('task-render');
         
         const renderTime = performance.now() - startTime;
         console.log(`Render completed in ${renderTime.toFixed(2)}ms`);
@@ -562,10 +3259,33 @@ class TaskFlowApp {
 
     /**
      * Show modal dialog
+     * @param {string} title - Modal title
+     * @param {string} message - Modal message
+     * @param {Function} confirmCallback - Called when confirmed
+     * @param {Object} options - Optional confirm label, whether to show Cancel, alternative action and details renderer
      */
-    showModal(title, message, confirmCallback) {
+    showModal(title, message, confirmCallback, options = {}) {
+        const { confirmLabel = 'Confirm', showCancel = true, alternative = null, renderDetails = null } = options;
+        
         this.elements.modalTitle.textContent = title;
         this.elements.modalMessage.textContent = message;
+        this.elements.modalConfirm.textContent = confirmLabel;
+        this.elements.modalCancel.classList.toggle('hidden', !showCancel);
+        
+        if (renderDetails) {
+            renderDetails(this.elements.modalDetails);
+            this.elements.modalDetails.classList.remove('hidden');
+        }
+        
+        if (alternative) {
+            this.elements.modalAlternative.textContent = alternative.label;
+            this.elements.modalAlternative.classList.remove('hidden');
+            this.elements.modalAlternative.onclick = () => {
+                alternative.onSelect();
+                this.hideModal();
+            };
+        }
+        
         this.elements.modalOverlay.classList.add('show');
         
         // Setup confirm handler
@@ -586,19 +3306,41 @@ class TaskFlowApp {
     hideModal() {
         this.elements.modalOverlay.classList.remove('show');
         this.elements.modalConfirm.onclick = null;
+        this.elements.modalAlternative.onclick = null;
+        this.elements.modalAlternative.classList.add('hidden');
+        this.elements.modalCancel.classList.remove('hidden');
+        this.elements.modalDetails.classList.add('hidden');
+        this.elements.modalDetails.innerHTML = '';
     }
 
     /**
      * Show toast notification
+     * @param {string} message - Message text
+     * @param {string} type - 'info', 'success', 'warning' or 'error'
+     * @param {Object} options - Optional { action: { label, onClick } } button; such toasts stay longer
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', options = {}) {
         const container = document.getElementById('toast-container');
         if (!container) return;
         
+        const { action = null } = options;
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.textContent = message;
         
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                action.onClick();
+                toast.remove();
+            });
+            toast.classList.add('has-action');
+            toast.appendChild(button);
+        }
+        
         container.appendChild(toast);
         
         // Animate in
@@ -614,7 +3356,7 @@ class TaskFlowApp {
                     toast.parentNode.removeChild(toast);
                 }
             }, 300);
-        }, 3000);
+        }, action ? 6000 : 3000);
     }
 
     /**
@@ -632,9 +3374,15 @@ class TaskFlowApp {
         
         this.eventHandlers.clear();
         
-        // Save final state
-        this.saveData();
-        this.saveSettings();
+        // Save final state (unless loading failed, so the stored tasks are kept)
+        if (!this.loadError) {
+            this.saveData();
+            this.saveSettings();
+        }
+        
+        // Saving schedules reminders again, so stop the timers last
+        this.reminders.cancelAll();
+        this.sync.close();
     }
 }
 
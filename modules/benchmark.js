@@ -0,0 +1,149 @@
+/**
+ * Benchmark Module - Render timings for large task lists
+ * Run it from the browser console with
+ *   await TaskFlowApp.runRenderBenchmark()
+ * It shows generated tasks (10,000 by default) in place of yours, times a
+ * few typical renders through performanceMetrics.renderTimes and puts your
+ * tasks back. The generated tasks are never saved.
+ */
+
+import { createTask, createSubtask } from './tasks.js';
+import { getPriorityLevels } from './priorities.js';
+import { toLocalDateString } from './dates.js';
+import { ALL_LISTS_ID } from './lists.js';
+import { parseSearchQuery } from './search.js';
+import { refreshTaskList } from './render.js';
+
+const TAGS = ['work', 'home', 'errands', 'health', 'reading'];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate tasks with a realistic mix of tags, priorities, due dates and subtasks
+ * @param {number} count - Number of tasks
+ * @param {Date} now - Reference time for dates
+ * @returns {Array} - Tasks in manual order
+ */
+export const createBenchmarkTasks = (count, now = new Date()) => {
+    const priorities = getPriorityLevels().map(level => level.key);
+
+    return Array.from({ length: count }, (_, index) => {
+        const createdAt = new Date(now.getTime() - index * 60 * 1000).toISOString();
+        const fields = {
+            createdAt,
+            completed: index % 5 === 0,
+            priority: priorities[index % priorities.length],
+            position: index
+        };
+        if (index % 3 === 0) fields.tags = [TAGS[index % TAGS.length]];
+        if (index % 4 === 0) fields.dueDate = toLocalDateString(new Date(now.getTime() + ((index % 30) - 10) * DAY));
+        if (index % 20 === 0) {
+            fields.subtasks = [
+                createSubtask('First step', { createdAt }),
+                createSubtask('Second step', { createdAt, completed: true })
+            ];
+        }
+
+        return createTask(`Benchmark task ${index + 1}`, fields);
+    });
+};
+
+/**
+ * Wait until the performance observer has recorded a number of render times
+ * (measures are delivered asynchronously)
+ * @param {Array<number>} renderTimes - performanceMetrics.renderTimes
+ * @param {number} length - Number of entries to wait for
+ * @param {number} timeout - Longest wait in milliseconds
+ */
+const waitForRenderTimes = async (renderTimes, length, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    while (renderTimes.length < length && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+/**
+ * Time typical renders of a large list
+ * All steps run before anything else can happen, so nothing can save the
+ * generated tasks; the timings are read once the observer has reported them
+ * (together with the render that puts the real tasks back).
+ * @param {Object} app - TaskFlowApp instance (initialized)
+ * @param {Object} options - { count } tasks to generate
+ * @returns {Promise<Array>} - List of { step, ms, rows: rendered rows }
+ */
+export const runRenderBenchmark = async (app, { count = 10000 } = {}) => {
+    const { renderTimes } = app.performanceMetrics;
+    const saved = {
+        tasks: app.tasks,
+        currentList: app.currentList,
+        currentFilter: app.currentFilter,
+        currentTag: app.currentTag,
+        searchQuery: app.searchQuery,
+        scrollY: window.scrollY
+    };
+
+    const steps = [
+        ['Initial render', () => {}],
+        ['Render again, nothing changed', () => {}],
+        ['Complete one task', () => {
+            app.tasks[0].completed = !app.tasks[0].completed;
+        }],
+        ['Filter: active', () => {
+            app.currentFilter = 'active';
+        }],
+        [`Search "task 99"`, () => {
+            app.searchQuery = parseSearchQuery('task 99');
+        }],
+        ['Clear filter and search', () => {
+            app.currentFilter = 'all';
+            app.searchQuery = null;
+        }]
+    ];
+
+    const start = renderTimes.length;
+    const results = [];
+
+    try {
+        app.tasks = createBenchmarkTasks(count);
+        app.currentList = ALL_LISTS_ID;
+        app.currentTag = null;
+
+        steps.forEach(([step, prepare]) => {
+            prepare();
+            app.render();
+            results.push({ step, rows: app.getTaskRows().length });
+        });
+
+        // Scrolling only redraws the rows that come into view
+        window.scrollTo(window.scrollX, document.documentElement.scrollHeight / 2);
+        performance.mark('task-render-scroll-start');
+        refreshTaskList(app.elements.taskList);
+        performance.measure('task-render-scroll', 'task-render-scroll-start');
+        performance.clearMarks('task-render-scroll-start');
+        performance.clearMeasures('task-render-scroll');
+        results.push({ step: 'Scroll to the middle', rows: app.getTaskRows().length });
+    } finally {
+        Object.assign(app, {
+            tasks: saved.tasks,
+            currentList: saved.currentList,
+            currentFilter: saved.currentFilter,
+            currentTag: saved.currentTag,
+            searchQuery: saved.searchQuery
+        });
+        app.render();
+        window.scrollTo(window.scrollX, saved.scrollY);
+    }
+
+    // Renders from before the benchmark may still be on their way, so the
+    // steps' times are the ones just before the final render's
+    await waitForRenderTimes(renderTimes, start + results.length + 1);
+    const times = renderTimes.length >= start + results.length + 1
+        ? renderTimes.slice(-(results.length + 1), -1)
+        : [];
+    results.forEach((result, index) => {
+        const ms = times[index];
+        result.ms = ms === undefined ? null : Math.round(ms * 100) / 100;
+    });
+
+    console.table(results);
+    return results;
+};
@@ -0,0 +1,119 @@
+/**
+ * Commands Module - Keyboard bindings and command palette matching
+ * The palette lists every app action as a command ({ id, label, keys, run });
+ * typing filters them with a fuzzy match, so "srt prio" finds
+ * "Sort by: Priority". The bindings here are shown in the `?` overlay.
+ */
+
+/**
+ * Keyboard bindings, grouped as in the `?` overlay
+ * Single keys only work when focus is not in a text field
+ */
+const KEY_BINDINGS = [
+    { group: 'Navigation', keys: ['j', '↓'], description: 'Focus the next task' },
+    { group: 'Navigation', keys: ['k', '↑'], description: 'Focus the previous task' },
+    { group: 'Navigation', keys: ['/'], description: 'Search tasks' },
+    { group: 'Navigation', keys: ['Escape'], description: 'Clear the selection, or focus the task input and close a dialog' },
+    { group: 'Focused task', keys: ['x'], description: 'Complete or reactivate' },
+    { group: 'Focused task', keys: ['e', 'Enter'], description: 'Edit its text in place' },
+    { group: 'Focused task', keys: ['Delete'], description: 'Delete' },
+    { group: 'Focused task', keys: ['Space'], description: 'Select (Shift + Space selects a range)' },
+    { group: 'Focused task', keys: ['Alt + ↑', 'Alt + ↓'], description: 'Move up or down (Manual sort)' },
+    { group: 'App', keys: ['Ctrl/Cmd + K'], description: 'Open the command palette' },
+    { group: 'App', keys: ['?'], description: 'Show keyboard shortcuts' },
+    { group: 'App', keys: ['Ctrl/Cmd + Enter'], description: 'Add the typed task' },
+    { group: 'App', keys: ['Ctrl/Cmd + Z'], description: 'Undo' },
+    { group: 'App', keys: ['Ctrl/Cmd + Shift + Z', 'Ctrl + Y'], description: 'Redo' },
+    { group: 'App', keys: ['Ctrl/Cmd + D'], description: 'Toggle dark/light theme' }
+];
+
+/**
+ * Get the keyboard bindings for the shortcut overlay
+ * @returns {Array} - List of { group, keys, description }
+ */
+export const getKeyBindings = () => KEY_BINDINGS.map(binding => ({ ...binding, keys: [...binding.keys] }));
+
+/**
+ * Check whether a character starts a word in a label
+ * @param {string} text - Label
+ * @param {number} index - Character index
+ * @returns {boolean} - Whether the character follows a space or punctuation
+ */
+const isWordStart = (text, index) => index === 0 || /[\s:/…-]/.test(text[index - 1]);
+
+/**
+ * Check whether characters appear in order in a text
+ * @param {string} chars - Characters to find
+ * @param {string} text - Text to search
+ * @param {number} from - Index to start at
+ * @returns {boolean} - Whether all characters were found
+ */
+const isSubsequence = (chars, text, from) => {
+    let index = from;
+    for (const char of chars) {
+        index = text.indexOf(char, index) + 1;
+        if (index === 0) return false;
+    }
+    return true;
+};
+
+/**
+ * Fuzzy-match a query against a label
+ * Every query character (spaces ignored) has to appear in order; matches
+ * at word starts and runs of adjacent characters score higher
+ * @param {string} query - Typed text
+ * @param {string} text - Command label
+ * @returns {Object|null} - { score, indices: matched character positions }, or null if it doesn't match
+ */
+export const fuzzyMatch = (query, text) => {
+    const needle = String(query || '').toLowerCase().replace(/\s+/g, '');
+    const haystack = String(text || '').toLowerCase();
+    const indices = [];
+    let score = 0;
+    let from = 0;
+
+    for (const [position, char] of [...needle].entries()) {
+        let index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+
+        // Prefer a later word start over a mid-word match, if the rest still fits after it
+        const previous = indices.length > 0 ? indices[indices.length - 1] : -2;
+        if (index !== previous + 1 && !isWordStart(haystack, index)) {
+            const rest = needle.slice(position + 1);
+            for (let i = index + 1; i < haystack.length; i++) {
+                if (haystack[i] === char && isWordStart(haystack, i) && isSubsequence(rest, haystack, i + 1)) {
+                    index = i;
+                    break;
+                }
+            }
+        }
+
+        score += 1;
+        if (isWordStart(haystack, index)) score += 3;
+        if (index === previous + 1) score += 2;
+
+        indices.push(index);
+        from = index + 1;
+    }
+
+    // Shorter labels win ties
+    return { score: score - haystack.length * 0.01, indices };
+};
+
+/**
+ * Filter and rank commands for the palette
+ * @param {Array} commands - Commands ({ label, ... })
+ * @param {string} query - Typed text
+ * @returns {Array} - List of { command, indices }, best match first (all commands in order for an empty query)
+ */
+export const searchCommands = (commands, query) => {
+    if (!String(query || '').trim()) {
+        return commands.map(command => ({ command, indices: [] }));
+    }
+
+    return commands
+        .map((command, order) => ({ command, order, match: fuzzyMatch(query, command.label) }))
+        .filter(result => result.match)
+        .sort((a, b) => b.match.score - a.match.score || a.order - b.order)
+        .map(({ command, match }) => ({ command, indices: match.indices }));
+};
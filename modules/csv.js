@@ -0,0 +1,360 @@
+/**
+ * CSV Module - RFC 4180 serialization and parsing for tasks
+ * Columns are driven by the CSV_FIELDS registry, so new task fields only
+ * need a registry entry to become exportable and mappable on import
+ */
+
+import { buildImportedTasks } from './tasks.js';
+import { toLocalDateString, isValidDueDate, isValidDueTime } from './dates.js';
+import { getPriorityLevels } from './priorities.js';
+import { normalizeTags } from './tags.js';
+import { formatRecurrence, parseRecurrence } from './recurrence.js';
+
+/**
+ * Values accepted as true/false for boolean columns
+ */
+const TRUE_VALUES = ['true', '1', 'yes', 'y', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['', 'false', '0', 'no', 'n', 'active', 'open'];
+
+/**
+ * Parse a boolean cell
+ * @param {string} value - Raw cell value
+ * @returns {boolean} - Parsed value
+ */
+const parseBoolean = (value) => {
+    const normalized = value.trim().toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return true;
+    if (FALSE_VALUES.includes(normalized)) return false;
+    throw new Error(`"${value}" is not a yes/no value`);
+};
+
+/**
+ * Parse a date cell into an ISO string
+ * @param {string} value - Raw cell value
+ * @returns {string|null} - ISO date string, or null when empty
+ */
+const parseDate = (value) => {
+    if (!value.trim()) return null;
+
+    const date = new Date(value.trim());
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`"${value}" is not a valid date`);
+    }
+    return date.toISOString();
+};
+
+/**
+ * Parse a due date cell into a local YYYY-MM-DD date
+ * @param {string} value - Raw cell value
+ * @returns {string|null} - Due date, or null when empty
+ */
+const parseDueDate = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+    if (isValidDueDate(trimmed)) return trimmed;
+
+    const date = new Date(trimmed);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`"${value}" is not a valid date`);
+    }
+    return toLocalDateString(date);
+};
+
+/**
+ * Parse a due time cell (HH:MM, 24-hour)
+ * @param {string} value - Raw cell value
+ * @returns {string|null} - Due time, or null when empty
+ */
+const parseDueTime = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+
+    const padded = trimmed.padStart(5, '0');
+    if (!isValidDueTime(padded)) {
+        throw new Error(`"${value}" is not a valid time (HH:MM)`);
+    }
+    return padded;
+};
+
+/**
+ * Parse a priority cell by level key or label
+ * @param {string} value - Raw cell value
+ * @returns {string|null} - Priority key, or null when empty
+ */
+const parsePriority = (value) => {
+    const normalized = value.trim().toLowerCase();
+    if (!normalized) return null;
+
+    const level = getPriorityLevels().find(({ key, label }) =>
+        key === normalized || label.toLowerCase() === normalized
+    );
+    if (!level) {
+        throw new Error(`"${value}" is not a priority (none, low, medium, high or urgent)`);
+    }
+    return level.key;
+};
+
+/**
+ * Parse a repeat rule cell in its compact form (e.g. `weekly-mon-wed`)
+ * @param {string} value - Raw cell value
+ * @returns {Object|null} - Recurrence rule, or null when empty
+ */
+const parseRecurrenceCell = (value) => {
+    if (!value.trim()) return null;
+
+    const rule = parseRecurrence(value);
+    if (!rule) {
+        throw new Error(`"${value}" is not a repeat rule (e.g. daily, weekdays, weekly-mon-wed, monthly-15, after-3)`);
+    }
+    return rule;
+};
+
+/**
+ * Parse a manual position cell
+ * @param {string} value - Raw cell value
+ * @returns {number|null} - Position, or null when empty
+ */
+const parsePosition = (value) => {
+    if (!value.trim()) return null;
+
+    const position = Number(value);
+    if (!Number.isFinite(position)) {
+        throw new Error(`"${value}" is not a number`);
+    }
+    return position;
+};
+
+/**
+ * Importable/exportable task fields
+ * `aliases` are header names recognised when guessing the column mapping
+ */
+const CSV_FIELDS = {
+    text: {
+        label: 'Task text',
+        aliases: ['text', 'task', 'title', 'name', 'description', 'summary'],
+        format: (value) => value,
+        parse: (value) => value
+    },
+    completed: {
+        label: 'Completed',
+        aliases: ['completed', 'done', 'complete', 'status', 'finished'],
+        format: (value) => (value ? 'true' : 'false'),
+        parse: parseBoolean
+    },
+    createdAt: {
+        label: 'Created',
+        aliases: ['createdat', 'created', 'created at', 'date created'],
+        format: (value) => value || '',
+        parse: parseDate
+    },
+    updatedAt: {
+        label: 'Updated',
+        aliases: ['updatedat', 'updated', 'updated at', 'modified', 'last modified'],
+        format: (value) => value || '',
+        parse: parseDate
+    },
+    group: {
+        label: 'Group',
+        aliases: ['group', 'section', 'category'],
+        format: (value) => value || '',
+        parse: (value) => value.trim() || null
+    },
+    priority: {
+        label: 'Priority',
+        aliases: ['priority', 'prio', 'importance'],
+        format: (value) => value || 'none',
+        parse: parsePriority
+    },
+    tags: {
+        label: 'Tags',
+        aliases: ['tags', 'tag', 'labels', 'keywords'],
+        format: (value) => (value || []).join(' '),
+        parse: (value) => normalizeTags(value.split(/[\s,;]+/))
+    },
+    dueDate: {
+        label: 'Due date',
+        aliases: ['duedate', 'due', 'due date', 'deadline'],
+        format: (value) => value || '',
+        parse: parseDueDate
+    },
+    dueTime: {
+        label: 'Due time',
+        aliases: ['duetime', 'due time'],
+        format: (value) => value || '',
+        parse: parseDueTime
+    },
+    recurrence: {
+        label: 'Repeat',
+        aliases: ['recurrence', 'repeat', 'repeats', 'recurring'],
+        format: (value) => formatRecurrence(value),
+        parse: parseRecurrenceCell
+    },
+    position: {
+        label: 'Position',
+        aliases: ['position', 'order', 'sort order', 'rank'],
+        format: (value) => (Number.isFinite(value) ? String(value) : ''),
+        parse: parsePosition
+    }
+};
+
+/**
+ * Get the fields that CSV columns can be mapped to
+ * @returns {Array} - List of { key, label }
+ */
+export const getCSVFields = () =>
+    Object.entries(CSV_FIELDS).map(([key, { label }]) => ({ key, label }));
+
+/**
+ * Quote a single field when RFC 4180 requires it
+ * @param {*} value - Field value
+ * @returns {string} - Serialized field
+ */
+const quoteField = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serialize rows of fields into CSV text (CRLF line endings)
+ * @param {Array<Array>} rows - Rows of field values
+ * @returns {string} - CSV text
+ */
+export const serializeCSV = (rows) =>
+    rows.map(row => row.map(quoteField).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Parse CSV text into records
+ * Follows RFC 4180: quoted fields may contain commas, doubled quotes and
+ * line breaks. Blank lines are ignored.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Records as { line, fields } (line is 1-based)
+ * @throws {Error} - When a quoted field is never closed
+ */
+export const parseCSV = (text) => {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (!(fields.length === 1 && fields[0] === '')) {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    }
+
+    if (field !== '' || fields.length > 0) {
+        endRecord();
+    }
+
+    return records;
+};
+
+/**
+ * Convert tasks into CSV text with a header row
+ * @param {Array} tasks - Tasks to export
+ * @returns {string} - CSV text
+ */
+export const tasksToCSV = (tasks) => {
+    const fieldKeys = Object.keys(CSV_FIELDS);
+    const header = ['id', ...fieldKeys];
+    const rows = tasks.map(task => [
+        task.id,
+        ...fieldKeys.map(key => CSV_FIELDS[key].format(task[key]))
+    ]);
+
+    return serializeCSV([header, ...rows]);
+};
+
+/**
+ * Guess which task field each header column maps to
+ * @param {Array<string>} headers - Header row
+ * @returns {Array<string>} - Field key per column ('' to ignore)
+ */
+export const guessColumnMapping = (headers) => {
+    const used = new Set();
+
+    return headers.map(header => {
+        const normalized = header.trim().toLowerCase();
+        const match = Object.entries(CSV_FIELDS).find(([key, { aliases }]) =>
+            !used.has(key) && aliases.includes(normalized)
+        );
+
+        if (!match) return '';
+        used.add(match[0]);
+        return match[0];
+    });
+};
+
+/**
+ * Turn parsed CSV records into new tasks
+ * The first record is treated as the header row. Rows are validated and
+ * sanitized through buildImportedTasks; rejected rows are reported.
+ * @param {Array<Object>} records - Records from parseCSV
+ * @param {Array<string>} mapping - Field key per column ('' to ignore)
+ * @param {Array} existingTasks - Current tasks (for duplicate check)
+ * @param {Object} options - Import options passed to buildImportedTasks (listId)
+ * @returns {Object} - { tasks, rejected: [{ line, text, message }] }
+ */
+export const csvRecordsToTasks = (records, mapping, existingTasks = [], options = {}) => {
+    if (!mapping.includes('text')) {
+        throw new Error('Choose which column holds the task text');
+    }
+
+    const candidates = records.slice(1).map(({ line, fields }) => {
+        const values = {};
+
+        try {
+            mapping.forEach((key, column) => {
+                if (!key || !CSV_FIELDS[key]) return;
+                values[key] = CSV_FIELDS[key].parse(fields[column] === undefined ? '' : fields[column]);
+            });
+        } catch (error) {
+            return { line, values, error: error.message };
+        }
+
+        return { line, values };
+    });
+
+    return buildImportedTasks(candidates, existingTasks, options);
+};
@@ -0,0 +1,109 @@
+/**
+ * Dates Module - Due date helpers
+ * Due dates are stored as local calendar dates (`YYYY-MM-DD`) with an
+ * optional local time (`HH:MM`), so a task due "today" stays due today
+ * regardless of the timezone offset it was saved with
+ */
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Format a date as a local calendar date
+ * @param {Date} date - Date to format
+ * @returns {string} - YYYY-MM-DD
+ */
+export const toLocalDateString = (date) => {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Check that a string is a real calendar date (rejects 2024-02-30)
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a valid YYYY-MM-DD date
+ */
+export const isValidDueDate = (value) => {
+    const match = typeof value === 'string' && value.match(DATE_PATTERN);
+    if (!match) return false;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+/**
+ * Check that a string is a 24-hour HH:MM time
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a valid time
+ */
+export const isValidDueTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * Get the moment a task becomes overdue
+ * Tasks without a time are due by the end of their due date
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @returns {Date|null} - Due moment, or null when the task has no due date
+ */
+export const getDueMoment = (task) => {
+    if (!isValidDueDate(task.dueDate)) return null;
+
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    if (isValidDueTime(task.dueTime)) {
+        const [hours, minutes] = task.dueTime.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+
+    return new Date(year, month - 1, day + 1);
+};
+
+/**
+ * Classify an open task by its due date
+ * "today" covers everything due today, including tasks whose time has
+ * already passed; those are "overdue" as well, so check overdue first
+ * when a single status is needed
+ * @param {Object} task - Task to classify
+ * @param {Date} now - Reference time
+ * @returns {string|null} - 'overdue', 'today', 'upcoming', or null
+ */
+export const getDueStatus = (task, now = new Date()) => {
+    if (task.completed || !isValidDueDate(task.dueDate)) return null;
+
+    if (getDueMoment(task) <= now) return 'overdue';
+
+    const today = toLocalDateString(now);
+    if (task.dueDate === today) return 'today';
+    return task.dueDate > today ? 'upcoming' : 'overdue';
+};
+
+/**
+ * Check whether an open task is due on the reference day
+ * @param {Object} task - Task to check
+ * @param {Date} now - Reference time
+ * @returns {boolean} - Whether the task is due today
+ */
+export const isDueToday = (task, now = new Date()) =>
+    !task.completed && task.dueDate === toLocalDateString(now);
+
+/**
+ * Format a due date for display, relative to the reference day
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @param {Date} now - Reference time
+ * @returns {string} - e.g. "Today 14:30", "Tomorrow", "3/14/2025"
+ */
+export const formatDueDate = (task, now = new Date()) => {
+    if (!isValidDueDate(task.dueDate)) return '';
+
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    const due = new Date(year, month - 1, day);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const days = Math.round((due - today) / (1000 * 60 * 60 * 24));
+
+    let label;
+    if (days === 0) label = 'Today';
+    else if (days === 1) label = 'Tomorrow';
+    else if (days === -1) label = 'Yesterday';
+    else label = due.toLocaleDateString();
+
+    return isValidDueTime(task.dueTime) ? `${label} ${task.dueTime}` : label;
+};
@@ -0,0 +1,183 @@
+/**
+ * History Module - Undo and redo of task changes
+ * Every user action becomes a command that records what it did to the
+ * tasks as a diff: copies of the tasks it added, removed or changed, the
+ * task order when that changed, and the lists when they changed. Undo
+ * and redo replay a command backwards or forwards, so the history stays
+ * small enough for session storage even with large task lists.
+ */
+
+/**
+ * Number of commands kept
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Deep-copy plain data
+ * @param {*} value - JSON-compatible value
+ * @returns {*} - Copy
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Capture the state before an action, to diff against afterwards
+ * @param {Array} tasks - Current tasks
+ * @param {Array} lists - Current lists
+ * @returns {Object} - Snapshot
+ */
+export const createSnapshot = (tasks, lists) => ({
+    tasks: tasks.map(task => ({ id: task.id, json: JSON.stringify(task) })),
+    lists: JSON.stringify(lists)
+});
+
+/**
+ * Check whether the tasks two arrays share appear in the same order
+ * @param {Array<string>} before - Task IDs before
+ * @param {Array<string>} after - Task IDs after
+ * @returns {boolean} - Whether the shared tasks were reordered
+ */
+const isReordered = (before, after) => {
+    const afterIds = new Set(after);
+    const beforeIds = new Set(before);
+    const kept = before.filter(id => afterIds.has(id));
+    const stillKept = after.filter(id => beforeIds.has(id));
+    return kept.some((id, index) => id !== stillKept[index]);
+};
+
+/**
+ * Build a command from a snapshot and the state after the action
+ * @param {string} label - What the action did (e.g. "Delete task")
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @param {Array} tasks - Tasks after the action
+ * @param {Array} lists - Lists after the action
+ * @returns {Object|null} - Command, or null if nothing changed
+ */
+export const createCommand = (label, snapshot, tasks, lists) => {
+    const before = new Map(snapshot.tasks.map(({ id, json }, index) => [id, { json, index }]));
+    const afterIds = new Set(tasks.map(task => task.id));
+    const changes = [];
+
+    tasks.forEach((task, index) => {
+        const json = JSON.stringify(task);
+        const previous = before.get(task.id);
+        if (!previous) {
+            changes.push({ id: task.id, before: null, after: JSON.parse(json), beforeIndex: -1, afterIndex: index });
+        } else if (previous.json !== json) {
+            changes.push({ id: task.id, before: JSON.parse(previous.json), after: JSON.parse(json), beforeIndex: previous.index, afterIndex: index });
+        }
+    });
+
+    snapshot.tasks.forEach(({ id, json }, index) => {
+        if (!afterIds.has(id)) {
+            changes.push({ id, before: JSON.parse(json), after: null, beforeIndex: index, afterIndex: -1 });
+        }
+    });
+
+    const command = { label, changes };
+
+    const beforeOrder = snapshot.tasks.map(({ id }) => id);
+    const afterOrder = tasks.map(task => task.id);
+    if (isReordered(beforeOrder, afterOrder)) {
+        command.order = { before: beforeOrder, after: afterOrder };
+    }
+
+    const listsJSON = JSON.stringify(lists);
+    if (listsJSON !== snapshot.lists) {
+        command.lists = { before: JSON.parse(snapshot.lists), after: JSON.parse(listsJSON) };
+    }
+
+    return changes.length > 0 || command.order || command.lists ? command : null;
+};
+
+/**
+ * Replay a command on the current tasks
+ * @param {Array} tasks - Current tasks (left unchanged)
+ * @param {Object} command - Command from createCommand
+ * @param {string} direction - 'undo' or 'redo'
+ * @returns {Object} - { tasks, lists } where lists is null when the command did not change them
+ */
+export const applyCommand = (tasks, command, direction) => {
+    const from = direction === 'undo' ? 'after' : 'before';
+    const to = direction === 'undo' ? 'before' : 'after';
+    const changes = new Map(command.changes.map(change => [change.id, change]));
+
+    // Update the tasks that exist on both sides and drop the ones that did not exist yet
+    const result = tasks
+        .filter(task => !changes.has(task.id) || changes.get(task.id)[to])
+        .map(task => (changes.has(task.id) ? clone(changes.get(task.id)[to]) : task));
+
+    const restored = command.changes
+        .filter(change => !change[from] && change[to])
+        .sort((a, b) => a[`${to}Index`] - b[`${to}Index`]);
+
+    if (command.order) {
+        const byId = new Map([...result, ...restored.map(change => clone(change[to]))].map(task => [task.id, task]));
+        const ordered = command.order[to].filter(id => byId.has(id)).map(id => byId.get(id));
+        const listed = new Set(command.order[to]);
+        // Tasks added since the command (e.g. in another tab) stay at the end
+        return {
+            tasks: [...ordered, ...[...byId.values()].filter(task => !listed.has(task.id))],
+            lists: command.lists ? clone(command.lists[to]) : null
+        };
+    }
+
+    restored.forEach(change => {
+        result.splice(Math.min(change[`${to}Index`], result.length), 0, clone(change[to]));
+    });
+
+    return {
+        tasks: result,
+        lists: command.lists ? clone(command.lists[to]) : null
+    };
+};
+
+/**
+ * Create an undo/redo history
+ * @param {Object} state - Stored state ({ commands, index }) to continue from
+ * @param {number} limit - Maximum number of commands kept
+ * @returns {Object} - History
+ */
+export const createHistory = ({ commands = [], index = null } = {}, limit = HISTORY_LIMIT) => {
+    const stored = Array.isArray(commands) ? commands : [];
+    const dropped = Math.max(stored.length - limit, 0);
+    let entries = stored.slice(dropped);
+    // Number of commands currently applied; the ones after it can be redone
+    let position = Number.isInteger(index)
+        ? Math.min(Math.max(index - dropped, 0), entries.length)
+        : entries.length;
+
+    return {
+        push(command) {
+            entries = [...entries.slice(0, position), command].slice(-limit);
+            position = entries.length;
+        },
+
+        undo() {
+            if (position === 0) return null;
+            position--;
+            return entries[position];
+        },
+
+        redo() {
+            if (position === entries.length) return null;
+            position++;
+            return entries[position - 1];
+        },
+
+        current() {
+            return position > 0 ? entries[position - 1] : null;
+        },
+
+        canUndo() {
+            return position > 0;
+        },
+
+        canRedo() {
+            return position < entries.length;
+        },
+
+        toJSON() {
+            return { commands: entries, index: position };
+        }
+    };
+};
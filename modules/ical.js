@@ -0,0 +1,436 @@
+/**
+ * iCalendar Module - RFC 5545 VTODO export and import
+ * Maps tasks to VTODO components so lists can round-trip with calendar
+ * clients; the importer tolerates common variations from other producers
+ */
+
+import { buildImportedTasks } from './tasks.js';
+import { toLocalDateString } from './dates.js';
+import { normalizeRecurrence, formatRecurrence, parseRecurrence } from './recurrence.js';
+
+const PRODUCT_ID = '-//TaskFlow Lite//Tasks//EN';
+const MAX_LINE_OCTETS = 75;
+const GROUP_PROPERTY = 'X-TASKFLOW-GROUP';
+const RECURRENCE_PROPERTY = 'X-TASKFLOW-RECURRENCE';
+
+/**
+ * RFC 5545 BYDAY codes, Sunday first to match Date#getDay
+ */
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * RFC 5545 PRIORITY values (1 highest, 9 lowest) written for each level
+ */
+const ICS_PRIORITIES = {
+    urgent: 1,
+    high: 3,
+    medium: 5,
+    low: 9
+};
+
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Reverse escapeText
+ * @param {string} value - Escaped text
+ * @returns {string} - Raw text
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+    (char === 'n' || char === 'N' ? '\n' : char)
+);
+
+/**
+ * Fold a content line to at most 75 octets per physical line
+ * Continuation lines start with a space, and multi-byte characters are
+ * never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line (CRLF separated)
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+
+        current += char;
+        currentOctets += octets;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Format an ISO date string as a UTC DATE-TIME value
+ * @param {string} isoString - ISO date string
+ * @returns {string} - e.g. 20240115T103000Z
+ */
+const formatDateTime = (isoString) =>
+    new Date(isoString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse DATE, DATE-TIME (UTC or floating) or ISO 8601 values
+ * TZID parameters are not resolved; such times are read as local time
+ * @param {string} value - Property value
+ * @returns {string|null} - ISO date string, or null if unreadable
+ */
+const parseDateTime = (value) => {
+    const trimmed = value.trim();
+    const match = trimmed.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i);
+
+    let date;
+    if (match) {
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+        const parts = [year, month - 1, day, hours, minutes, seconds].map(Number);
+        date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+    } else {
+        date = new Date(trimmed);
+    }
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Format a task's due date as a DUE property
+ * Date-only due dates use VALUE=DATE; a due time gives a floating
+ * (local) DATE-TIME
+ * @param {Object} task - Task with dueDate and optional dueTime
+ * @returns {string} - Content line
+ */
+const formatDue = (task) => {
+    const date = task.dueDate.replace(/-/g, '');
+    return task.dueTime
+        ? `DUE:${date}T${task.dueTime.replace(':', '')}00`
+        : `DUE;VALUE=DATE:${date}`;
+};
+
+/**
+ * Parse a DUE value into a local due date and time
+ * @param {string} value - Property value
+ * @returns {Object} - { dueDate, dueTime } (null when unreadable)
+ */
+const parseDue = (value) => {
+    const dateOnly = value.trim().match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (dateOnly) {
+        return { dueDate: `${dateOnly[1]}-${dateOnly[2]}-${dateOnly[3]}`, dueTime: null };
+    }
+
+    const parsed = parseDateTime(value);
+    if (!parsed) return { dueDate: null, dueTime: null };
+
+    const date = new Date(parsed);
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return { dueDate: toLocalDateString(date), dueTime: time };
+};
+
+/**
+ * Map a PRIORITY value to a level
+ * 1-2 read as urgent, 3-4 high, 5 medium and 6-9 low; 0 means none
+ * @param {string} value - Property value
+ * @returns {string|null} - Priority key
+ */
+const parsePriority = (value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > 9) return null;
+    if (number <= 2) return 'urgent';
+    if (number <= 4) return 'high';
+    return number === 5 ? 'medium' : 'low';
+};
+
+/**
+ * Format a recurrence rule as an RRULE value
+ * Rules counted from completion have no RRULE equivalent
+ * @param {Object} rule - Recurrence rule
+ * @returns {string|null} - RRULE value, or null if it cannot be expressed
+ */
+const formatRRule = (rule) => {
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) return null;
+
+    switch (normalized.type) {
+        case 'daily':
+            return 'FREQ=DAILY';
+        case 'weekdays':
+            return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+        case 'weekly':
+            return `FREQ=WEEKLY;BYDAY=${normalized.days.map(day => ICS_DAYS[day]).join(',')}`;
+        case 'monthly':
+            return `FREQ=MONTHLY;BYMONTHDAY=${normalized.day}`;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Map an RRULE value to a recurrence rule
+ * Only plain daily, weekly and monthly rules are understood; a weekly rule
+ * without BYDAY repeats on the weekday of the due date
+ * @param {string} value - RRULE value
+ * @param {string|null} dueDate - Task due date (YYYY-MM-DD)
+ * @returns {Object|null} - Recurrence rule, or null if unsupported
+ */
+const parseRRule = (value, dueDate) => {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [key, ...rest] = part.split('=');
+        parts[key.trim().toUpperCase()] = rest.join('=').trim().toUpperCase();
+    });
+
+    if (parts.INTERVAL && parts.INTERVAL !== '1') return null;
+
+    const days = parts.BYDAY
+        ? parts.BYDAY.split(',').map(day => ICS_DAYS.indexOf(day.trim()))
+        : [];
+    if (days.includes(-1)) return null;
+
+    switch (parts.FREQ) {
+        case 'DAILY':
+            return days.length === 0 ? { type: 'daily' } : null;
+        case 'WEEKLY': {
+            if (days.length === 0 && dueDate) {
+                const [year, month, day] = dueDate.split('-').map(Number);
+                days.push(new Date(year, month - 1, day).getDay());
+            }
+            const rule = normalizeRecurrence({ type: 'weekly', days });
+            return rule && formatRecurrence(rule) === 'weekly-mon-tue-wed-thu-fri' ? { type: 'weekdays' } : rule;
+        }
+        case 'MONTHLY':
+            return normalizeRecurrence({ type: 'monthly', day: parts.BYMONTHDAY });
+        default:
+            return null;
+    }
+};
+
+/**
+ * Convert tasks into an iCalendar document of VTODO components
+ * @param {Array} tasks - Tasks to export
+ * @returns {string} - iCalendar text
+ */
+export const tasksToICS = (tasks) => {
+    const stamp = formatDateTime(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+
+    tasks.forEach(task => {
+        lines.push(
+            'BEGIN:VTODO',
+            `UID:${escapeText(task.id)}`,
+            `DTSTAMP:${stamp}`,
+            `CREATED:${formatDateTime(task.createdAt)}`,
+            `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+            `SUMMARY:${escapeText(task.text)}`,
+            `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`
+        );
+
+        if (task.completed) {
+            lines.push(`COMPLETED:${formatDateTime(task.updatedAt)}`, 'PERCENT-COMPLETE:100');
+        }
+
+        if (task.dueDate) {
+            lines.push(formatDue(task));
+        }
+
+        if (ICS_PRIORITIES[task.priority]) {
+            lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+        }
+
+        if (task.group) {
+            lines.push(`${GROUP_PROPERTY}:${escapeText(task.group)}`);
+        }
+
+        if (task.tags && task.tags.length > 0) {
+            lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+        }
+
+        // The exact rule is kept for TaskFlow; other clients read the RRULE
+        if (task.recurrence) {
+            const rrule = formatRRule(task.recurrence);
+            if (rrule) lines.push(`RRULE:${rrule}`);
+            lines.push(`${RECURRENCE_PROPERTY}:${formatRecurrence(task.recurrence)}`);
+        }
+
+        lines.push('END:VTODO');
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Split a content line into name, parameters and value
+ * The value starts at the first colon outside a quoted parameter value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - { name, params, value }, or null if malformed
+ */
+const parseContentLine = (line) => {
+    let inQuotes = false;
+    let colonIndex = -1;
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = {};
+    paramParts.forEach(part => {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.trim().toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+/**
+ * Parse iCalendar text into VTODO components
+ * Handles CRLF or LF line endings, folding with spaces or tabs, and
+ * ignores properties of nested components such as VALARM
+ * @param {string} text - iCalendar text
+ * @returns {Array<Object>} - VTODOs as { line, properties: { NAME: [{ params, value }] } }
+ */
+export const parseICS = (text) => {
+    const physicalLines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const logicalLines = [];
+
+    physicalLines.forEach((physicalLine, index) => {
+        if (/^[ \t]/.test(physicalLine) && logicalLines.length > 0) {
+            logicalLines[logicalLines.length - 1].text += physicalLine.slice(1);
+        } else if (physicalLine.trim()) {
+            logicalLines.push({ line: index + 1, text: physicalLine });
+        }
+    });
+
+    const todos = [];
+    const stack = [];
+    let current = null;
+
+    logicalLines.forEach(({ line, text: lineText }) => {
+        const property = parseContentLine(lineText);
+        if (!property) return;
+
+        if (property.name === 'BEGIN') {
+            const component = property.value.trim().toUpperCase();
+            stack.push(component);
+            if (component === 'VTODO' && !current) {
+                current = { line, depth: stack.length, properties: {} };
+            }
+            return;
+        }
+
+        if (property.name === 'END') {
+            if (current && stack.length === current.depth) {
+                todos.push({ line: current.line, properties: current.properties });
+                current = null;
+            }
+            stack.pop();
+            return;
+        }
+
+        // Only keep properties that belong to the VTODO itself
+        if (current && stack.length === current.depth) {
+            if (!current.properties[property.name]) {
+                current.properties[property.name] = [];
+            }
+            current.properties[property.name].push({ params: property.params, value: property.value });
+        }
+    });
+
+    return todos;
+};
+
+/**
+ * Read the first value of a property
+ * @param {Object} properties - Parsed VTODO properties
+ * @param {string} name - Property name
+ * @returns {string|null} - Raw value
+ */
+const firstValue = (properties, name) =>
+    properties[name] && properties[name].length > 0 ? properties[name][0].value : null;
+
+/**
+ * Read every CATEGORIES value of a VTODO
+ * A VTODO may repeat the property, and each value is a comma list.
+ * Spaces become hyphens so "Home Office" reads as #home-office.
+ * @param {Object} properties - Parsed VTODO properties
+ * @returns {Array<string>} - Category names usable as tags
+ */
+const readCategories = (properties) =>
+    (properties.CATEGORIES || []).flatMap(({ value }) =>
+        value.split(/(?<!\\),/).map(category => unescapeText(category).trim().replace(/\s+/g, '-'))
+    );
+
+/**
+ * Turn parsed VTODO components into new tasks
+ * UIDs become task IDs so a re-imported task is recognised as a duplicate,
+ * CATEGORIES become tags (names that still are not valid tags are dropped)
+ * and supported RRULEs become repeat rules
+ * @param {Array<Object>} todos - Components from parseICS
+ * @param {Array} existingTasks - Current tasks (for duplicate check)
+ * @param {Object} options - Import options passed to buildImportedTasks (listId)
+ * @returns {Object} - { tasks, rejected: [{ line, text, message }] }
+ */
+export const icsTodosToTasks = (todos, existingTasks = [], options = {}) => {
+    const candidates = todos.map(({ line, properties }) => {
+        const summary = firstValue(properties, 'SUMMARY');
+        const status = (firstValue(properties, 'STATUS') || '').trim().toUpperCase();
+        const percent = Number(firstValue(properties, 'PERCENT-COMPLETE'));
+        const created = firstValue(properties, 'CREATED') || firstValue(properties, 'DTSTAMP');
+        const modified = firstValue(properties, 'LAST-MODIFIED');
+        const uid = firstValue(properties, 'UID');
+        const group = firstValue(properties, GROUP_PROPERTY);
+        const due = firstValue(properties, 'DUE');
+        const priority = firstValue(properties, 'PRIORITY');
+        const dueFields = due ? parseDue(due) : {};
+        const recurrence = firstValue(properties, RECURRENCE_PROPERTY);
+        const rrule = firstValue(properties, 'RRULE');
+
+        return {
+            line,
+            values: {
+                id: uid ? unescapeText(uid.trim()) : null,
+                text: summary ? unescapeText(summary).replace(/\s+/g, ' ').trim() : '',
+                completed: status === 'COMPLETED' || percent === 100 || Boolean(firstValue(properties, 'COMPLETED')),
+                createdAt: created ? parseDateTime(created) : null,
+                updatedAt: modified ? parseDateTime(modified) : null,
+                group: group ? unescapeText(group) : null,
+                priority: priority ? parsePriority(priority) : null,
+                tags: readCategories(properties),
+                recurrence: (recurrence && parseRecurrence(recurrence))
+                    || (rrule && parseRRule(rrule, dueFields.dueDate)) || null,
+                ...dueFields
+            }
+        };
+    });
+
+    return buildImportedTasks(candidates, existingTasks, options);
+};
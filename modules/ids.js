@@ -0,0 +1,38 @@
+/**
+ * IDs Module - Collision-safe identifiers for tasks
+ * All task IDs are created here so every module agrees on their format
+ */
+
+/**
+ * Format 16 random bytes as an RFC 4122 version 4 UUID
+ * @param {Uint8Array} bytes - Random bytes
+ * @returns {string} - UUID string
+ */
+const formatUUID = (bytes) => {
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Generate a new unique task ID
+ * Uses crypto.randomUUID where available; it is missing outside secure
+ * contexts, so fall back to building a v4 UUID from getRandomValues
+ * @returns {string} - UUID string
+ */
+export const generateId = () => {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+
+    return formatUUID(crypto.getRandomValues(new Uint8Array(16)));
+};
+
+/**
+ * Check whether a value is a usable task ID
+ * @param {*} id - Value to check
+ * @returns {boolean} - Whether the value is a non-empty string ID
+ */
+export const isValidId = (id) => typeof id === 'string' && id.length > 0;
@@ -0,0 +1,122 @@
+/**
+ * Lists Module - Named task lists
+ * Every task belongs to one list through its `listId`; tasks in the
+ * default list omit the field, so data from before lists existed needs
+ * no upgrade
+ */
+
+import { generateId, isValidId } from './ids.js';
+
+/**
+ * ID of the built-in list that cannot be deleted
+ */
+export const DEFAULT_LIST_ID = 'default';
+
+/**
+ * Pseudo list ID for the overview of every list
+ */
+export const ALL_LISTS_ID = 'all';
+
+const DEFAULT_LIST_NAME = 'Tasks';
+const UNKNOWN_LIST_NAME = 'Untitled list';
+
+/**
+ * Create a list object
+ * @param {string} name - List name (validated by the caller)
+ * @param {Object} fields - Optional extra fields (id, createdAt)
+ * @returns {Object} - List object
+ */
+export const createList = (name, fields = {}) => ({
+    ...fields,
+    id: isValidId(fields.id) && fields.id !== ALL_LISTS_ID ? fields.id : generateId(),
+    name: String(name || '').trim(),
+    createdAt: fields.createdAt || new Date().toISOString()
+});
+
+/**
+ * Normalize stored lists
+ * The default list always comes first; lists without a name or with an
+ * ID seen before are dropped
+ * @param {*} lists - Raw lists
+ * @returns {Array} - List objects
+ */
+export const normalizeLists = (lists) => {
+    const stored = Array.isArray(lists) ? lists.filter(list => list && typeof list === 'object') : [];
+    const defaultList = stored.find(list => list.id === DEFAULT_LIST_ID);
+    const seen = new Set([DEFAULT_LIST_ID]);
+
+    const others = stored
+        .filter(list => list.id !== DEFAULT_LIST_ID)
+        .map(list => createList(list.name, list))
+        .filter(list => {
+            if (!list.name || seen.has(list.id)) return false;
+            seen.add(list.id);
+            return true;
+        });
+
+    return [
+        createList((defaultList && defaultList.name) || DEFAULT_LIST_NAME, { ...defaultList, id: DEFAULT_LIST_ID }),
+        ...others
+    ];
+};
+
+/**
+ * Add lists for any list ID used by a task but missing from the lists,
+ * so no task becomes unreachable (e.g. after a partial import)
+ * @param {Array} lists - Known lists
+ * @param {Array} tasks - Tasks to check
+ * @returns {Array} - Lists, with placeholders appended when needed
+ */
+export const ensureTaskLists = (lists, tasks) => {
+    const known = new Set(lists.map(list => list.id));
+    const missing = [...new Set(tasks.map(getTaskListId))].filter(id => !known.has(id));
+
+    return [...lists, ...missing.map(id => createList(UNKNOWN_LIST_NAME, { id }))];
+};
+
+/**
+ * Add lists from another source (such as a backup) that are not known yet
+ * Lists are matched by ID; existing names win
+ * @param {Array} lists - Current lists
+ * @param {Array} incoming - Lists to merge in
+ * @returns {Array} - Merged lists
+ */
+export const mergeLists = (lists, incoming) => {
+    const known = new Set(lists.map(list => list.id));
+    return normalizeLists([...lists, ...normalizeLists(incoming).filter(list => !known.has(list.id))]);
+};
+
+/**
+ * Get the list a task belongs to
+ * @param {Object} task - Task object
+ * @returns {string} - List ID
+ */
+export const getTaskListId = (task) => (isValidId(task.listId) ? task.listId : DEFAULT_LIST_ID);
+
+/**
+ * Get the tasks of one list
+ * @param {Array} tasks - All tasks
+ * @param {string} listId - List ID, or ALL_LISTS_ID for every task
+ * @returns {Array} - Tasks in the list
+ */
+export const getListTasks = (tasks, listId) =>
+    (listId === ALL_LISTS_ID ? tasks : tasks.filter(task => getTaskListId(task) === listId));
+
+/**
+ * Count open and total tasks per list
+ * @param {Array} tasks - All tasks
+ * @returns {Map<string, Object>} - List ID to { active, total }
+ */
+export const countTasksByList = (tasks) => {
+    const counts = new Map();
+
+    tasks.forEach(task => {
+        const listId = getTaskListId(task);
+        const count = counts.get(listId) || { active: 0, total: 0 };
+        count.total++;
+        if (!task.completed) count.active++;
+        counts.set(listId, count);
+    });
+
+    return counts;
+};
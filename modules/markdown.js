@@ -0,0 +1,186 @@
+/**
+ * Markdown Module - GitHub-flavored task list import and export
+ * Checklist items nested under another checklist item are its subtasks;
+ * other nested list items become a `group` path on the tasks beneath
+ * them, and export rebuilds that nesting from the group paths
+ */
+
+import { buildImportedTasks } from './tasks.js';
+import { validateTaskInput } from './validation.js';
+import { extractTags, appendTags } from './tags.js';
+
+const LIST_ITEM_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const HEADING_PATTERN = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+const GROUP_SEPARATOR = ' / ';
+const INDENT = '  ';
+
+/**
+ * Parse a Markdown document into checklist items
+ * Only `- [ ]` / `- [x]` items become tasks. Plain list items and the
+ * nearest heading only contribute to the group path of nested items.
+ * A checklist item below another checklist item is a subtask of the
+ * outermost one; deeper levels are flattened into the same list.
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} - Items as { line, text, completed, group, subtasks: [{ line, text, completed }] }
+ */
+export const parseMarkdownChecklist = (text) => {
+    const items = [];
+    const parents = [];
+    let heading = null;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const lineText = rawLine.replace(/\t/g, '    ');
+
+        const headingMatch = lineText.match(HEADING_PATTERN);
+        if (headingMatch) {
+            heading = headingMatch[1].trim() || null;
+            parents.length = 0;
+            return;
+        }
+
+        const itemMatch = lineText.match(LIST_ITEM_PATTERN);
+        if (!itemMatch) return;
+
+        const [, indentText, checkbox, content] = itemMatch;
+        const indent = indentText.length;
+        const itemText = content.trim();
+
+        while (parents.length > 0 && parents[parents.length - 1].indent >= indent) {
+            parents.pop();
+        }
+
+        const owner = parents.find(parent => parent.item);
+        const groupPath = [heading, ...parents.map(parent => parent.text)].filter(Boolean);
+        let item = null;
+
+        if (checkbox !== undefined) {
+            const entry = {
+                line: index + 1,
+                text: itemText,
+                completed: checkbox.toLowerCase() === 'x'
+            };
+
+            if (owner) {
+                owner.item.subtasks.push(entry);
+            } else {
+                item = {
+                    ...entry,
+                    group: groupPath.length > 0 ? groupPath.join(GROUP_SEPARATOR) : null,
+                    subtasks: []
+                };
+                items.push(item);
+            }
+        }
+
+        parents.push({ indent, text: itemText, item });
+    });
+
+    return items;
+};
+
+/**
+ * Turn parsed checklist items into new tasks
+ * #hashtags in an item become the task's tags. Subtasks are validated
+ * against their siblings; invalid ones are reported on their own line.
+ * @param {Array<Object>} items - Items from parseMarkdownChecklist
+ * @param {Array} existingTasks - Current tasks (for duplicate check)
+ * @param {Object} options - Import options passed to buildImportedTasks (listId)
+ * @returns {Object} - { tasks, rejected: [{ line, text, message }] }
+ */
+export const markdownItemsToTasks = (items, existingTasks = [], options = {}) => {
+    const rejectedSubtasks = [];
+
+    const candidates = items.map(({ line, text, completed, group, subtasks = [] }) => {
+        const accepted = [];
+
+        subtasks.forEach(subtask => {
+            const validation = validateTaskInput(subtask.text, accepted);
+            if (validation.isValid) {
+                accepted.push({ text: validation.cleaned, completed: subtask.completed });
+            } else {
+                rejectedSubtasks.push({ line: subtask.line, text: subtask.text, message: validation.errors[0].message });
+            }
+        });
+
+        return {
+            line,
+            values: { ...extractTags(text), completed, group, subtasks: accepted }
+        };
+    });
+
+    const result = buildImportedTasks(candidates, existingTasks, options);
+    result.rejected = [...result.rejected, ...rejectedSubtasks].sort((a, b) => a.line - b.line);
+    return result;
+};
+
+/**
+ * Find or create a child node by name
+ * @param {Object} parent - Tree node
+ * @param {string} name - Node name
+ * @returns {Object} - Child node
+ */
+const getChildNode = (parent, name) => {
+    let node = parent.children.find(child => child.name === name);
+    if (!node) {
+        node = { name, task: null, children: [] };
+        parent.children.push(node);
+    }
+    return node;
+};
+
+/**
+ * Format a checklist line
+ * @param {number} depth - Nesting depth
+ * @param {boolean} completed - Whether the box is ticked
+ * @param {string} text - Item text
+ * @returns {string} - Markdown line
+ */
+const checklistLine = (depth, completed, text) =>
+    `${INDENT.repeat(depth)}- [${completed ? 'x' : ' '}] ${text}`;
+
+/**
+ * Render a tree node and its children as Markdown list lines
+ * A task's subtasks come first, nested one level below it
+ * @param {Object} node - Tree node
+ * @param {number} depth - Nesting depth
+ * @returns {Array<string>} - Lines
+ */
+const renderNode = (node, depth) => {
+    const children = node.children.flatMap(child => renderNode(child, depth + 1));
+    if (!node.task) {
+        return [`${INDENT.repeat(depth)}- ${node.name}`, ...children];
+    }
+
+    const { task } = node;
+    return [
+        checklistLine(depth, task.completed, appendTags(node.name, task.tags)),
+        ...(task.subtasks || []).map(subtask => checklistLine(depth + 1, subtask.completed, subtask.text)),
+        ...children
+    ];
+};
+
+/**
+ * Convert tasks into a GitHub-flavored Markdown checklist
+ * A task whose text matches a group name at the same level becomes the
+ * parent item of that group, so imported nesting round-trips
+ * @param {Array} tasks - Tasks to export (in display order)
+ * @returns {string} - Markdown text
+ */
+export const tasksToMarkdown = (tasks) => {
+    const root = { name: null, task: null, children: [] };
+
+    tasks.forEach(task => {
+        const path = task.group ? task.group.split(GROUP_SEPARATOR) : [];
+        const parent = path.reduce(getChildNode, root);
+        const existing = parent.children.find(child => child.name === task.text && !child.task);
+
+        if (existing) {
+            existing.task = task;
+        } else {
+            parent.children.push({ name: task.text, task, children: [] });
+        }
+    });
+
+    const lines = root.children.flatMap(child => renderNode(child, 0));
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+};
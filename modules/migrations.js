@@ -0,0 +1,162 @@
+/**
+ * Migrations Module - Versioned schema upgrades for stored data
+ * Each registry entry upgrades tasks and settings from the previous
+ * schema version to its own; entries are applied in version order
+ */
+
+import { generateId, isValidId } from './ids.js';
+import { isValidDueDate } from './dates.js';
+import { splitTodoTxtPriority } from './priorities.js';
+
+/**
+ * Migration error class for reporting failed upgrades
+ */
+class MigrationError extends Error {
+    constructor(message, fromVersion = null, toVersion = null, cause = null) {
+        super(message);
+        this.name = 'MigrationError';
+        this.fromVersion = fromVersion;
+        this.toVersion = toVersion;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Schema version assumed for data saved before metadata existed
+ */
+export const BASE_SCHEMA_VERSION = '1.0.0';
+
+/**
+ * Migration registry keyed by the schema version each step produces
+ * A step may define `tasks` and/or `settings` transforms; missing ones
+ * pass data through unchanged
+ */
+const MIGRATIONS = {
+    '1.0.0': {
+        description: 'Initial schema'
+    },
+    '1.1.0': {
+        description: 'Replace fractional numeric task IDs with string UUIDs',
+        tasks: (tasks) => tasks.map(task => (
+            isValidId(task.id) ? task : { ...task, id: generateId() }
+        ))
+    },
+    '1.2.0': {
+        description: 'Move todo.txt `due:` extensions into the dueDate field',
+        tasks: (tasks) => tasks.map(task => {
+            if (!task.extensions || task.dueDate || !isValidDueDate(task.extensions.due)) return task;
+
+            const { due, ...extensions } = task.extensions;
+            const migrated = { ...task, dueDate: due, extensions };
+            if (Object.keys(extensions).length === 0) delete migrated.extensions;
+            return migrated;
+        })
+    },
+    '1.3.0': {
+        description: 'Move todo.txt `pri:` letters into the priority field',
+        tasks: (tasks) => tasks.map(task => {
+            if (!task.extensions || task.priority) return task;
+
+            const { priority, extensions } = splitTodoTxtPriority(task.extensions);
+            if (!priority) return task;
+
+            const migrated = { ...task, priority, extensions };
+            if (Object.keys(extensions).length === 0) delete migrated.extensions;
+            return migrated;
+        })
+    }
+};
+
+/**
+ * Compare two dotted version strings numerically
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+export const compareVersions = (a, b) => {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+
+    return 0;
+};
+
+/**
+ * Registered versions in ascending order
+ */
+const SORTED_VERSIONS = Object.keys(MIGRATIONS).sort(compareVersions);
+
+/**
+ * Schema version written by this build
+ */
+export const CURRENT_SCHEMA_VERSION = SORTED_VERSIONS[SORTED_VERSIONS.length - 1];
+
+/**
+ * Check whether data at a given version has to go through runMigrations
+ * Data from a newer version does too, so that it is refused (with a
+ * MigrationError) instead of being saved back as the current version
+ * @param {string} version - Stored schema version
+ * @returns {boolean} - Whether migrations must run
+ */
+export const needsMigration = (version) =>
+    compareVersions(version || BASE_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION) !== 0;
+
+/**
+ * Upgrade a stored payload step by step to the current schema version
+ * @param {Object} payload - Stored data ({ tasks, settings })
+ * @param {string} fromVersion - Version the payload was saved with
+ * @returns {Object} - Upgraded payload with the list of applied versions
+ */
+export const runMigrations = (payload, fromVersion = BASE_SCHEMA_VERSION) => {
+    const startVersion = fromVersion || BASE_SCHEMA_VERSION;
+
+    if (compareVersions(startVersion, CURRENT_SCHEMA_VERSION) > 0) {
+        throw new MigrationError(
+            `Data was saved by a newer version of TaskFlow Lite (${startVersion})`,
+            startVersion,
+            CURRENT_SCHEMA_VERSION
+        );
+    }
+
+    let tasks = Array.isArray(payload.tasks) ? payload.tasks : [];
+    let settings = payload.settings || null;
+    const applied = [];
+
+    SORTED_VERSIONS
+        .filter(version => compareVersions(version, startVersion) > 0)
+        .forEach(version => {
+            const migration = MIGRATIONS[version];
+
+            try {
+                if (migration.tasks) {
+                    tasks = migration.tasks(tasks);
+                    if (!Array.isArray(tasks)) {
+                        throw new Error('Task migration did not return an array');
+                    }
+                }
+
+                if (migration.settings && settings) {
+                    settings = migration.settings(settings);
+                }
+            } catch (error) {
+                throw new MigrationError(
+                    `Failed to upgrade saved data to version ${version}: ${error.message}`,
+                    startVersion,
+                    version,
+                    error
+                );
+            }
+
+            applied.push(version);
+        });
+
+    return { tasks, settings, version: CURRENT_SCHEMA_VERSION, applied };
+};
+
+// Export MigrationError class for external error handling
+export { MigrationError };
@@ -0,0 +1,87 @@
+/**
+ * Priorities Module - Task priority levels
+ * Levels are listed from lowest to highest; tasks without a priority
+ * omit the field and rank as 'none'
+ */
+
+/**
+ * Priority levels in ascending order with their display labels
+ */
+const PRIORITY_LEVELS = [
+    { key: 'none', label: 'None' },
+    { key: 'low', label: 'Low' },
+    { key: 'medium', label: 'Medium' },
+    { key: 'high', label: 'High' },
+    { key: 'urgent', label: 'Urgent' }
+];
+
+/**
+ * todo.txt priority letters for each level; letters after D read as low
+ */
+const TODO_TXT_LETTERS = {
+    urgent: 'A',
+    high: 'B',
+    medium: 'C',
+    low: 'D'
+};
+
+/**
+ * Get all priority levels (lowest first)
+ * @returns {Array} - List of { key, label }
+ */
+export const getPriorityLevels = () => PRIORITY_LEVELS.map(level => ({ ...level }));
+
+/**
+ * Check whether a value is a known priority level
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a priority key
+ */
+export const isValidPriority = (value) => PRIORITY_LEVELS.some(level => level.key === value);
+
+/**
+ * Get the numeric rank of a priority (0 for none or unknown)
+ * @param {string} priority - Priority key
+ * @returns {number} - Rank, higher is more important
+ */
+export const getPriorityRank = (priority) => Math.max(0, PRIORITY_LEVELS.findIndex(level => level.key === priority));
+
+/**
+ * Get the display label of a priority
+ * @param {string} priority - Priority key
+ * @returns {string} - Label
+ */
+export const getPriorityLabel = (priority) => PRIORITY_LEVELS[getPriorityRank(priority)].label;
+
+/**
+ * Map a todo.txt priority letter to a level
+ * @param {string} letter - Priority letter (A-Z)
+ * @returns {string|null} - Priority key, or null if not a letter
+ */
+export const priorityFromTodoTxt = (letter) => {
+    if (typeof letter !== 'string' || !/^[A-Z]$/.test(letter)) return null;
+
+    const match = Object.entries(TODO_TXT_LETTERS).find(([, value]) => value === letter);
+    return match ? match[0] : 'low';
+};
+
+/**
+ * Map a level to its todo.txt priority letter
+ * @param {string} priority - Priority key
+ * @returns {string|null} - Priority letter, or null for none
+ */
+export const priorityToTodoTxt = (priority) => TODO_TXT_LETTERS[priority] || null;
+
+/**
+ * Turn a todo.txt `pri` extension into a priority level
+ * Letters that map exactly to a level are dropped from the extensions;
+ * others (E-Z) are kept so they are written back unchanged
+ * @param {Object} extensions - todo.txt extensions
+ * @returns {Object} - { priority, extensions }
+ */
+export const splitTodoTxtPriority = (extensions = {}) => {
+    const { pri, ...rest } = extensions;
+    const priority = priorityFromTodoTxt(pri);
+
+    if (!priority) return { priority: null, extensions };
+    return { priority, extensions: priorityToTodoTxt(priority) === pri ? rest : extensions };
+};
@@ -0,0 +1,247 @@
+/**
+ * Recurrence Module - Repeat rules for recurring tasks
+ * A rule is stored in the task's `recurrence` field as one of
+ *   { type: 'daily' }
+ *   { type: 'weekdays' }
+ *   { type: 'weekly', days: [1, 3] }       (0 = Sunday ... 6 = Saturday)
+ *   { type: 'monthly', day: 15 }           (clamped to short months)
+ *   { type: 'afterCompletion', interval: 3 } (days after completion)
+ * Text formats store the rule in its compact form, e.g. `weekly-mon-wed`
+ */
+
+import { toLocalDateString, isValidDueDate } from './dates.js';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const MAX_INTERVAL = 365;
+
+/**
+ * Rule types in display order with their editor labels
+ */
+const RECURRENCE_TYPES = [
+    { key: 'none', label: 'Does not repeat' },
+    { key: 'daily', label: 'Daily' },
+    { key: 'weekdays', label: 'Every weekday' },
+    { key: 'weekly', label: 'Weekly on...' },
+    { key: 'monthly', label: 'Monthly on day...' },
+    { key: 'afterCompletion', label: 'Days after completion...' }
+];
+
+/**
+ * Get the rule types for the editor
+ * @returns {Array} - List of { key, label }
+ */
+export const getRecurrenceTypes = () => RECURRENCE_TYPES.map(type => ({ ...type }));
+
+/**
+ * Get the weekday names for the editor (Sunday first)
+ * @returns {Array} - List of { key, label } with the day number as key
+ */
+export const getRecurrenceDays = () => DAY_LABELS.map((label, index) => ({ key: String(index), label }));
+
+/**
+ * Check that a value is a whole number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Lowest allowed value
+ * @param {number} max - Highest allowed value
+ * @returns {boolean} - Whether the value is in range
+ */
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Normalize a recurrence rule, dropping fields the type does not use
+ * @param {*} rule - Raw rule
+ * @returns {Object|null} - Rule, or null if it is not a valid rule
+ */
+export const normalizeRecurrence = (rule) => {
+    if (!rule || typeof rule !== 'object') return null;
+
+    switch (rule.type) {
+        case 'daily':
+        case 'weekdays':
+            return { type: rule.type };
+        case 'weekly': {
+            const days = Array.isArray(rule.days)
+                ? [...new Set(rule.days.map(Number))].filter(day => isIntegerBetween(day, 0, 6)).sort((a, b) => a - b)
+                : [];
+            return days.length > 0 ? { type: 'weekly', days } : null;
+        }
+        case 'monthly': {
+            const day = Number(rule.day);
+            return isIntegerBetween(day, 1, 31) ? { type: 'monthly', day } : null;
+        }
+        case 'afterCompletion': {
+            const interval = Number(rule.interval);
+            return isIntegerBetween(interval, 1, MAX_INTERVAL) ? { type: 'afterCompletion', interval } : null;
+        }
+        default:
+            return null;
+    }
+};
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight
+ * @param {string} value - Date string
+ * @returns {Date} - Local date
+ */
+const parseLocalDate = (value) => {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Get a date a number of days later
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} - New local date
+ */
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Check whether a calendar rule falls on a date
+ * @param {Object} rule - Normalized rule (not afterCompletion)
+ * @param {Date} date - Local date
+ * @returns {boolean} - Whether the rule has an occurrence on that date
+ */
+const matchesDate = (rule, date) => {
+    switch (rule.type) {
+        case 'daily':
+            return true;
+        case 'weekdays':
+            return WEEKDAYS.includes(date.getDay());
+        case 'weekly':
+            return rule.days.includes(date.getDay());
+        case 'monthly': {
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            return date.getDate() === Math.min(rule.day, lastDay);
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Find the first date on or after a start date that matches a rule
+ * @param {Object} rule - Normalized calendar rule
+ * @param {Date} start - First candidate date
+ * @returns {Date} - Matching date
+ */
+const findOccurrence = (rule, start) => {
+    let date = start;
+    // Every calendar rule matches at least once in any 31 consecutive days
+    for (let i = 0; i < 31 && !matchesDate(rule, date); i++) {
+        date = addDays(date, 1);
+    }
+    return date;
+};
+
+/**
+ * Get the first due date for a task that starts repeating now
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} now - Reference time
+ * @returns {string|null} - YYYY-MM-DD, or null for an invalid rule
+ */
+export const getFirstDueDate = (rule, now = new Date()) => {
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) return null;
+
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (normalized.type === 'afterCompletion') return toLocalDateString(today);
+
+    return toLocalDateString(findOccurrence(normalized, today));
+};
+
+/**
+ * Get the due date of the occurrence after a completed one
+ * Calendar rules continue from the completed due date, but never
+ * schedule the next occurrence before today; afterCompletion rules count
+ * from the completion day
+ * @param {Object} rule - Recurrence rule
+ * @param {string|null} dueDate - Due date of the completed occurrence
+ * @param {Date} completedAt - Completion time
+ * @returns {string|null} - YYYY-MM-DD, or null for an invalid rule
+ */
+export const getNextDueDate = (rule, dueDate, completedAt = new Date()) => {
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) return null;
+
+    const today = new Date(completedAt.getFullYear(), completedAt.getMonth(), completedAt.getDate());
+    if (normalized.type === 'afterCompletion') {
+        return toLocalDateString(addDays(today, normalized.interval));
+    }
+
+    const afterDue = isValidDueDate(dueDate) ? addDays(parseLocalDate(dueDate), 1) : addDays(today, 1);
+    return toLocalDateString(findOccurrence(normalized, afterDue < today ? today : afterDue));
+};
+
+/**
+ * Describe a rule for display
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} - e.g. "Every week on Mon, Wed" (empty for invalid rules)
+ */
+export const describeRecurrence = (rule) => {
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) return '';
+
+    switch (normalized.type) {
+        case 'daily':
+            return 'Every day';
+        case 'weekdays':
+            return 'Every weekday';
+        case 'weekly':
+            return `Every week on ${normalized.days.map(day => DAY_LABELS[day]).join(', ')}`;
+        case 'monthly':
+            return `Every month on day ${normalized.day}`;
+        default:
+            return normalized.interval === 1
+                ? '1 day after completion'
+                : `${normalized.interval} days after completion`;
+    }
+};
+
+/**
+ * Format a rule in its compact text form
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} - e.g. `daily`, `weekly-mon-wed`, `monthly-15`, `after-3` (empty for invalid rules)
+ */
+export const formatRecurrence = (rule) => {
+    const normalized = normalizeRecurrence(rule);
+    if (!normalized) return '';
+
+    switch (normalized.type) {
+        case 'weekly':
+            return ['weekly', ...normalized.days.map(day => DAY_NAMES[day])].join('-');
+        case 'monthly':
+            return `monthly-${normalized.day}`;
+        case 'afterCompletion':
+            return `after-${normalized.interval}`;
+        default:
+            return normalized.type;
+    }
+};
+
+/**
+ * Parse a rule from its compact text form (the reverse of formatRecurrence)
+ * @param {string} value - Compact rule
+ * @returns {Object|null} - Rule, or null if unreadable
+ */
+export const parseRecurrence = (value) => {
+    const [type, ...args] = String(value || '').trim().toLowerCase().split('-');
+
+    switch (type) {
+        case 'daily':
+        case 'weekdays':
+            return args.length === 0 ? { type } : null;
+        case 'weekly':
+            return args.every(day => DAY_NAMES.includes(day))
+                ? normalizeRecurrence({ type, days: args.map(day => DAY_NAMES.indexOf(day)) })
+                : null;
+        case 'monthly':
+            return args.length === 1 ? normalizeRecurrence({ type, day: Number(args[0]) }) : null;
+        case 'after':
+            return args.length === 1 ? normalizeRecurrence({ type: 'afterCompletion', interval: Number(args[0]) }) : null;
+        default:
+            return null;
+    }
+};
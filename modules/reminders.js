@@ -0,0 +1,222 @@
+/**
+ * Reminders Module - Local task reminders
+ * A task's `reminderAt` holds the ISO time its reminder fires. While the
+ * app is open, a scheduler keeps one timer per pending reminder and shows
+ * it through the service worker, which adds "Complete" and "Snooze"
+ * actions. Time comes from an injectable clock so scheduling can be
+ * tested without waiting.
+ */
+
+import { toLocalDateString, isValidDueDate } from './dates.js';
+
+/**
+ * Minutes a reminder is pushed back by the snooze action
+ */
+export const SNOOZE_MINUTES = 10;
+
+// Longest delay setTimeout supports (about 24.8 days); later reminders re-arm
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+const NOTIFICATION_TITLE = 'TaskFlow Lite reminder';
+const NOTIFICATION_ICON = '/images/icon-192.png';
+
+/**
+ * Clock backed by the real time and timers
+ */
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Check that a value is a readable reminder time
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is an ISO date string
+ */
+export const isValidReminder = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Get the tasks whose reminder has not fired yet
+ * @param {Array} tasks - Tasks to check
+ * @returns {Array} - Open tasks with a reminder
+ */
+export const getPendingReminders = (tasks) =>
+    tasks.filter(task => !task.completed && isValidReminder(task.reminderAt));
+
+/**
+ * Get the reminder time after a snooze
+ * @param {number} now - Current time in milliseconds
+ * @param {number} minutes - Snooze length
+ * @returns {string} - ISO date string
+ */
+export const getSnoozedReminder = (now, minutes = SNOOZE_MINUTES) =>
+    new Date(now + minutes * 60 * 1000).toISOString();
+
+/**
+ * Move a reminder along with its task's due date, keeping the same
+ * distance to the due day (used for the next occurrence of a recurring task)
+ * @param {string} reminderAt - Current reminder time
+ * @param {string} fromDate - Old due date (YYYY-MM-DD)
+ * @param {string} toDate - New due date (YYYY-MM-DD)
+ * @returns {string|null} - Moved reminder, or null if it cannot be moved
+ */
+export const shiftReminder = (reminderAt, fromDate, toDate) => {
+    if (!isValidReminder(reminderAt) || !isValidDueDate(fromDate) || !isValidDueDate(toDate)) return null;
+
+    const toDay = (value) => {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    };
+    const days = Math.round((toDay(toDate) - toDay(fromDate)) / (1000 * 60 * 60 * 24));
+    const reminder = new Date(reminderAt);
+    reminder.setDate(reminder.getDate() + days);
+    return reminder.toISOString();
+};
+
+/**
+ * Format a reminder for a datetime-local input
+ * @param {string} reminderAt - Reminder time
+ * @returns {string} - YYYY-MM-DDTHH:MM in local time (empty when unset)
+ */
+export const formatReminderInput = (reminderAt) => {
+    if (!isValidReminder(reminderAt)) return '';
+
+    const date = new Date(reminderAt);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${toLocalDateString(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Format a reminder for display
+ * @param {string} reminderAt - Reminder time
+ * @returns {string} - Short local date and time (empty when unset)
+ */
+export const formatReminder = (reminderAt) => {
+    if (!isValidReminder(reminderAt)) return '';
+
+    return new Date(reminderAt).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+};
+
+/**
+ * Get the notification permission
+ * @returns {string} - 'granted', 'denied', 'default', or 'unsupported'
+ */
+export const getNotificationPermission = () =>
+    (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+/**
+ * Ask for permission to show notifications (call from a user action)
+ * @returns {Promise<string>} - Resulting permission
+ */
+export const requestNotificationPermission = async () => {
+    const permission = getNotificationPermission();
+    if (permission !== 'default') return permission;
+
+    try {
+        return await Notification.requestPermission();
+    } catch (error) {
+        console.error('Failed to request notification permission:', error);
+        return 'denied';
+    }
+};
+
+/**
+ * Show a reminder as a system notification
+ * Uses the service worker when one is registered, so the notification
+ * can offer actions; page notifications cannot, and only open the app
+ * @param {Object} task - Task the reminder belongs to
+ * @returns {Promise<boolean>} - Whether a notification was shown
+ */
+export const showReminderNotification = async (task) => {
+    if (getNotificationPermission() !== 'granted') return false;
+
+    const options = {
+        body: task.text,
+        icon: NOTIFICATION_ICON,
+        tag: `reminder-${task.id}`,
+        requireInteraction: true,
+        data: { taskId: task.id },
+        actions: [
+            { action: 'complete', title: 'Complete' },
+            { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` }
+        ]
+    };
+
+    try {
+        const registration = 'serviceWorker' in navigator
+            ? await navigator.serviceWorker.getRegistration()
+            : null;
+
+        if (registration) {
+            await registration.showNotification(NOTIFICATION_TITLE, options);
+        } else {
+            const { actions, requireInteraction, ...pageOptions } = options;
+            const notification = new Notification(NOTIFICATION_TITLE, pageOptions);
+            notification.onclick = () => window.focus();
+        }
+        return true;
+    } catch (error) {
+        console.error('Failed to show reminder:', error);
+        return false;
+    }
+};
+
+/**
+ * Create a scheduler that calls back when reminders are due
+ * Call `schedule` with the current tasks after every change; timers are
+ * added, moved or cancelled to match. Reminders already due fire at once.
+ * @param {Object} options - Scheduler options
+ * @param {Function} options.onDue - Called with the task ID when a reminder is due
+ * @param {Object} options.clock - Time source ({ now, setTimeout, clearTimeout })
+ * @returns {Object} - Scheduler
+ */
+export const createReminderScheduler = ({ onDue, clock = systemClock }) => {
+    const timers = new Map(); // Task ID -> { at, timer }
+
+    const arm = (taskId, at) => {
+        const delay = Math.min(Math.max(at - clock.now(), 0), MAX_TIMER_DELAY);
+        const timer = clock.setTimeout(() => {
+            timers.delete(taskId);
+            if (at > clock.now()) {
+                arm(taskId, at);
+            } else {
+                onDue(taskId);
+            }
+        }, delay);
+        timers.set(taskId, { at, timer });
+    };
+
+    const cancel = (taskId) => {
+        const entry = timers.get(taskId);
+        if (!entry) return;
+
+        clock.clearTimeout(entry.timer);
+        timers.delete(taskId);
+    };
+
+    return {
+        schedule(tasks) {
+            const pending = new Map(getPendingReminders(tasks).map(task => [task.id, Date.parse(task.reminderAt)]));
+
+            [...timers.keys()].forEach(taskId => {
+                if (pending.get(taskId) !== timers.get(taskId).at) cancel(taskId);
+            });
+            pending.forEach((at, taskId) => {
+                if (!timers.has(taskId)) arm(taskId, at);
+            });
+        },
+
+        getScheduled() {
+            return [...timers].map(([taskId, { at }]) => ({ taskId, at: new Date(at).toISOString() }));
+        },
+
+        cancelAll() {
+            [...timers.keys()].forEach(cancel);
+        }
+    };
+};
@@ -3,6 +3,33 @@
  * Handles efficient rendering with performance optimization
  */
 
+import { getDueStatus, isDueToday, formatDueDate, toLocalDateString } from './dates.js';
+import { getPriorityLevels, getPriorityRank, getPriorityLabel } from './priorities.js';
+import { MANUAL_SORT, sortTasks, getSortOptions } from './sorting.js';
+import { appendTags } from './tags.js';
+import { getSubtaskProgress } from './tasks.js';
+import { ALL_LISTS_ID, DEFAULT_LIST_ID, getTaskListId, countTasksByList } from './lists.js';
+import { describeRecurrence, getRecurrenceTypes, getRecurrenceDays } from './recurrence.js';
+import { formatReminder, formatReminderInput } from './reminders.js';
+import { parseSearchQuery, searchTasks, isEmptySearch, combineSearches, getHighlightPattern } from './search.js';
+import { getViewFilter } from './views.js';
+import { createVirtualList } from './virtual-list.js';
+
+// Keyed, windowed renderers, one per task list element
+const virtualLists = new WeakMap();
+
+/**
+ * Get the renderer that manages a task list element's rows
+ * @param {HTMLElement} taskListElement - List element
+ * @returns {Object} - Virtual list from createVirtualList
+ */
+const getVirtualList = (taskListElement) => {
+    if (!virtualLists.has(taskListElement)) {
+        virtualLists.set(taskListElement, createVirtualList(taskListElement, { getKey: task => task.id }));
+    }
+    return virtualLists.get(taskListElement);
+};
+
 /**
  * Escape HTML to prevent XSS attacks
  * @param {string} str - String to escape
@@ -20,15 +47,34 @@ export const escapeHTML = (str) => {
     }[tag]));
 };
 
+/**
+ * Escape text for HTML, wrapping search matches in <mark>
+ * Each piece is escaped on its own, so matches never split an entity
+ * @param {string} str - Text to display
+ * @param {RegExp|null} pattern - Pattern from getHighlightPattern
+ * @returns {string} - Escaped HTML
+ */
+const highlightHTML = (str, pattern) => {
+    if (!pattern || typeof str !== 'string') return escapeHTML(str);
+
+    let html = '';
+    let last = 0;
+    for (const match of str.matchAll(pattern)) {
+        html += `${escapeHTML(str.slice(last, match.index))}<mark class="search-match">${escapeHTML(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escapeHTML(str.slice(last));
+};
+
 /**
  * Format date for display
  * @param {string} dateString - ISO date string
+ * @param {Date} now - Reference time
  * @returns {string} - Formatted date
  */
-const formatDate = (dateString) => {
+const formatDate = (dateString, now = new Date()) => {
     try {
         const date = new Date(dateString);
-        const now = new Date();
         const diff = now - date;
         const days = Math.floor(diff / (1000 * 60 * 60 * 24));
         
@@ -50,29 +96,184 @@ const formatDate = (dateString) => {
     }
 };
 
+/**
+ * Create due date chip HTML
+ * @param {Object} task - Task object
+ * @param {Date} now - Reference time
+ * @returns {string} - HTML string (empty when the task has no due date)
+ */
+const createDueHTML = (task, now) => {
+    const label = formatDueDate(task, now);
+    if (!label) return '';
+
+    const status = getDueStatus(task, now) || '';
+    return `<span class="task-due ${status}" title="Due ${escapeHTML(label)}">📅 ${escapeHTML(label)}</span>`;
+};
+
+/**
+ * Create recurrence summary HTML
+ * @param {Object} task - Task object
+ * @returns {string} - HTML string (empty when the task does not repeat)
+ */
+const createRecurrenceHTML = (task) => {
+    const summary = describeRecurrence(task.recurrence);
+    return summary ? `<span class="task-recurrence" title="Repeats ${escapeHTML(summary.toLowerCase())}">↻ ${escapeHTML(summary)}</span>` : '';
+};
+
+/**
+ * Create reminder chip HTML
+ * @param {Object} task - Task object
+ * @returns {string} - HTML string (empty when no reminder is pending)
+ */
+const createReminderHTML = (task) => {
+    const label = task.completed ? '' : formatReminder(task.reminderAt);
+    return label ? `<span class="task-reminder" title="Reminder ${escapeHTML(label)}">🔔 ${escapeHTML(label)}</span>` : '';
+};
+
+/**
+ * Create priority badge HTML
+ * @param {Object} task - Task object
+ * @returns {string} - HTML string (empty when the task has no priority)
+ */
+const createPriorityHTML = (task) => {
+    if (getPriorityRank(task.priority) === 0) return '';
+
+    const label = getPriorityLabel(task.priority);
+    return `<span class="task-priority priority-${task.priority}" title="${label} priority">${label}</span>`;
+};
+
+/**
+ * Create clickable tag chips HTML
+ * @param {Object} task - Task object
+ * @returns {string} - HTML string (empty when the task has no tags)
+ */
+const createTagsHTML = (task) => (task.tags || []).map(tag => {
+    const escapedTag = escapeHTML(tag);
+    return `<button type="button" class="task-tag" data-tag="${escapedTag}" title="Show tasks tagged #${escapedTag}">#${escapedTag}</button>`;
+}).join('');
+
+/**
+ * Create the subtask progress toggle HTML
+ * @param {Object} task - Task object
+ * @param {boolean} isExpanded - Whether the subtask section is open
+ * @returns {string} - HTML string (empty when the task has no subtasks)
+ */
+const createProgressHTML = (task, isExpanded) => {
+    const { done, total } = getSubtaskProgress(task);
+    if (total === 0) return '';
+
+    const completeClass = done === total ? 'complete' : '';
+    return `
+        <button type="button" class="subtasks-toggle ${completeClass}" aria-expanded="${isExpanded}" title="${isExpanded ? 'Hide' : 'Show'} subtasks">
+            ${isExpanded ? '▾' : '▸'} ${done}/${total} done
+        </button>
+    `;
+};
+
+/**
+ * Create the collapsible subtask section HTML
+ * @param {Object} task - Task object
+ * @param {RegExp|null} highlight - Search matches to mark
+ * @returns {string} - HTML string
+ */
+const createSubtasksHTML = (task, highlight = null) => {
+    const subtasks = task.subtasks || [];
+
+    const itemsHTML = subtasks.map((subtask, index) => `
+        <li class="subtask ${subtask.completed ? 'completed' : ''}" data-subtask-id="${escapeHTML(String(subtask.id))}">
+            <label class="subtask-label">
+                <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''}>
+                <span class="subtask-text">${highlightHTML(subtask.text, highlight)}</span>
+            </label>
+            <div class="subtask-actions">
+                <button type="button" class="task-btn subtask-up-btn" aria-label="Move subtask up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="task-btn subtask-down-btn" aria-label="Move subtask down" title="Move down" ${index === subtasks.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="task-btn subtask-edit-btn" aria-label="Edit subtask" title="Edit subtask">✏️</button>
+                <button type="button" class="task-btn subtask-delete-btn" aria-label="Delete subtask" title="Delete subtask">🗑️</button>
+            </div>
+        </li>
+    `).join('');
+
+    return `
+        <div class="subtasks">
+            <ul class="subtask-list" aria-label="Subtasks">${itemsHTML}</ul>
+            <form class="subtask-form">
+                <input type="text" class="subtask-input" placeholder="Add a subtask and press Enter" maxlength="200" aria-label="Add a subtask">
+            </form>
+        </div>
+    `;
+};
+
 /**
  * Create task element HTML
  * @param {Object} task - Task object
+ * @param {Date} now - Reference time for due dates
+ * @param {Object} options - How the row is shown
+ * @param {boolean} options.isExpanded - Whether the subtask section is open
+ * @param {string|null} options.listName - List name to show (in the all-lists overview)
+ * @param {boolean} options.isReorderable - Whether to show the drag handle (manual order)
+ * @param {boolean} options.isSelected - Whether the task is selected for bulk actions
+ * @param {RegExp|null} options.highlight - Search matches to mark
+ * @param {string|null} options.editDraft - Text being typed while the task is edited inline, if it is
  * @returns {string} - HTML string
  */
-const createTaskHTML = (task) => {
-    const escapedText = escapeHTML(task.text);
-    const formattedDate = formatDate(task.createdAt);
+const createTaskHTML = (task, now = new Date(), options = {}) => {
+    const {
+        isExpanded = false,
+        listName = null,
+        isReorderable = false,
+        isSelected = false,
+        highlight = null,
+        editDraft = null
+    } = options;
+
+    const textHTML = editDraft === null
+        ? `<span class="task-text">${highlightHTML(task.text, highlight)}</span>`
+        : `<input type="text" class="task-edit-input" value="${escapeHTML(editDraft)}" maxlength="200" aria-label="Edit task (Enter to save, Escape to cancel)">
+           <span id="task-edit-error" class="error-message task-edit-error" role="alert" aria-live="polite"></span>`;
+    const escapedId = escapeHTML(String(task.id));
+    const listHTML = listName ? `<span class="task-list-name">${escapeHTML(listName)}</span>` : '';
+    const groupHTML = task.group ? `<span class="task-group">${highlightHTML(task.group, highlight)}</span>` : '';
+    const dueHTML = createDueHTML(task, now);
+    const recurrenceHTML = createRecurrenceHTML(task);
+    const reminderHTML = createReminderHTML(task);
+    const priorityHTML = createPriorityHTML(task);
+    const tagsHTML = createTagsHTML(task);
+    const progressHTML = createProgressHTML(task, isExpanded);
+    const subtasksHTML = isExpanded ? createSubtasksHTML(task, highlight) : '';
+    const formattedDate = formatDate(task.createdAt, now);
     const completedClass = task.completed ? 'completed' : '';
+    const overdueClass = getDueStatus(task, now) === 'overdue' ? 'overdue' : '';
     const checkedAttribute = task.completed ? 'checked' : '';
+    const selectedClass = isSelected ? 'selected' : '';
+    const handleHTML = isReorderable
+        ? '<button class="task-btn drag-handle" aria-label="Reorder task (drag, or press Alt+Up/Down)" title="Drag to reorder, or press Alt+Up/Down">⠿</button>'
+        : '';
     
     return `
-        <li class="task ${completedClass}" data-id="${task.id}">
+        <li class="task ${completedClass} ${overdueClass} ${selectedClass}" data-id="${escapedId}" tabindex="0">
+            ${handleHTML}
             <label class="task-checkbox-label">
                 <input type="checkbox" class="task-checkbox" ${checkedAttribute}>
                 <span class="task-content">
-                    <span class="task-text">${escapedText}</span>
+                    ${textHTML}
                     <div class="task-meta">
+                        ${priorityHTML}
                         <span class="task-date">${formattedDate}</span>
+                        ${dueHTML}
+                        ${recurrenceHTML}
+                        ${reminderHTML}
+                        ${listHTML}
+                        ${groupHTML}
+                        ${tagsHTML}
+                        ${progressHTML}
                     </div>
                 </span>
             </label>
             <div class="task-actions">
+                <button class="task-btn subtask-btn" aria-label="Add subtask" title="Add subtask">
+                    ☰
+                </button>
                 <button class="task-btn edit-btn" aria-label="Edit task" title="Edit task">
                     ✏️
                 </button>
@@ -80,76 +281,114 @@ const createTaskHTML = (task) => {
                     🗑️
                 </button>
             </div>
+            ${subtasksHTML}
         </li>
     `;
 };
 
 /**
  * Render task list with performance optimization
+ * Only rows whose markup changed are rebuilt, and long lists only render
+ * the rows near the viewport (see virtual-list.js)
  * @param {HTMLElement} taskListElement - Container element
  * @param {Array} tasks - Array of tasks to render
  * @param {string} currentFilter - Current filter ('all', 'active', 'completed')
+ * @param {Object} viewOptions - The reference time (now), { sortBy, sortOrder } from settings, the active tag,
+ *   the search query (from parseSearchQuery), the Set of task IDs whose
+ *   subtasks are expanded, the Set of selected task IDs, the task being
+ *   edited inline ({ taskId, value }) and, in the all-lists overview, a Map
+ *   of list names by ID
+ * @returns {Array} - Tasks shown, in display order
  */
-export const renderTaskList = (taskListElement, tasks, currentFilter = 'all') => {
+export const renderTaskList = (taskListElement, tasks, currentFilter = 'all', viewOptions = {}) => {
     if (!taskListElement) {
         console.error('Task list element not found');
-        return;
+        return [];
     }
 
     // Performance timing for development
     console.time('Rendering tasks');
 
-    // Filter tasks based on current filter
-    const filteredTasks = filterTasks(tasks, currentFilter);
+    // Filter tasks based on current filter and search, then sort them
+    // (one reference time, so filtering and due labels agree)
+    const { now = new Date(), sortBy, sortOrder, tag = null, search = null, expanded = new Set(), selected = new Set(), editing = null, listNames = null } = viewOptions;
+    const filteredTasks = sortTasks(searchTasks(filterTasks(tasks, currentFilter, now, tag), search, now), sortBy, sortOrder);
+    const highlight = getHighlightPattern(search);
     
     // Show/hide empty state
     const emptyState = document.getElementById('empty-state');
-    if (filteredTasks.length === 0) {
-        taskListElement.innerHTML = '';
-        if (emptyState) {
-            emptyState.classList.remove('hidden');
-            updateEmptyStateMessage(emptyState, currentFilter, tasks.length);
-        }
-        console.timeEnd('Rendering tasks');
-        return;
-    }
-
     if (emptyState) {
-        emptyState.classList.add('hidden');
+        emptyState.classList.toggle('hidden', filteredTasks.length > 0);
+        if (filteredTasks.length === 0) {
+            updateEmptyStateMessage(emptyState, currentFilter, tasks.length, tag, search);
+        }
     }
 
-    // Use DocumentFragment for efficient DOM manipulation
-    const fragment = document.createDocumentFragment();
-    
-    // Batch render tasks
-    filteredTasks.forEach(task => {
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = createTaskHTML(task);
-        fragment.appendChild(tempDiv.firstElementChild);
-    });
-
-    // Single DOM update
-    taskListElement.innerHTML = '';
-    taskListElement.appendChild(fragment);
+    // Patch the rendered rows; markup is only built for rows near the viewport
+    getVirtualList(taskListElement).update(filteredTasks, (task) => createTaskHTML(task, now, {
+        isExpanded: expanded.has(task.id),
+        listName: listNames ? listNames.get(getTaskListId(task)) : null,
+        isReorderable: sortBy === MANUAL_SORT,
+        isSelected: selected.has(task.id),
+        highlight,
+        editDraft: editing && editing.taskId === task.id ? editing.value : null
+    }));
     
     // Update accessibility attributes
     taskListElement.setAttribute('aria-label', `${filteredTasks.length} tasks`);
     
     console.timeEnd('Rendering tasks');
+    return filteredTasks;
+};
+
+/**
+ * Render the task rows for the current scroll position (long lists only
+ * render the rows near the viewport)
+ * @param {HTMLElement} taskListElement - Container element
+ * @param {boolean} remeasure - Measure row heights again (after a resize)
+ */
+export const refreshTaskList = (taskListElement, remeasure = false) => {
+    if (!taskListElement) return;
+    getVirtualList(taskListElement).refresh(remeasure);
+};
+
+/**
+ * Scroll a task's row into view, rendering it if needed
+ * @param {HTMLElement} taskListElement - Container element
+ * @param {string} taskId - Task ID
+ * @returns {HTMLElement|null} - Row element, or null if the task isn't shown
+ */
+export const revealTask = (taskListElement, taskId) => {
+    if (!taskListElement) return null;
+    return getVirtualList(taskListElement).reveal(taskId);
 };
 
 /**
- * Filter tasks based on status
+ * Filter tasks based on status or due date, optionally within one tag
+ * Due date filters only include open tasks; "today" also lists tasks due
+ * earlier today that are already overdue
  * @param {Array} tasks - Array of tasks
  * @param {string} filter - Filter type
+ * @param {Date} now - Reference time for due date filters
+ * @param {string|null} tag - Only include tasks with this tag
  * @returns {Array} - Filtered tasks
  */
-const filterTasks = (tasks, filter) => {
+export const filterTasks = (tasks, filter, now = new Date(), tag = null) => {
+    if (tag) {
+        return filterTasks(tasks.filter(task => (task.tags || []).includes(tag)), filter, now);
+    }
+
     switch (filter) {
         case 'active':
             return tasks.filter(task => !task.completed);
         case 'completed':
             return tasks.filter(task => task.completed);
+        case 'overdue':
+            return tasks.filter(task => getDueStatus(task, now) === 'overdue');
+        case 'today':
+            return tasks.filter(task => isDueToday(task, now));
+        case 'upcoming':
+            return tasks.filter(task => getDueStatus(task, now) === 'upcoming');
         case 'all':
         default:
             return tasks;
@@ -161,13 +400,27 @@ const filterTasks = (tasks, filter) => {
  * @param {HTMLElement} emptyState - Empty state element
  * @param {string} filter - Current filter
  * @param {number} totalTasks - Total number of tasks
+ * @param {string|null} tag - Active tag filter
+ * @param {Object|null} search - Active search query
  */
-const updateEmptyStateMessage = (emptyState, filter, totalTasks) => {
+const updateEmptyStateMessage = (emptyState, filter, totalTasks, tag = null, search = null) => {
     const title = emptyState.querySelector('.empty-title');
     const description = emptyState.querySelector('.empty-description');
     
     if (!title || !description) return;
     
+    if (!isEmptySearch(search)) {
+        title.textContent = 'No tasks match your search';
+        description.textContent = 'Try other words or filters, or press Escape in the search box to clear it.';
+        return;
+    }
+    
+    if (tag) {
+        title.textContent = `No matching tasks tagged #${tag}`;
+        description.textContent = 'Choose another filter or clear the tag to see more tasks.';
+        return;
+    }
+    
     switch (filter) {
         case 'active':
             title.textContent = totalTasks === 0 ? 'No tasks yet' : 'All tasks completed!';
@@ -179,6 +432,18 @@ const updateEmptyStateMessage = (emptyState, filter, totalTasks) => {
             title.textContent = 'No completed tasks';
             description.textContent = 'Complete some tasks to see them here.';
             break;
+        case 'overdue':
+            title.textContent = 'Nothing overdue';
+            description.textContent = 'You\'re on top of your deadlines.';
+            break;
+        case 'today':
+            title.textContent = 'Nothing due today';
+            description.textContent = 'Tasks due today will show up here.';
+            break;
+        case 'upcoming':
+            title.textContent = 'Nothing upcoming';
+            description.textContent = 'Give a task a due date to plan ahead.';
+            break;
         case 'all':
         default:
             title.textContent = 'No tasks yet';
@@ -189,21 +454,22 @@ const updateEmptyStateMessage = (emptyState, filter, totalTasks) => {
 
 /**
  * Update task counters in filter buttons
+ * Filter counts are limited to the active tag and search, if any
  * @param {Array} tasks - Array of all tasks
+ * @param {string|null} tag - Active tag filter
+ * @param {Object|null} search - Active search query
+ * @param {Date} now - Reference time for due date filters
  */
-export const updateTaskCounters = (tasks) => {
+export const updateTaskCounters = (tasks, tag = null, search = null, now = new Date()) => {
     const allCount = tasks.length;
-    const activeCount = tasks.filter(task => !task.completed).length;
     const completedCount = tasks.filter(task => task.completed).length;
+    const completedSubtaskCount = tasks.reduce((count, task) => count + getSubtaskProgress(task).done, 0);
     
     // Update filter button counters
-    const allCountEl = document.getElementById('all-count');
-    const activeCountEl = document.getElementById('active-count');
-    const completedCountEl = document.getElementById('completed-count');
-    
-    if (allCountEl) allCountEl.textContent = allCount;
-    if (activeCountEl) activeCountEl.textContent = activeCount;
-    if (completedCountEl) completedCountEl.textContent = completedCount;
+    ['all', 'active', 'completed', 'overdue', 'today', 'upcoming'].forEach(filter => {
+        const countEl = document.getElementById(`${filter}-count`);
+        if (countEl) countEl.textContent = searchTasks(filterTasks(tasks, filter, now, tag), search, now).length;
+    });
     
     // Update main task counter
     const taskCounter = document.getElementById('task-counter');
@@ -213,7 +479,7 @@ export const updateTaskCounters = (tasks) => {
     }
     
     // Update bulk actions visibility
-    updateBulkActionsVisibility(completedCount > 0);
+    updateBulkActionsVisibility(completedCount + completedSubtaskCount > 0);
 };
 
 /**
@@ -243,6 +509,712 @@ export const updateFilterButtons = (activeFilter) => {
     });
 };
 
+/**
+ * Update sort controls to match the settings
+ * @param {string} sortBy - Current sort key
+ * @param {string} sortOrder - 'asc' or 'desc'
+ */
+export const updateSortControls = (sortBy, sortOrder) => {
+    const sortSelect = document.getElementById('sort-by');
+    const orderButton = document.getElementById('sort-order');
+
+    if (sortSelect) sortSelect.value = sortBy;
+
+    if (orderButton) {
+        const ascending = sortOrder === 'asc';
+        // The manual order has no direction
+        orderButton.disabled = sortBy === MANUAL_SORT;
+        orderButton.textContent = ascending ? '↑' : '↓';
+        orderButton.title = ascending ? 'Ascending (click to reverse)' : 'Descending (click to reverse)';
+        orderButton.setAttribute('aria-label', orderButton.title);
+    }
+};
+
+/**
+ * Render the list switcher
+ * Options show each list's open task count; the default list cannot be
+ * deleted and the all-lists overview can be neither renamed nor deleted
+ * @param {HTMLSelectElement} select - List select element
+ * @param {Array} lists - Lists (default list first)
+ * @param {Array} tasks - All tasks
+ * @param {string} currentList - Selected list ID or ALL_LISTS_ID
+ */
+export const renderListSwitcher = (select, lists, tasks, currentList) => {
+    if (!select) return;
+
+    const counts = countTasksByList(tasks);
+    const totalActive = tasks.filter(task => !task.completed).length;
+    const options = [
+        { id: ALL_LISTS_ID, label: `All lists (${totalActive})` },
+        ...lists.map(list => ({ id: list.id, label: `${list.name} (${(counts.get(list.id) || { active: 0 }).active})` }))
+    ];
+
+    const fragment = document.createDocumentFragment();
+    options.forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        fragment.appendChild(option);
+    });
+
+    select.innerHTML = '';
+    select.appendChild(fragment);
+    select.value = currentList;
+
+    const renameButton = document.getElementById('rename-list');
+    const deleteButton = document.getElementById('delete-list');
+    if (renameButton) renameButton.disabled = currentList === ALL_LISTS_ID;
+    if (deleteButton) deleteButton.disabled = currentList === ALL_LISTS_ID || currentList === DEFAULT_LIST_ID;
+};
+
+/**
+ * Update the selection bar: the selection mode toggle, the number of
+ * selected tasks and the lists they can be moved to
+ * The bulk actions only show while tasks are selected
+ * @param {HTMLElement} bar - Selection bar element
+ * @param {number} count - Number of selected tasks
+ * @param {Array} lists - Lists to offer as move targets
+ * @param {boolean} isSelecting - Whether selection mode is on
+ */
+export const renderSelectionBar = (bar, count, lists, isSelecting = false) => {
+    if (!bar) return;
+
+    const modeButton = bar.querySelector('#select-mode');
+    if (modeButton) modeButton.setAttribute('aria-pressed', isSelecting);
+
+    const actions = bar.querySelector('.selection-actions');
+    if (actions) actions.classList.toggle('hidden', count === 0);
+
+    const countEl = bar.querySelector('.selection-count');
+    if (countEl) countEl.textContent = `${count} selected`;
+
+    const moveSelect = bar.querySelector('#bulk-move');
+    if (moveSelect) {
+        const options = [{ id: '', label: 'Move to…' }, ...lists.map(list => ({ id: list.id, label: list.name }))];
+        moveSelect.innerHTML = '';
+        options.forEach(({ id, label }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            moveSelect.appendChild(option);
+        });
+        moveSelect.value = '';
+    }
+};
+
+/**
+ * Render the form for adding and removing tags on selected tasks
+ * @param {HTMLElement} container - Element to render into
+ * @returns {HTMLInputElement} - The first input (for focusing)
+ */
+export const renderBulkTagEditor = (container) => {
+    if (!container) return null;
+
+    return renderEditorFields(container, [
+        { field: 'add', label: 'Add', type: 'text', value: '' },
+        { field: 'remove', label: 'Remove', type: 'text', value: '' }
+    ]);
+};
+
+/**
+ * Render the command palette results
+ * Each option gets an ID (command-option-<n>) for aria-activedescendant
+ * @param {HTMLElement} list - Listbox element
+ * @param {Array} results - Matches from searchCommands ({ command, indices })
+ * @param {number} activeIndex - Highlighted result
+ */
+export const renderCommandList = (list, results, activeIndex = 0) => {
+    if (!list) return;
+
+    const fragment = document.createDocumentFragment();
+
+    results.forEach(({ command, indices }, index) => {
+        const option = document.createElement('li');
+        option.id = `command-option-${index}`;
+        option.className = 'command-option';
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === activeIndex));
+
+        const label = document.createElement('span');
+        label.className = 'command-label';
+        const matched = new Set(indices);
+        label.innerHTML = [...command.label]
+            .map((char, i) => (matched.has(i) ? `<mark class="search-match">${escapeHTML(char)}</mark>` : escapeHTML(char)))
+            .join('');
+        option.appendChild(label);
+
+        if (command.keys) {
+            const keys = document.createElement('kbd');
+            keys.className = 'command-keys';
+            keys.textContent = command.keys;
+            option.appendChild(keys);
+        }
+
+        fragment.appendChild(option);
+    });
+
+    if (results.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'command-empty';
+        empty.textContent = 'No matching commands';
+        fragment.appendChild(empty);
+    }
+
+    list.innerHTML = '';
+    list.appendChild(fragment);
+};
+
+/**
+ * Render the keyboard shortcut overview for a modal
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} bindings - Bindings from getKeyBindings ({ group, keys, description })
+ */
+export const renderShortcutHelp = (container, bindings) => {
+    if (!container) return;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'shortcut-help';
+    const groups = new Map();
+
+    bindings.forEach(({ group, keys, description }) => {
+        if (!groups.has(group)) {
+            const heading = document.createElement('h4');
+            heading.textContent = group;
+            const table = document.createElement('dl');
+            table.className = 'shortcut-list';
+            wrapper.append(heading, table);
+            groups.set(group, table);
+        }
+
+        const term = document.createElement('dt');
+        keys.forEach((key, index) => {
+            if (index > 0) term.append(' / ');
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            term.appendChild(kbd);
+        });
+
+        const definition = document.createElement('dd');
+        definition.textContent = description;
+
+        groups.get(group).append(term, definition);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(wrapper);
+};
+
+/**
+ * Render saved views as extra filter tabs, each with a live counter
+ * Tabs use the filter-btn class with data-filter="view:<id>", so
+ * updateFilterButtons marks the active one
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array} views - Saved views
+ * @param {Array} tasks - Tasks in the current list
+ * @param {string|null} tag - Active tag filter
+ * @param {Object|null} search - Active search query
+ * @param {Date} now - Reference time for due date filters
+ */
+export const renderViewTabs = (container, views, tasks, tag = null, search = null, now = new Date()) => {
+    if (!container) return;
+
+    const tagTasks = filterTasks(tasks, 'all', now, tag);
+    const fragment = document.createDocumentFragment();
+
+    views.forEach(view => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = 'filter-btn view-btn';
+        tab.dataset.filter = getViewFilter(view);
+        tab.setAttribute('role', 'tab');
+        tab.title = view.query;
+
+        const countEl = document.createElement('span');
+        countEl.className = 'filter-count';
+        countEl.textContent = searchTasks(tagTasks, combineSearches(parseSearchQuery(view.query), search), now).length;
+
+        tab.append(`${view.name} `, countEl);
+        fragment.appendChild(tab);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(fragment);
+};
+
+/**
+ * Render the saved view form for a modal
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} view - View being edited, or the defaults for a new view
+ * @param {number|null} position - Tab position of an existing view (null for a new one)
+ * @param {number} viewCount - Number of saved views
+ * @returns {HTMLInputElement} - The name input (for focusing)
+ */
+export const renderViewEditor = (container, view, position = null, viewCount = 0) => {
+    if (!container) return null;
+
+    const fields = [
+        { field: 'name', label: 'Name', type: 'text', value: view.name },
+        { field: 'query', label: 'Matches', type: 'text', value: view.query },
+        { field: 'sortBy', label: 'Sort by', type: 'select', value: view.sortBy, options: getSortOptions() },
+        {
+            field: 'sortOrder',
+            label: 'Order',
+            type: 'select',
+            value: view.sortOrder,
+            options: [{ key: 'desc', label: 'Descending' }, { key: 'asc', label: 'Ascending' }]
+        }
+    ];
+
+    if (position !== null && viewCount > 1) {
+        fields.push({
+            field: 'position',
+            label: 'Position',
+            type: 'select',
+            value: String(position),
+            options: Array.from({ length: viewCount }, (_, index) => ({ key: String(index), label: String(index + 1) }))
+        });
+    }
+
+    const nameInput = renderEditorFields(container, fields);
+
+    const help = document.createElement('p');
+    help.className = 'task-editor-help';
+    help.textContent = 'Use the search language, e.g. is:active updated:>14d, tag:work priority:high or "exact phrase".';
+    container.querySelector('.task-editor').appendChild(help);
+
+    return nameInput;
+};
+
+/**
+ * Render the tag chips shown under the filter buttons
+ * Each chip carries data-tag; the active tag is marked and an "All tags"
+ * chip (empty data-tag) clears it
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} tagCounts - { tag, count } from countTags
+ * @param {string|null} activeTag - Currently filtered tag
+ */
+export const renderTagBar = (container, tagCounts, activeTag = null) => {
+    if (!container) return;
+
+    container.classList.toggle('hidden', tagCounts.length === 0);
+
+    const chips = [{ tag: '', label: 'All tags', count: null }, ...tagCounts.map(({ tag, count }) => ({ tag, label: `#${tag}`, count }))];
+    const list = container.querySelector('.tag-chips') || container;
+    const fragment = document.createDocumentFragment();
+
+    chips.forEach(({ tag, label, count }) => {
+        const isActive = tag === (activeTag || '');
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `tag-chip${isActive ? ' active' : ''}`;
+        chip.dataset.tag = tag;
+        chip.setAttribute('aria-pressed', isActive);
+        chip.textContent = label;
+
+        if (count !== null) {
+            const countEl = document.createElement('span');
+            countEl.className = 'filter-count';
+            countEl.textContent = count;
+            chip.append(' ', countEl);
+        }
+
+        fragment.appendChild(chip);
+    });
+
+    list.innerHTML = '';
+    list.appendChild(fragment);
+};
+
+/**
+ * Render the rename/merge form for tags
+ * Checkboxes carry data-tag and the new name input has data-field="target"
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} tagCounts - { tag, count } from countTags
+ * @param {string|null} selectedTag - Tag to preselect
+ * @returns {HTMLInputElement} - The new name input (for focusing)
+ */
+export const renderTagManager = (container, tagCounts, selectedTag = null) => {
+    if (!container) return null;
+
+    const form = document.createElement('div');
+    form.className = 'tag-manager';
+
+    const list = document.createElement('div');
+    list.className = 'tag-manager-list';
+
+    tagCounts.forEach(({ tag, count }) => {
+        const row = document.createElement('label');
+        row.className = 'tag-manager-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.dataset.tag = tag;
+        checkbox.checked = tag === selectedTag;
+
+        const name = document.createElement('span');
+        name.textContent = `#${tag} (${count} ${count === 1 ? 'task' : 'tasks'})`;
+
+        row.append(checkbox, name);
+        list.appendChild(row);
+    });
+
+    const targetRow = document.createElement('label');
+    targetRow.className = 'task-editor-row';
+
+    const targetLabel = document.createElement('span');
+    targetLabel.className = 'task-editor-label';
+    targetLabel.textContent = 'New name';
+
+    const target = document.createElement('input');
+    target.type = 'text';
+    target.className = 'task-editor-input';
+    target.dataset.field = 'target';
+    target.placeholder = 'e.g. work';
+    target.value = selectedTag || '';
+
+    targetRow.append(targetLabel, target);
+    form.append(list, targetRow);
+
+    container.innerHTML = '';
+    container.appendChild(form);
+    return target;
+};
+
+/**
+ * Render a preview of what an import will change
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} plan - Import plan ({ added, updated, skipped, removed })
+ * @param {number} maxItems - Maximum tasks listed per section
+ */
+export const renderImportPreview = (container, plan, maxItems = 5) => {
+    if (!container) return;
+
+    const sections = [
+        { title: 'Will be added', className: 'added', items: plan.added.map(task => ({ text: task.text })) },
+        { title: 'Will be updated', className: 'updated', items: plan.updated.map(task => ({ text: task.text })) },
+        { title: 'Skipped', className: 'skipped', items: plan.skipped.map(({ task, reason }) => ({ text: task.text, reason })) }
+    ];
+
+    const fragment = document.createDocumentFragment();
+
+    sections.forEach(({ title, className, items }) => {
+        const section = document.createElement('div');
+        section.className = `import-preview-section ${className}`;
+
+        const heading = document.createElement('h4');
+        heading.className = 'import-preview-title';
+        heading.textContent = `${title} (${items.length})`;
+        section.appendChild(heading);
+
+        if (items.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'import-preview-list';
+
+            items.slice(0, maxItems).forEach(({ text, reason }) => {
+                const item = document.createElement('li');
+                item.textContent = reason ? `${text || '(empty)'} — ${reason}` : text;
+                list.appendChild(item);
+            });
+
+            if (items.length > maxItems) {
+                const more = document.createElement('li');
+                more.className = 'import-preview-more';
+                more.textContent = `…and ${items.length - maxItems} more`;
+                list.appendChild(more);
+            }
+
+            section.appendChild(list);
+        }
+
+        fragment.appendChild(section);
+    });
+
+    if (plan.removed.length > 0) {
+        const note = document.createElement('p');
+        note.className = 'import-preview-note';
+        note.textContent = `Replace will also remove ${plan.removed.length} current ${plan.removed.length === 1 ? 'task' : 'tasks'} not in the backup.`;
+        fragment.appendChild(note);
+    }
+
+    container.innerHTML = '';
+    container.appendChild(fragment);
+};
+
+/**
+ * Render a column-to-field mapping form for CSV import
+ * Each column gets a <select data-column="n"> the caller reads back
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<string>} sample - First data row (for context)
+ * @param {Array<string>} mapping - Preselected field key per column
+ * @param {Array<Object>} fields - Available fields ({ key, label })
+ */
+export const renderColumnMapping = (container, headers, sample, mapping, fields) => {
+    if (!container) return;
+
+    const table = document.createElement('div');
+    table.className = 'column-mapping';
+
+    headers.forEach((header, column) => {
+        const row = document.createElement('label');
+        row.className = 'column-mapping-row';
+
+        const name = document.createElement('span');
+        name.className = 'column-mapping-header';
+        name.textContent = header || `Column ${column + 1}`;
+
+        const example = document.createElement('span');
+        example.className = 'column-mapping-sample';
+        example.textContent = sample[column] || '';
+
+        const select = document.createElement('select');
+        select.className = 'column-mapping-select';
+        select.dataset.column = column;
+        select.setAttribute('aria-label', `Field for column ${header || column + 1}`);
+
+        [{ key: '', label: 'Ignore' }, ...fields].forEach(({ key, label }) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            option.selected = mapping[column] === key;
+            select.appendChild(option);
+        });
+
+        row.append(name, example, select);
+        table.appendChild(row);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(table);
+};
+
+/**
+ * Render a text area for pasting content into a modal
+ * @param {HTMLElement} container - Element to render into
+ * @param {string} placeholder - Placeholder text
+ * @returns {HTMLTextAreaElement} - The created text area
+ */
+export const renderPasteArea = (container, placeholder) => {
+    if (!container) return null;
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'paste-area';
+    textarea.placeholder = placeholder;
+    textarea.setAttribute('aria-label', placeholder);
+
+    container.innerHTML = '';
+    container.appendChild(textarea);
+    return textarea;
+};
+
+/**
+ * Render labelled editor inputs for a modal
+ * Each input carries a data-field attribute naming the field the caller
+ * reads back
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} fields - { field, label, type, value, options? }
+ * @returns {HTMLInputElement} - The first input (for focusing)
+ */
+const renderEditorFields = (container, fields) => {
+    const form = document.createElement('div');
+    form.className = 'task-editor';
+
+    const inputs = fields.map(({ field, label, type, value, options, min, max }) => {
+        // A group of checkboxes cannot sit inside a single label
+        const row = document.createElement(type === 'checkboxes' ? 'div' : 'label');
+        row.className = `task-editor-row ${field}`;
+
+        const name = document.createElement('span');
+        name.className = 'task-editor-label';
+        name.textContent = label;
+
+        if (type === 'checkboxes') {
+            const group = document.createElement('div');
+            group.className = 'task-editor-checkboxes';
+            group.setAttribute('role', 'group');
+            group.setAttribute('aria-label', label);
+
+            const boxes = options.map(({ key, label: optionLabel }) => {
+                const option = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.field = field;
+                checkbox.value = key;
+                checkbox.checked = (value || []).includes(key);
+                option.append(checkbox, ` ${optionLabel}`);
+                group.appendChild(option);
+                return checkbox;
+            });
+
+            row.append(name, group);
+            form.appendChild(row);
+            return boxes[0];
+        }
+
+        let input;
+        if (type === 'select') {
+            input = document.createElement('select');
+            options.forEach(({ key, label: optionLabel }) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = optionLabel;
+                input.appendChild(option);
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = type;
+            if (min !== undefined) input.min = min;
+            if (max !== undefined) input.max = max;
+        }
+
+        input.className = 'task-editor-input';
+        input.dataset.field = field;
+        input.value = value || '';
+
+        row.append(name, input);
+        form.appendChild(row);
+        return input;
+    });
+
+    container.innerHTML = '';
+    container.appendChild(form);
+    return inputs[0];
+};
+
+/**
+ * Editor rows that only apply to one repeat type
+ */
+const REPEAT_DETAIL_FIELDS = {
+    repeatDays: 'weekly',
+    repeatDay: 'monthly',
+    repeatInterval: 'afterCompletion'
+};
+
+/**
+ * Build the repeat fields of the task editor
+ * Details of other rule types default to the task's due date (or today)
+ * @param {Object} task - Task being edited
+ * @returns {Array<Object>} - Field definitions for renderEditorFields
+ */
+const createRecurrenceFields = (task) => {
+    const rule = task.recurrence || { type: 'none' };
+    const [year, month, day] = (task.dueDate || toLocalDateString(new Date())).split('-').map(Number);
+    const reference = new Date(year, month - 1, day);
+
+    return [
+        { field: 'repeat', label: 'Repeat', type: 'select', value: rule.type, options: getRecurrenceTypes() },
+        {
+            field: 'repeatDays',
+            label: 'On',
+            type: 'checkboxes',
+            value: (rule.days || [reference.getDay()]).map(String),
+            options: getRecurrenceDays()
+        },
+        { field: 'repeatDay', label: 'Day', type: 'number', value: String(rule.day || reference.getDate()), min: 1, max: 31 },
+        { field: 'repeatInterval', label: 'Days', type: 'number', value: String(rule.interval || 1), min: 1, max: 365 }
+    ];
+};
+
+/**
+ * Show only the repeat detail row that matches the chosen repeat type
+ * @param {HTMLElement} container - Editor container
+ */
+const bindRecurrenceFields = (container) => {
+    const repeatSelect = container.querySelector('[data-field="repeat"]');
+    if (!repeatSelect) return;
+
+    const update = () => {
+        Object.entries(REPEAT_DETAIL_FIELDS).forEach(([field, type]) => {
+            const row = container.querySelector(`.task-editor-row.${field}`);
+            if (row) row.classList.toggle('hidden', repeatSelect.value !== type);
+        });
+    };
+
+    repeatSelect.addEventListener('change', update);
+    update();
+};
+
+/**
+ * Render the task edit form for a modal
+ * A list select is added when there is more than one list
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} task - Task being edited
+ * @param {Array} lists - Lists the task can be moved to
+ * @returns {HTMLInputElement} - The task text input (for focusing)
+ */
+export const renderTaskEditor = (container, task, lists = []) => {
+    if (!container) return null;
+
+    const fields = [
+        { field: 'text', label: 'Task', type: 'text', value: appendTags(task.text, task.tags) },
+        { field: 'priority', label: 'Priority', type: 'select', value: task.priority || 'none', options: getPriorityLevels() },
+        { field: 'dueDate', label: 'Due date', type: 'date', value: task.dueDate },
+        { field: 'dueTime', label: 'Due time', type: 'time', value: task.dueTime },
+        ...createRecurrenceFields(task),
+        { field: 'reminder', label: 'Remind me', type: 'datetime-local', value: formatReminderInput(task.reminderAt) }
+    ];
+
+    if (lists.length > 1) {
+        const options = lists.map(list => ({ key: list.id, label: list.name }));
+        fields.push({ field: 'listId', label: 'List', type: 'select', value: getTaskListId(task), options });
+    }
+
+    const textInput = renderEditorFields(container, fields);
+    bindRecurrenceFields(container);
+    return textInput;
+};
+
+/**
+ * Render the list name form for a modal
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object|null} list - List being renamed, or null for a new list
+ * @returns {HTMLInputElement} - The name input (for focusing)
+ */
+export const renderListEditor = (container, list = null) => {
+    if (!container) return null;
+
+    return renderEditorFields(container, [
+        { field: 'name', label: 'Name', type: 'text', value: list ? list.name : '' }
+    ]);
+};
+
+/**
+ * Render the subtask edit form for a modal
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} subtask - Subtask being edited
+ * @returns {HTMLInputElement} - The text input (for focusing)
+ */
+export const renderSubtaskEditor = (container, subtask) => {
+    if (!container) return null;
+
+    return renderEditorFields(container, [
+        { field: 'text', label: 'Subtask', type: 'text', value: subtask.text }
+    ]);
+};
+
+/**
+ * Render a per-row report of rejected import lines
+ * @param {HTMLElement} container - Element to render into
+ * @param {Array<Object>} rejected - Rejected rows ({ line, text, message })
+ */
+export const renderRowErrors = (container, rejected) => {
+    if (!container) return;
+
+    const list = document.createElement('ul');
+    list.className = 'import-preview-list row-errors';
+
+    rejected.forEach(({ line, text, message }) => {
+        const item = document.createElement('li');
+        const preview = text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+        item.textContent = preview ? `Line ${line}: ${message} ("${preview}")` : `Line ${line}: ${message}`;
+        list.appendChild(item);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(list);
+};
+
 /**
  * Animate task addition
  * @param {HTMLElement} taskElement - Task element to animate
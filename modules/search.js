@@ -0,0 +1,247 @@
+/**
+ * Search Module - Search box query language
+ * A query is free text plus optional qualifiers:
+ *   words and "quoted phrases"  must all appear in the task text, group or subtasks
+ *   is:done, is:active, is:overdue
+ *   created:>2026-01-01, updated:<7d  a local date, or an age in hours, days or weeks
+ *   tag:home (or #home), priority:high
+ * Matching ignores case. A qualifier that cannot be read is searched for
+ * as plain text.
+ */
+
+import { getDueStatus, toLocalDateString, isValidDueDate } from './dates.js';
+import { isValidPriority } from './priorities.js';
+import { normalizeTag } from './tags.js';
+
+// A quoted phrase (the closing quote may still be missing while typing) or a word
+const TOKEN_PATTERN = /"([^"]*)"?|(\S+)/g;
+const QUALIFIER_PATTERN = /^([a-z]+):(.+)$/i;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+const AGE_PATTERN = /^(\d+)([hdw])$/i;
+
+const HOUR = 60 * 60 * 1000;
+const AGE_UNITS = { h: HOUR, d: 24 * HOUR, w: 7 * 24 * HOUR };
+
+/**
+ * Task timestamps the date qualifiers compare
+ */
+const DATE_FIELDS = {
+    created: 'createdAt',
+    updated: 'updatedAt'
+};
+
+/**
+ * Statuses for is: and the tasks they match
+ */
+const STATUS_MATCHERS = new Map([
+    ['done', (task) => task.completed],
+    ['completed', (task) => task.completed],
+    ['active', (task) => !task.completed],
+    ['open', (task) => !task.completed],
+    ['overdue', (task, now) => getDueStatus(task, now) === 'overdue']
+]);
+
+/**
+ * Compare two values with a query operator
+ * @param {number|string} a - Task value
+ * @param {number|string} b - Query value
+ * @param {string} operator - '>', '>=', '<', '<=' or '='
+ * @returns {boolean} - Whether the comparison holds
+ */
+const compare = (a, b, operator) => {
+    switch (operator) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return a === b;
+    }
+};
+
+/**
+ * Read the value of a created: or updated: qualifier
+ * Dates compare by local day (no operator means on that day); ages compare
+ * how long ago the task changed (no operator means less than)
+ * @param {string} field - Task field
+ * @param {string} value - Value after the colon
+ * @returns {Object|null} - Condition, or null when the value cannot be read
+ */
+const parseDateCondition = (field, value) => {
+    const [, operator, operand] = value.match(COMPARISON_PATTERN);
+
+    const age = operand.match(AGE_PATTERN);
+    if (age) {
+        if (operator === '=') return null;
+        return { type: 'age', field, operator: operator || '<', ms: Number(age[1]) * AGE_UNITS[age[2].toLowerCase()] };
+    }
+
+    if (isValidDueDate(operand)) {
+        return { type: 'date', field, operator: operator || '=', date: operand };
+    }
+
+    return null;
+};
+
+/**
+ * Read a word as a qualifier
+ * @param {string} word - Word from the query
+ * @returns {Object|null} - Condition, or null if the word is plain text
+ */
+const parseCondition = (word) => {
+    if (word.startsWith('#')) {
+        const tag = normalizeTag(word);
+        return tag ? { type: 'tag', tag } : null;
+    }
+
+    const match = word.match(QUALIFIER_PATTERN);
+    if (!match) return null;
+
+    const key = match[1].toLowerCase();
+    const value = match[2];
+
+    switch (key) {
+        case 'is': {
+            const status = value.toLowerCase();
+            return STATUS_MATCHERS.has(status) ? { type: 'status', status } : null;
+        }
+        case 'tag': {
+            const tag = normalizeTag(value);
+            return tag ? { type: 'tag', tag } : null;
+        }
+        case 'priority': {
+            const priority = value.toLowerCase();
+            return isValidPriority(priority) ? { type: 'priority', priority } : null;
+        }
+        case 'created':
+        case 'updated':
+            return parseDateCondition(DATE_FIELDS[key], value);
+        default:
+            return null;
+    }
+};
+
+/**
+ * Parse what was typed into the search box
+ * @param {string} input - Query text
+ * @returns {Object} - { terms: lower-case words and phrases, conditions: qualifiers }
+ */
+export const parseSearchQuery = (input) => {
+    const terms = [];
+    const conditions = [];
+
+    for (const [, phrase, word] of String(input || '').matchAll(TOKEN_PATTERN)) {
+        if (phrase !== undefined) {
+            const text = phrase.replace(/\s+/g, ' ').trim().toLowerCase();
+            if (text) terms.push(text);
+            continue;
+        }
+
+        const condition = parseCondition(word);
+        if (condition) {
+            conditions.push(condition);
+        } else {
+            terms.push(word.toLowerCase());
+        }
+    }
+
+    return { terms: [...new Set(terms)], conditions };
+};
+
+/**
+ * Check whether a parsed query filters anything
+ * @param {Object|null} query - Query from parseSearchQuery
+ * @returns {boolean} - Whether the query is empty
+ */
+export const isEmptySearch = (query) => !query || (query.terms.length === 0 && query.conditions.length === 0);
+
+/**
+ * Combine queries so a task has to match all of them
+ * @param {...Object|null} queries - Queries from parseSearchQuery (null ones are skipped)
+ * @returns {Object} - Combined query
+ */
+export const combineSearches = (...queries) => {
+    const parts = queries.filter(Boolean);
+    return {
+        terms: [...new Set(parts.flatMap(query => query.terms))],
+        conditions: parts.flatMap(query => query.conditions)
+    };
+};
+
+/**
+ * Check one qualifier against a task
+ * @param {Object} task - Task
+ * @param {Object} condition - Condition from parseCondition
+ * @param {Date} now - Reference time for ages and due dates
+ * @returns {boolean} - Whether the task matches
+ */
+const matchesCondition = (task, condition, now) => {
+    switch (condition.type) {
+        case 'status':
+            return STATUS_MATCHERS.get(condition.status)(task, now);
+        case 'tag':
+            return (task.tags || []).includes(condition.tag);
+        case 'priority':
+            return (task.priority || 'none') === condition.priority;
+        case 'age': {
+            const time = Date.parse(task[condition.field]);
+            return !Number.isNaN(time) && compare(now.getTime() - time, condition.ms, condition.operator);
+        }
+        case 'date': {
+            const time = Date.parse(task[condition.field]);
+            return !Number.isNaN(time) && compare(toLocalDateString(new Date(time)), condition.date, condition.operator);
+        }
+        default:
+            return false;
+    }
+};
+
+/**
+ * Get the text a task's words and phrases are searched in
+ * @param {Object} task - Task
+ * @returns {string} - Lower-case text
+ */
+const getSearchText = (task) => [
+    task.text,
+    task.group || '',
+    ...(task.subtasks || []).map(subtask => subtask.text)
+].join('\n').toLowerCase();
+
+/**
+ * Check whether a task matches a query
+ * @param {Object} task - Task
+ * @param {Object} query - Query from parseSearchQuery
+ * @param {Date} now - Reference time
+ * @returns {boolean} - Whether the task matches every part of the query
+ */
+export const matchesSearch = (task, query, now = new Date()) => {
+    if (!query.conditions.every(condition => matchesCondition(task, condition, now))) return false;
+    if (query.terms.length === 0) return true;
+
+    const text = getSearchText(task);
+    return query.terms.every(term => text.includes(term));
+};
+
+/**
+ * Filter tasks by a query
+ * @param {Array} tasks - Tasks
+ * @param {Object|null} query - Query from parseSearchQuery
+ * @param {Date} now - Reference time
+ * @returns {Array} - Matching tasks (all tasks for an empty query)
+ */
+export const searchTasks = (tasks, query, now = new Date()) =>
+    (isEmptySearch(query) ? tasks : tasks.filter(task => matchesSearch(task, query, now)));
+
+/**
+ * Build a pattern that finds a query's words and phrases in display text
+ * @param {Object|null} query - Query from parseSearchQuery
+ * @returns {RegExp|null} - Global, case-insensitive pattern, or null when there is no text to find
+ */
+export const getHighlightPattern = (query) => {
+    if (!query || query.terms.length === 0) return null;
+
+    // Longest first, so a phrase wins over a word inside it
+    const sources = [...query.terms]
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(sources.join('|'), 'giu');
+};
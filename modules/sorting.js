@@ -0,0 +1,136 @@
+/**
+ * Sorting Module - Task order for the list and for exports
+ * The sort key and direction live in the settings (`sortBy`, `sortOrder`).
+ * "Manual" orders tasks by their `position` field, which drag-and-drop
+ * sets; the task array is kept in the same order.
+ */
+
+import { getPriorityRank } from './priorities.js';
+
+/**
+ * Sort key that keeps the stored order
+ */
+export const MANUAL_SORT = 'manual';
+
+/**
+ * Sort keys with their display labels, in menu order
+ */
+const SORT_OPTIONS = [
+    { key: 'createdAt', label: 'Created' },
+    { key: 'updatedAt', label: 'Updated' },
+    { key: 'text', label: 'Alphabetical' },
+    { key: 'completed', label: 'Completion' },
+    { key: 'priority', label: 'Priority' },
+    { key: MANUAL_SORT, label: 'Manual' }
+];
+
+/**
+ * Direction each sort key starts in when it is picked
+ * (newest, A-Z, open tasks or most urgent first)
+ */
+const DEFAULT_SORT_ORDERS = {
+    createdAt: 'desc',
+    updatedAt: 'desc',
+    text: 'asc',
+    completed: 'asc',
+    priority: 'desc',
+    [MANUAL_SORT]: 'asc'
+};
+
+/**
+ * Get the sort keys for a menu
+ * @returns {Array} - List of { key, label }
+ */
+export const getSortOptions = () => SORT_OPTIONS.map(option => ({ ...option }));
+
+/**
+ * Get the direction a sort key starts in
+ * @param {string} sortBy - Sort key
+ * @returns {string} - 'asc' or 'desc'
+ */
+export const getDefaultSortOrder = (sortBy) => DEFAULT_SORT_ORDERS[sortBy] || 'desc';
+
+/**
+ * Compare two ISO date strings
+ * @param {string} a - First date
+ * @param {string} b - Second date
+ * @returns {number} - Negative if a is earlier
+ */
+const compareDates = (a, b) => (Date.parse(a) || 0) - (Date.parse(b) || 0);
+
+// Locale-aware, case-insensitive, and "Task 2" before "Task 10"
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Comparators for each sort key, in ascending order
+ */
+const SORT_COMPARATORS = {
+    createdAt: (a, b) => compareDates(a.createdAt, b.createdAt),
+    updatedAt: (a, b) => compareDates(a.updatedAt, b.updatedAt),
+    text: (a, b) => collator.compare(a.text, b.text),
+    // Ascending puts open tasks first
+    completed: (a, b) => Number(Boolean(a.completed)) - Number(Boolean(b.completed)),
+    priority: (a, b) => getPriorityRank(a.priority) - getPriorityRank(b.priority)
+};
+
+/**
+ * Compare tasks by manual position (tasks without one keep their order)
+ * @param {Object} a - First task
+ * @param {Object} b - Second task
+ * @returns {number} - Negative if a comes first
+ */
+const comparePositions = (a, b) =>
+    (Number.isFinite(a.position) && Number.isFinite(b.position) ? a.position - b.position : 0);
+
+/**
+ * Get a position that sorts between two neighbours
+ * @param {Object|null} before - Task above the new place, if any
+ * @param {Object|null} after - Task below the new place, if any
+ * @returns {number} - Position
+ */
+export const getPositionBetween = (before, after) => {
+    if (before && after) return (before.position + after.position) / 2;
+    if (before) return before.position + 1;
+    if (after) return after.position - 1;
+    return 0;
+};
+
+/**
+ * Put tasks in manual order, making sure each has its own position
+ * When a position is missing or shared (older data, imports, or a gap
+ * that can no longer be split), every task is renumbered in its current
+ * array order. Positions are updated in place.
+ * @param {Array} tasks - Tasks
+ * @returns {Array} - Tasks in manual order (a new array)
+ */
+export const normalizePositions = (tasks) => {
+    const positions = new Set(tasks.map(task => task.position));
+    const isValid = positions.size === tasks.length && tasks.every(task => Number.isFinite(task.position));
+
+    if (isValid) {
+        return [...tasks].sort(comparePositions);
+    }
+
+    tasks.forEach((task, index) => {
+        task.position = index;
+    });
+    return [...tasks];
+};
+
+/**
+ * Sort tasks by a settings sort key
+ * Ties fall back to the creation date, then to the stored order. The
+ * manual order ignores the direction.
+ * @param {Array} tasks - Array of tasks
+ * @param {string} sortBy - Sort key ('createdAt', 'updatedAt', 'text', 'completed', 'priority' or 'manual')
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array} - New sorted array
+ */
+export const sortTasks = (tasks, sortBy = 'createdAt', sortOrder = 'desc') => {
+    if (sortBy === MANUAL_SORT) return [...tasks].sort(comparePositions);
+
+    const compare = SORT_COMPARATORS[sortBy] || SORT_COMPARATORS.createdAt;
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    return [...tasks].sort((a, b) => direction * (compare(a, b) || SORT_COMPARATORS.createdAt(a, b)));
+};
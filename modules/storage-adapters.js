@@ -0,0 +1,243 @@
+/**
+ * Storage Adapters Module - Pluggable persistence backends
+ * Every adapter exposes the same promise-based contract so storage.js
+ * does not need to know where the data actually lives
+ */
+
+const DB_NAME = 'taskflow';
+const DB_VERSION = 1;
+const TASKS_STORE = 'tasks';
+const RECORDS_STORE = 'records';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Pending IndexedDB request
+ * @returns {Promise<*>} - Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wait for an IndexedDB transaction to finish
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>} - Resolves when the transaction commits
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Convert a task into an IndexedDB record
+ * Booleans are not valid IndexedDB keys, so `completed` is stored as 0/1
+ * to keep it indexable. `order` preserves the in-memory array order.
+ * @param {Object} task - Task object
+ * @param {number} order - Sort key of the task in the list (from getTaskOrders)
+ * @returns {Object} - Storable record
+ */
+const toTaskRecord = (task, order) => ({
+    ...task,
+    completed: task.completed ? 1 : 0,
+    order
+});
+
+/**
+ * Get the `order` of each task record
+ * Tasks saved in position order use their positions, so adding, deleting
+ * or editing a task leaves the other records as they are; otherwise the
+ * array index is used
+ * @param {Array} tasks - Tasks in list order
+ * @returns {Array<number>} - Order of each task
+ */
+const getTaskOrders = (tasks) => {
+    const byPosition = tasks.every((task, index) =>
+        Number.isFinite(task.position) && (index === 0 || task.position > tasks[index - 1].position));
+    return tasks.map((task, index) => (byPosition ? task.position : index));
+};
+
+/**
+ * Convert an IndexedDB record back into a task
+ * @param {Object} record - Stored record
+ * @returns {Object} - Task object
+ */
+const fromTaskRecord = (record) => {
+    const { order, ...task } = record;
+    return { ...task, completed: Boolean(task.completed) };
+};
+
+/**
+ * Check if IndexedDB can be used in this context
+ * @returns {boolean} - Availability status
+ */
+export const isIndexedDBAvailable = () => {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Open (and upgrade if needed) the TaskFlow database
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(TASKS_STORE)) {
+            const tasksStore = db.createObjectStore(TASKS_STORE, { keyPath: 'id' });
+            tasksStore.createIndex('completed', 'completed', { unique: false });
+            tasksStore.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+            db.createObjectStore(RECORDS_STORE);
+        }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+});
+
+/**
+ * Create an IndexedDB-backed adapter
+ * Tasks are stored as individual records; settings and metadata live
+ * in a key/value store under the same keys used by localStorage. Saves
+ * only write the tasks that were added, changed or moved since this tab
+ * last read or wrote them, and delete the ones that were removed.
+ * @returns {Promise<Object>} - Storage adapter
+ */
+export const createIndexedDBAdapter = async () => {
+    const db = await openDatabase();
+
+    // Tasks as last read or written here, by ID ({ json, order })
+    let storedTasks = new Map();
+
+    // Let a newer version opened in another tab take over
+    db.onversionchange = () => db.close();
+
+    return {
+        name: 'indexedDB',
+
+        async readTasks() {
+            const transaction = db.transaction(TASKS_STORE, 'readonly');
+            const records = await promisifyRequest(transaction.objectStore(TASKS_STORE).getAll());
+            records.sort((a, b) => a.order - b.order);
+
+            const tasks = records.map(fromTaskRecord);
+            storedTasks = new Map(tasks.map((task, index) => [task.id, { json: JSON.stringify(task), order: records[index].order }]));
+            return tasks;
+        },
+
+        async writeTasks(tasks, extraRecords = {}) {
+            const transaction = db.transaction([TASKS_STORE, RECORDS_STORE], 'readwrite');
+            const tasksStore = transaction.objectStore(TASKS_STORE);
+            const recordsStore = transaction.objectStore(RECORDS_STORE);
+            const written = new Map();
+
+            // The stored IDs show what was removed, and what another tab may have deleted
+            tasksStore.getAllKeys().onsuccess = (event) => {
+                const storedIds = new Set(event.target.result);
+                const ids = new Set(tasks.map(task => task.id));
+                const orders = getTaskOrders(tasks);
+
+                storedIds.forEach(id => {
+                    if (!ids.has(id)) tasksStore.delete(id);
+                });
+
+                tasks.forEach((task, index) => {
+                    const order = orders[index];
+                    const json = JSON.stringify(task);
+                    const stored = storedTasks.get(task.id);
+                    written.set(task.id, { json, order });
+
+                    if (!storedIds.has(task.id) || !stored || stored.json !== json || stored.order !== order) {
+                        tasksStore.put(toTaskRecord(task, order));
+                    }
+                });
+            };
+            Object.entries(extraRecords).forEach(([key, value]) => recordsStore.put(value, key));
+
+            await transactionDone(transaction);
+            storedTasks = written;
+        },
+
+        async readRecord(key) {
+            const transaction = db.transaction(RECORDS_STORE, 'readonly');
+            const value = await promisifyRequest(transaction.objectStore(RECORDS_STORE).get(key));
+            return value === undefined ? null : value;
+        },
+
+        async writeRecord(key, value) {
+            const transaction = db.transaction(RECORDS_STORE, 'readwrite');
+            transaction.objectStore(RECORDS_STORE).put(value, key);
+            await transactionDone(transaction);
+        },
+
+        async removeRecord(key) {
+            const transaction = db.transaction(RECORDS_STORE, 'readwrite');
+            transaction.objectStore(RECORDS_STORE).delete(key);
+            await transactionDone(transaction);
+        },
+
+        async clear() {
+            const transaction = db.transaction([TASKS_STORE, RECORDS_STORE], 'readwrite');
+            transaction.objectStore(TASKS_STORE).clear();
+            transaction.objectStore(RECORDS_STORE).clear();
+            await transactionDone(transaction);
+            storedTasks = new Map();
+        }
+    };
+};
+
+/**
+ * Create a localStorage-backed adapter (fallback when IndexedDB is unavailable)
+ * Keeps the original single-key layout so older data stays readable
+ * @param {string} tasksKey - Key holding the serialized task array
+ * @returns {Object} - Storage adapter
+ */
+export const createLocalStorageAdapter = (tasksKey) => {
+    const readJSON = (key) => {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+    };
+
+    return {
+        name: 'localStorage',
+
+        async readTasks() {
+            const tasks = readJSON(tasksKey);
+            return Array.isArray(tasks) ? tasks : [];
+        },
+
+        async writeTasks(tasks, extraRecords = {}) {
+            localStorage.setItem(tasksKey, JSON.stringify(tasks));
+            Object.entries(extraRecords).forEach(([key, value]) => {
+                localStorage.setItem(key, JSON.stringify(value));
+            });
+        },
+
+        async readRecord(key) {
+            return readJSON(key);
+        },
+
+        async writeRecord(key, value) {
+            localStorage.setItem(key, JSON.stringify(value));
+        },
+
+        async removeRecord(key) {
+            localStorage.removeItem(key);
+        },
+
+        async clear() {
+            localStorage.removeItem(tasksKey);
+        }
+    };
+};
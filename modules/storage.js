@@ -1,17 +1,227 @@
 /**
- * Storage Module - LocalStorage abstraction for task persistence
- * Handles all data operations with error handling and validation
+ * Storage Module - Async persistence API for tasks and settings
+ * Handles all data operations with error handling and validation,
+ * delegating the actual reads and writes to a storage adapter
  */
 
+import { createIndexedDBAdapter, createLocalStorageAdapter, isIndexedDBAvailable } from './storage-adapters.js';
+import { generateId, isValidId } from './ids.js';
+import { validateBackupData, validateTaskInput, sanitizeInput } from './validation.js';
+import { tasksToCSV, csvRecordsToTasks } from './csv.js';
+import { parseMarkdownChecklist, markdownItemsToTasks } from './markdown.js';
+import { tasksToICS, parseICS, icsTodosToTasks } from './ical.js';
+import { tasksToTodoTxt, parseTodoTxt, todoTxtEntriesToTasks } from './todotxt.js';
+import { DEFAULT_LIST_ID, getTaskListId, normalizeLists, mergeLists } from './lists.js';
+import { sortTasks } from './sorting.js';
+import { BASE_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION, MigrationError, needsMigration, runMigrations } from './migrations.js';
+
 const STORAGE_KEY = 'taskflow_tasks';
 const SETTINGS_KEY = 'taskflow_settings';
+const LISTS_KEY = 'taskflow_lists';
+const META_KEY = `${STORAGE_KEY}_meta`;
+const MIGRATION_KEY = 'taskflow_migration';
+const BACKUP_KEY_PREFIX = 'taskflow_backup_';
+const HISTORY_KEY = 'taskflow_history';
+
+let adapterPromise = null;
+let migrationPromise = null;
+
+/**
+ * Resolve the active storage adapter (IndexedDB, falling back to localStorage)
+ * The adapter is created once and shared by every storage call
+ * @returns {Promise<Object>} - Storage adapter
+ */
+const getAdapter = () => {
+    if (!adapterPromise) {
+        adapterPromise = initializeAdapter();
+    }
+    return adapterPromise;
+};
+
+/**
+ * Pick and prepare the best available storage backend
+ * @returns {Promise<Object>} - Storage adapter
+ */
+const initializeAdapter = async () => {
+    if (isIndexedDBAvailable()) {
+        try {
+            const adapter = await createIndexedDBAdapter();
+            await migrateFromLocalStorage(adapter);
+            return adapter;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+
+    return createLocalStorageAdapter(STORAGE_KEY);
+};
 
 /**
- * Save tasks to localStorage with error handling
+ * One-time move of legacy localStorage data into IndexedDB
+ * The localStorage copy is only removed once IndexedDB has committed
+ * @param {Object} adapter - IndexedDB adapter
+ */
+const migrateFromLocalStorage = async (adapter) => {
+    if (!isLocalStorageAvailable()) return;
+    if (await adapter.readRecord(MIGRATION_KEY)) return;
+
+    const storedTasks = localStorage.getItem(STORAGE_KEY);
+    const storedMeta = localStorage.getItem(META_KEY);
+    const storedSettings = localStorage.getItem(SETTINGS_KEY);
+    let taskCount = 0;
+
+    if (storedTasks) {
+        const parsed = JSON.parse(storedTasks);
+        const tasks = Array.isArray(parsed) ? parsed.map(normalizeTask) : [];
+        // Keep the stored schema version so pending migrations still run afterwards
+        const meta = storedMeta
+            ? JSON.parse(storedMeta)
+            : { ...createMetadata(tasks), version: BASE_SCHEMA_VERSION };
+
+        await adapter.writeTasks(tasks, { [META_KEY]: meta });
+        taskCount = tasks.length;
+    }
+
+    if (storedSettings) {
+        await adapter.writeRecord(SETTINGS_KEY, JSON.parse(storedSettings));
+    }
+
+    await adapter.writeRecord(MIGRATION_KEY, {
+        from: 'localStorage',
+        migratedAt: new Date().toISOString(),
+        taskCount
+    });
+
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(META_KEY);
+    localStorage.removeItem(SETTINGS_KEY);
+
+    if (storedTasks) {
+        console.log(`Migrated ${taskCount} tasks from localStorage to IndexedDB`);
+    }
+};
+
+/**
+ * Run pending schema migrations once per session
+ * Resolves with the MigrationError on failure instead of rejecting, so
+ * callers can decide whether the failure is fatal for them
+ * @param {Object} adapter - Storage adapter
+ * @returns {Promise<MigrationError|null>} - Migration failure, if any
+ */
+const ensureMigrated = (adapter) => {
+    if (!migrationPromise) {
+        migrationPromise = migrateStoredData(adapter)
+            .then(() => null)
+            .catch(error => error instanceof MigrationError
+                ? error
+                : new MigrationError(`Failed to upgrade saved data: ${error.message}`, null, CURRENT_SCHEMA_VERSION, error));
+    }
+    return migrationPromise;
+};
+
+/**
+ * Upgrade stored tasks and settings to the current schema version
+ * A copy of the original payload is kept under a versioned backup key
+ * before anything is rewritten. Data saved by a newer version is backed
+ * up and refused, as saving it here would drop what this version does
+ * not know about.
+ * @param {Object} adapter - Storage adapter
+ * @throws {MigrationError} - When the data is newer or could not be upgraded
+ */
+const migrateStoredData = async (adapter) => {
+    const meta = await adapter.readRecord(META_KEY);
+    const tasks = await adapter.readTasks();
+    const settings = await adapter.readRecord(SETTINGS_KEY);
+
+    // Nothing stored yet, so there is nothing to upgrade
+    if (!meta && tasks.length === 0) return;
+
+    const fromVersion = (meta && meta.version) || BASE_SCHEMA_VERSION;
+    if (!needsMigration(fromVersion)) return;
+
+    const backupKey = getBackupKey(fromVersion);
+    await adapter.writeRecord(backupKey, {
+        version: fromVersion,
+        backedUpAt: new Date().toISOString(),
+        meta,
+        tasks,
+        settings
+    });
+
+    const migrated = runMigrations({ tasks, settings }, fromVersion);
+
+    // Tasks, metadata and settings go in one write, so a failure leaves
+    // all of them at the old version and the upgrade runs again
+    const records = { [META_KEY]: createMetadata(migrated.tasks) };
+    if (migrated.settings) {
+        records[SETTINGS_KEY] = migrated.settings;
+    }
+
+    try {
+        await adapter.writeTasks(migrated.tasks, records);
+    } catch (error) {
+        // Keep the version, so the backup can still be found
+        throw new MigrationError(`Failed to save upgraded data: ${error.message}`, fromVersion, migrated.version, error);
+    }
+
+    console.log(`Migrated stored data from ${fromVersion} to ${migrated.version} (backup: ${backupKey})`);
+};
+
+/**
+ * Get the storage key holding the pre-migration backup for a version
+ * @param {string} version - Schema version that was backed up
+ * @returns {string} - Backup storage key
+ */
+const getBackupKey = (version) => `${BACKUP_KEY_PREFIX}${version}`;
+
+/**
+ * Load the pre-migration backup for a schema version
+ * The backup has a `version` and `tasks`, so it can be imported as a backup file
+ * @param {string} version - Schema version that was backed up
+ * @returns {Promise<Object|null>} - Backup payload or null
+ */
+export const loadMigrationBackup = async (version) => {
+    try {
+        const adapter = await getAdapter();
+        return await adapter.readRecord(getBackupKey(version));
+    } catch (error) {
+        console.error('Failed to load migration backup:', error);
+        return null;
+    }
+};
+
+/**
+ * Ensure a stored task has all required properties with defaults
+ * Unknown properties are kept so newer fields survive a round trip
+ * @param {Object} task - Raw stored task
+ * @returns {Object} - Normalized task
+ */
+const normalizeTask = (task) => ({
+    ...task,
+    id: task.id || generateId(),
+    text: task.text || '',
+    completed: Boolean(task.completed),
+    createdAt: task.createdAt || new Date().toISOString(),
+    updatedAt: task.updatedAt || task.createdAt || new Date().toISOString()
+});
+
+/**
+ * Build the metadata record stored alongside the tasks
+ * @param {Array} tasks - Tasks being saved
+ * @returns {Object} - Metadata object
+ */
+const createMetadata = (tasks) => ({
+    lastModified: new Date().toISOString(),
+    version: CURRENT_SCHEMA_VERSION,
+    taskCount: tasks.length
+});
+
+/**
+ * Save tasks to storage with error handling
  * @param {Array} tasks - Array of task objects
- * @returns {boolean} - Success status
+ * @returns {Promise<boolean>} - Success status
  */
-export const saveTasks = (tasks) => {
+export const saveTasks = async (tasks) => {
     try {
         if (!Array.isArray(tasks)) {
             throw new Error('Tasks must be an array');
@@ -21,21 +231,13 @@ export const saveTasks = (tasks) => {
         const validTasks = tasks.filter(task => 
             task && 
             typeof task === 'object' && 
-            typeof task.id === 'number' && 
+            isValidId(task.id) && 
             typeof task.text === 'string' &&
             typeof task.completed === 'boolean'
         );
 
-        const serializedData = JSON.stringify(validTasks);
-        localStorage.setItem(STORAGE_KEY, serializedData);
-        
-        // Store metadata
-        const metadata = {
-            lastModified: new Date().toISOString(),
-            version: '1.0.0',
-            taskCount: validTasks.length
-        };
-        localStorage.setItem(`${STORAGE_KEY}_meta`, JSON.stringify(metadata));
+        const adapter = await getAdapter();
+        await adapter.writeTasks(validTasks, { [META_KEY]: createMetadata(validTasks) });
         
         return true;
     } catch (error) {
@@ -45,17 +247,23 @@ export const saveTasks = (tasks) => {
 };
 
 /**
- * Load tasks from localStorage with error handling
- * @returns {Array} - Array of task objects or empty array
+ * Load tasks from storage with error handling
+ * Pending schema migrations run first. Failures are rethrown (a
+ * MigrationError if the data could not be upgraded) so the caller can
+ * tell the user, and avoid saving over tasks it never loaded, instead of
+ * showing no tasks
+ * @returns {Promise<Array>} - Array of task objects
+ * @throws {Error} - When stored tasks could not be read or upgraded
  */
-export const loadTasks = () => {
+export const loadTasks = async () => {
     try {
-        const stored = localStorage.getItem(STORAGE_KEY);
-        if (!stored) {
-            return [];
+        const adapter = await getAdapter();
+        const migrationError = await ensureMigrated(adapter);
+        if (migrationError) {
+            throw migrationError;
         }
 
-        const tasks = JSON.parse(stored);
+        const tasks = await adapter.readTasks();
         
         // Validate loaded data
         if (!Array.isArray(tasks)) {
@@ -63,30 +271,98 @@ export const loadTasks = () => {
             return [];
         }
 
-        // Ensure all tasks have required properties with defaults
-        return tasks.map(task => ({
-            id: task.id || Date.now(),
-            text: task.text || '',
-            completed: Boolean(task.completed),
-            createdAt: task.createdAt || new Date().toISOString(),
-            updatedAt: task.updatedAt || task.createdAt || new Date().toISOString()
-        }));
+        return tasks.map(normalizeTask);
         
     } catch (error) {
         console.error('Failed to load tasks:', error);
-        return [];
+        throw error;
+    }
+};
+
+/**
+ * Save the task lists
+ * @param {Array} lists - List objects
+ * @returns {Promise<boolean>} - Success status
+ */
+export const saveLists = async (lists) => {
+    try {
+        const adapter = await getAdapter();
+        await adapter.writeRecord(LISTS_KEY, normalizeLists(lists));
+        return true;
+    } catch (error) {
+        console.error('Failed to save lists:', error);
+        return false;
+    }
+};
+
+/**
+ * Load the task lists
+ * @returns {Promise<Array>} - Lists, always starting with the default list
+ */
+export const loadLists = async () => {
+    try {
+        const adapter = await getAdapter();
+        return normalizeLists(await adapter.readRecord(LISTS_KEY));
+    } catch (error) {
+        console.error('Failed to load lists:', error);
+        return normalizeLists([]);
+    }
+};
+
+/**
+ * Save the undo history of this tab
+ * It lives in sessionStorage, so it survives reloads but not closing the
+ * tab. When it does not fit, the oldest commands are dropped first.
+ * @param {Object} history - { commands, index } from the history's toJSON
+ * @returns {boolean} - Whether the history (or its newest part) was saved
+ */
+export const saveHistory = ({ commands, index }) => {
+    let kept = commands;
+    let position = index;
+
+    while (kept.length > 0) {
+        try {
+            sessionStorage.setItem(HISTORY_KEY, JSON.stringify({ commands: kept, index: position }));
+            return true;
+        } catch (error) {
+            kept = kept.slice(1);
+            position = Math.max(position - 1, 0);
+        }
+    }
+
+    try {
+        sessionStorage.removeItem(HISTORY_KEY);
+    } catch (error) {
+        console.error('Failed to save history:', error);
+    }
+    return false;
+};
+
+/**
+ * Load the undo history saved for this tab
+ * @returns {Object} - { commands, index }, empty when nothing usable is stored
+ */
+export const loadHistory = () => {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+        if (stored && Array.isArray(stored.commands) && Number.isInteger(stored.index)) {
+            return stored;
+        }
+    } catch (error) {
+        console.error('Failed to load history:', error);
     }
+    return { commands: [], index: 0 };
 };
 
 /**
  * Save application settings
  * @param {Object} settings - Settings object
- * @returns {boolean} - Success status
+ * @returns {Promise<boolean>} - Success status
  */
-export const saveSettings = (settings) => {
+export const saveSettings = async (settings) => {
     try {
-        const serializedData = JSON.stringify(settings);
-        localStorage.setItem(SETTINGS_KEY, serializedData);
+        const adapter = await getAdapter();
+        await adapter.writeRecord(SETTINGS_KEY, settings);
         return true;
     } catch (error) {
         console.error('Failed to save settings:', error);
@@ -96,16 +372,18 @@ export const saveSettings = (settings) => {
 
 /**
  * Load application settings
- * @returns {Object} - Settings object with defaults
+ * @returns {Promise<Object>} - Settings object with defaults
  */
-export const loadSettings = () => {
+export const loadSettings = async () => {
     try {
-        const stored = localStorage.getItem(SETTINGS_KEY);
-        if (!stored) {
+        const adapter = await getAdapter();
+        // A failed migration is reported by loadTasks; settings fall back to what is stored
+        await ensureMigrated(adapter);
+        const settings = await adapter.readRecord(SETTINGS_KEY);
+        if (!settings) {
             return getDefaultSettings();
         }
 
-        const settings = JSON.parse(stored);
         return { ...getDefaultSettings(), ...settings };
         
     } catch (error) {
@@ -122,18 +400,23 @@ const getDefaultSettings = () => ({
     theme: 'light',
     filter: 'all',
     sortBy: 'createdAt',
-    sortOrder: 'desc'
+    sortOrder: 'desc',
+    list: DEFAULT_LIST_ID,
+    views: []
 });
 
 /**
  * Clear all stored data (for reset functionality)
- * @returns {boolean} - Success status
+ * @returns {Promise<boolean>} - Success status
  */
-export const clearStorage = () => {
+export const clearStorage = async () => {
     try {
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem(`${STORAGE_KEY}_meta`);
-        localStorage.removeItem(SETTINGS_KEY);
+        const adapter = await getAdapter();
+        await adapter.clear();
+        await adapter.removeRecord(META_KEY);
+        await adapter.removeRecord(SETTINGS_KEY);
+        await adapter.removeRecord(LISTS_KEY);
+        sessionStorage.removeItem(HISTORY_KEY);
         return true;
     } catch (error) {
         console.error('Failed to clear storage:', error);
@@ -143,25 +426,27 @@ export const clearStorage = () => {
 
 /**
  * Get storage statistics
- * @returns {Object} - Storage stats
+ * @returns {Promise<Object>} - Storage stats
  */
-export const getStorageStats = () => {
+export const getStorageStats = async () => {
     try {
-        const tasks = loadTasks();
-        const metaData = localStorage.getItem(`${STORAGE_KEY}_meta`);
-        const meta = metaData ? JSON.parse(metaData) : {};
+        const adapter = await getAdapter();
+        const tasks = await loadTasks();
+        const settings = await adapter.readRecord(SETTINGS_KEY);
+        const meta = (await adapter.readRecord(META_KEY)) || {};
         
         // Calculate storage size
-        const tasksSize = new Blob([localStorage.getItem(STORAGE_KEY) || '']).size;
-        const settingsSize = new Blob([localStorage.getItem(SETTINGS_KEY) || '']).size;
+        const tasksSize = new Blob([JSON.stringify(tasks)]).size;
+        const settingsSize = new Blob([settings ? JSON.stringify(settings) : '']).size;
         
         return {
             taskCount: tasks.length,
             completedCount: tasks.filter(task => task.completed).length,
             activeCount: tasks.filter(task => !task.completed).length,
             storageSize: tasksSize + settingsSize,
+            backend: adapter.name,
             lastModified: meta.lastModified || null,
-            version: meta.version || '1.0.0'
+            version: meta.version || CURRENT_SCHEMA_VERSION
         };
     } catch (error) {
         console.error('Failed to get storage stats:', error);
@@ -170,26 +455,29 @@ export const getStorageStats = () => {
             completedCount: 0,
             activeCount: 0,
             storageSize: 0,
+            backend: null,
             lastModified: null,
-            version: '1.0.0'
+            version: CURRENT_SCHEMA_VERSION
         };
     }
 };
 
 /**
  * Export tasks data for backup
- * @returns {Object} - Exportable data
+ * @returns {Promise<Object|null>} - Exportable data
  */
-export const exportTasks = () => {
+export const exportTasks = async () => {
     try {
-        const tasks = loadTasks();
-        const settings = loadSettings();
-        const stats = getStorageStats();
+        const tasks = await loadTasks();
+        const lists = await loadLists();
+        const settings = await loadSettings();
+        const stats = await getStorageStats();
         
         return {
-            version: '1.0.0',
+            version: CURRENT_SCHEMA_VERSION,
             exportedAt: new Date().toISOString(),
             tasks,
+            lists,
             settings,
             stats
         };
@@ -200,36 +488,288 @@ export const exportTasks = () => {
 };
 
 /**
- * Import tasks data from backup
- * @param {Object} data - Import data object
- * @returns {boolean} - Success status
+ * Check whether two tasks hold the same data
+ * @param {Object} a - First task
+ * @param {Object} b - Second task
+ * @returns {boolean} - Whether every field matches
  */
-export const importTasks = (data) => {
-    try {
-        if (!data || typeof data !== 'object') {
-            throw new Error('Invalid import data');
+const isSameTask = (a, b) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+};
+
+/**
+ * Work out what importing a backup would change
+ * Tasks are matched by ID. A backup task is skipped when it is invalid,
+ * unchanged, older than the local copy or (when new) duplicates the text
+ * of an existing task in the same list.
+ * @param {Object} data - Validated backup data
+ * @param {Array} currentTasks - Tasks currently stored
+ * @returns {Object} - Import plan ({ added, updated, skipped, removed, tasks })
+ */
+export const planImport = (data, currentTasks = []) => {
+    const migrated = runMigrations({ tasks: data.tasks, settings: null }, data.version);
+    const currentById = new Map(currentTasks.map(task => [task.id, task]));
+    const textKey = (task) => `${getTaskListId(task)}\n${task.text.toLowerCase()}`;
+    const currentTexts = new Set(currentTasks.map(textKey));
+    const seenIds = new Set();
+    const plan = { added: [], updated: [], skipped: [], removed: [], tasks: [] };
+
+    migrated.tasks.forEach(raw => {
+        if (!raw || typeof raw !== 'object') {
+            plan.skipped.push({ task: { text: String(raw) }, reason: 'Not a task' });
+            return;
         }
 
-        if (data.tasks && Array.isArray(data.tasks)) {
-            saveTasks(data.tasks);
+        const validation = validateTaskInput(raw.text);
+        if (!validation.isValid) {
+            plan.skipped.push({ task: raw, reason: validation.errors[0].message });
+            return;
         }
 
-        if (data.settings && typeof data.settings === 'object') {
-            saveSettings(data.settings);
+        const task = normalizeTask({ ...raw, text: sanitizeInput(validation.cleaned) });
+        if (seenIds.has(task.id)) {
+            plan.skipped.push({ task, reason: 'Listed twice in the backup' });
+            return;
         }
 
-        return true;
+        seenIds.add(task.id);
+        plan.tasks.push(task);
+
+        const existing = currentById.get(task.id);
+        if (!existing) {
+            if (currentTexts.has(textKey(task))) {
+                plan.skipped.push({ task, reason: 'A task with the same text already exists' });
+            } else {
+                plan.added.push(task);
+            }
+        } else if (isSameTask(existing, task)) {
+            plan.skipped.push({ task, reason: 'Unchanged' });
+        } else if (new Date(existing.updatedAt) > new Date(task.updatedAt)) {
+            plan.skipped.push({ task, reason: 'Local copy is newer' });
+        } else {
+            plan.updated.push(task);
+        }
+    });
+
+    plan.removed = currentTasks.filter(task => !seenIds.has(task.id));
+
+    return plan;
+};
+
+/**
+ * Combine current tasks with an import plan
+ * "merge" adds new tasks and applies updates; "replace" keeps only the
+ * valid tasks from the backup
+ * @param {Array} currentTasks - Tasks currently stored
+ * @param {Object} plan - Plan from planImport
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Array} - Resulting task list
+ */
+export const applyImportPlan = (currentTasks, plan, mode = 'merge') => {
+    if (mode === 'replace') {
+        return plan.tasks;
+    }
+
+    const updatesById = new Map(plan.updated.map(task => [task.id, task]));
+    return [
+        ...plan.added,
+        ...currentTasks.map(task => updatesById.get(task.id) || task)
+    ];
+};
+
+/**
+ * Import tasks data from backup
+ * Backups from older versions are upgraded through the same migrations
+ * used for stored data. Tasks are restored and lists missing locally are
+ * added; settings are left as is. Nothing is saved: the caller saves the
+ * result.
+ * @param {Object} data - Import data object
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'merge' (default) or 'replace'
+ * @param {Array} options.currentTasks - Current tasks (loaded from storage if omitted)
+ * @param {Array} options.currentLists - Current lists (loaded from storage if omitted)
+ * @returns {Promise<Object|null>} - { tasks, lists } after the import, or null on failure
+ */
+export const importTasks = async (data, { mode = 'merge', currentTasks = null, currentLists = null } = {}) => {
+    try {
+        const validation = validateBackupData(data);
+        if (!validation.isValid) {
+            throw new Error(validation.errors[0].message);
+        }
+
+        const existing = currentTasks || await loadTasks();
+        const plan = planImport(data, existing);
+        const tasks = applyImportPlan(existing, plan, mode);
+
+        const lists = currentLists || await loadLists();
+        return {
+            tasks,
+            lists: Array.isArray(data.lists) ? mergeLists(lists, data.lists) : lists
+        };
     } catch (error) {
         console.error('Failed to import tasks:', error);
-        return false;
+        return null;
+    }
+};
+
+/**
+ * Load tasks in the order chosen in the settings
+ * Text exports follow the list's sort order; JSON backups keep the
+ * stored order so a manual order survives a restore
+ * @returns {Promise<Array>} - Sorted tasks
+ */
+const loadSortedTasks = async () => {
+    const tasks = await loadTasks();
+    const { sortBy, sortOrder } = await loadSettings();
+    return sortTasks(tasks, sortBy, sortOrder);
+};
+
+/**
+ * Export tasks as CSV text
+ * @returns {Promise<Object|null>} - { text: CSV text, count: tasks exported }
+ */
+export const exportTasksCSV = async () => {
+    try {
+        const tasks = await loadSortedTasks();
+        return { text: tasksToCSV(tasks), count: tasks.length };
+    } catch (error) {
+        console.error('Failed to export tasks as CSV:', error);
+        return null;
     }
 };
 
+/**
+ * Import tasks from parsed CSV records
+ * Valid rows are added in front of the current tasks; invalid rows are
+ * returned with their line numbers instead of aborting the import
+ * @param {Array<Object>} records - Records from parseCSV (header first)
+ * @param {Array<string>} mapping - Task field per column ('' to ignore)
+ * @param {Object} options - Import options
+ * @param {Array} options.currentTasks - Current tasks (loaded from storage if omitted)
+ * @param {string} options.listId - List the tasks are added to
+ * @returns {Promise<Object|null>} - { tasks, imported, rejected }, or null on failure
+ */
+export const importTasksCSV = async (records, mapping, { currentTasks = null, listId = DEFAULT_LIST_ID } = {}) => {
+    try {
+        const existing = currentTasks || await loadTasks();
+        const { tasks: imported, rejected } = csvRecordsToTasks(records, mapping, existing, { listId });
+
+        return { ...addImportedTasks(imported, existing), rejected };
+    } catch (error) {
+        console.error('Failed to import CSV:', error);
+        return null;
+    }
+};
+
+/**
+ * Import tasks from a Markdown checklist
+ * Nesting is kept as each task's group; duplicates and invalid items are
+ * returned with their line numbers
+ * @param {string} text - Markdown text
+ * @param {Object} options - Import options
+ * @param {Array} options.currentTasks - Current tasks (loaded from storage if omitted)
+ * @param {string} options.listId - List the tasks are added to
+ * @returns {Promise<Object|null>} - { tasks, imported, rejected }, or null on failure
+ */
+export const importTasksMarkdown = async (text, { currentTasks = null, listId = DEFAULT_LIST_ID } = {}) => {
+    try {
+        const existing = currentTasks || await loadTasks();
+        const items = parseMarkdownChecklist(text);
+        const { tasks: imported, rejected } = markdownItemsToTasks(items, existing, { listId });
+
+        return { ...addImportedTasks(imported, existing), rejected };
+    } catch (error) {
+        console.error('Failed to import Markdown:', error);
+        return null;
+    }
+};
+
+/**
+ * Export tasks as an iCalendar document of VTODOs
+ * @returns {Promise<Object|null>} - { text: iCalendar text, count: tasks exported }
+ */
+export const exportTasksICS = async () => {
+    try {
+        const tasks = await loadSortedTasks();
+        return { text: tasksToICS(tasks), count: tasks.length };
+    } catch (error) {
+        console.error('Failed to export tasks as iCalendar:', error);
+        return null;
+    }
+};
+
+/**
+ * Import tasks from iCalendar VTODO components
+ * Components whose UID or summary matches an existing task are rejected
+ * as duplicates and reported by line number
+ * @param {string} text - iCalendar text
+ * @param {Object} options - Import options
+ * @param {Array} options.currentTasks - Current tasks (loaded from storage if omitted)
+ * @param {string} options.listId - List the tasks are added to
+ * @returns {Promise<Object|null>} - { tasks, imported, rejected }, or null on failure
+ */
+export const importTasksICS = async (text, { currentTasks = null, listId = DEFAULT_LIST_ID } = {}) => {
+    try {
+        const existing = currentTasks || await loadTasks();
+        const { tasks: imported, rejected } = icsTodosToTasks(parseICS(text), existing, { listId });
+
+        return { ...addImportedTasks(imported, existing), rejected };
+    } catch (error) {
+        console.error('Failed to import iCalendar:', error);
+        return null;
+    }
+};
+
+/**
+ * Export tasks in todo.txt format
+ * @returns {Promise<Object|null>} - { text: todo.txt contents, count: tasks exported }
+ */
+export const exportTasksTodoTxt = async () => {
+    try {
+        const tasks = await loadSortedTasks();
+        return { text: tasksToTodoTxt(tasks), count: tasks.length };
+    } catch (error) {
+        console.error('Failed to export tasks as todo.txt:', error);
+        return null;
+    }
+};
+
+/**
+ * Import tasks from a todo.txt document
+ * Priorities and `key:value` extensions are kept in each task's
+ * `extensions` so they are written back on export
+ * @param {string} text - todo.txt contents
+ * @param {Object} options - Import options
+ * @param {Array} options.currentTasks - Current tasks (loaded from storage if omitted)
+ * @param {string} options.listId - List the tasks are added to
+ * @returns {Promise<Object|null>} - { tasks, imported, rejected }, or null on failure
+ */
+export const importTasksTodoTxt = async (text, { currentTasks = null, listId = DEFAULT_LIST_ID } = {}) => {
+    try {
+        const existing = currentTasks || await loadTasks();
+        const { tasks: imported, rejected } = todoTxtEntriesToTasks(parseTodoTxt(text), existing, { listId });
+
+        return { ...addImportedTasks(imported, existing), rejected };
+    } catch (error) {
+        console.error('Failed to import todo.txt:', error);
+        return null;
+    }
+};
+
+/**
+ * Put newly imported tasks in front of the existing ones
+ * @param {Array} imported - New tasks
+ * @param {Array} existing - Current tasks
+ * @returns {Object} - { tasks, imported }
+ */
+const addImportedTasks = (imported, existing) => ({ tasks: [...imported, ...existing], imported });
+
 /**
  * Check if localStorage is available
  * @returns {boolean} - Availability status
  */
-export const isStorageAvailable = () => {
+const isLocalStorageAvailable = () => {
     try {
         const test = '__storage_test__';
         localStorage.setItem(test, test);
@@ -240,3 +780,12 @@ export const isStorageAvailable = () => {
         return false;
     }
 };
+
+/**
+ * Check if persistent storage is available (IndexedDB or localStorage)
+ * @returns {Promise<boolean>} - Availability status
+ */
+export const isStorageAvailable = async () => {
+    const adapter = await getAdapter();
+    return adapter.name === 'indexedDB' || isLocalStorageAvailable();
+};
@@ -0,0 +1,357 @@
+/**
+ * Sync Module - Change messages between open tabs
+ * Every save tells the other tabs what it changed: the tasks it added,
+ * deleted or edited (with the fields edited and their values before),
+ * the lists, or the settings shared by all tabs. Tabs apply the changes
+ * to what they have in memory instead of reloading, so edits made at the
+ * same time in two tabs are merged field by field; where both changed
+ * the same field, the edit with the newer `updatedAt` wins. Messages go
+ * over a BroadcastChannel, or through a localStorage key (and the
+ * `storage` event it fires) in browsers without one.
+ */
+
+import { generateId } from './ids.js';
+
+const CHANNEL_NAME = 'taskflow_sync';
+const MESSAGE_KEY = 'taskflow_sync_message';
+
+/**
+ * Task fields that are not merged as edits
+ */
+const IGNORED_FIELDS = ['id', 'updatedAt'];
+
+/**
+ * Settings that describe what a tab is showing, and so stay per tab
+ */
+const TAB_SETTINGS = ['filter', 'list'];
+
+/**
+ * Field names as shown in conflict notes
+ */
+const FIELD_LABELS = {
+    completed: 'status',
+    dueDate: 'due date',
+    dueTime: 'due time',
+    listId: 'list',
+    reminderAt: 'reminder',
+    position: 'order'
+};
+
+/**
+ * Deep-copy plain data
+ * @param {*} value - JSON-compatible value
+ * @returns {*} - Copy
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Compare two field values
+ * @param {*} a - Value (undefined for a missing field)
+ * @param {*} b - Value
+ * @returns {boolean} - Whether they are equal
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Get a timestamp as milliseconds
+ * @param {string} date - ISO date
+ * @returns {number} - Milliseconds, or 0 if missing or invalid
+ */
+const getTime = (date) => {
+    const time = new Date(date).getTime();
+    return Number.isFinite(time) ? time : 0;
+};
+
+/**
+ * List the fields that differ between two versions of a task
+ * @param {Object} before - Previous version
+ * @param {Object} after - Current version
+ * @returns {Array<string>} - Field names
+ */
+const getChangedFields = (before, after) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field => !IGNORED_FIELDS.includes(field) && !isSameValue(before[field], after[field]));
+};
+
+/**
+ * Describe the task changes since the last sync as operations
+ * @param {Map} previous - JSON of each task as last synced, by ID
+ * @param {Array} tasks - Current tasks
+ * @returns {Array} - Operations: { type: 'put', task, fields, base } for added
+ *   (base null) or edited tasks, with the edited fields and their previous
+ *   values, and { type: 'delete', id, updatedAt } for deleted tasks
+ */
+export const diffTasks = (previous, tasks) => {
+    const ops = [];
+    const ids = new Set();
+
+    tasks.forEach(task => {
+        ids.add(task.id);
+        const json = JSON.stringify(task);
+        const before = previous.get(task.id);
+
+        if (before === undefined) {
+            ops.push({ type: 'put', task: JSON.parse(json), fields: [], base: null });
+        } else if (before !== json) {
+            const previousTask = JSON.parse(before);
+            const fields = getChangedFields(previousTask, task);
+            const base = { updatedAt: previousTask.updatedAt };
+            fields.forEach(field => {
+                base[field] = previousTask[field];
+            });
+            ops.push({ type: 'put', task: JSON.parse(json), fields, base });
+        }
+    });
+
+    previous.forEach((json, id) => {
+        if (!ids.has(id)) {
+            ops.push({ type: 'delete', id, updatedAt: JSON.parse(json).updatedAt });
+        }
+    });
+
+    return ops;
+};
+
+/**
+ * Merge an edit from another tab into the local version of a task
+ * Fields only edited there take its value; fields edited in both tabs
+ * keep the value from the newer edit (by `updatedAt`, then by value so
+ * that every tab picks the same one).
+ * @param {Object} local - Local task
+ * @param {Object} op - 'put' operation from diffTasks
+ * @returns {Object} - { task: merged copy, conflicts: fields edited in both tabs }
+ */
+export const mergeTask = (local, { task: remote, fields, base }) => {
+    const merged = { ...local };
+    const conflicts = [];
+    const localTime = getTime(local.updatedAt);
+    const remoteTime = getTime(remote.updatedAt);
+
+    fields.forEach(field => {
+        const editedHere = !isSameValue(local[field], base[field]) && !isSameValue(local[field], remote[field]);
+        if (editedHere) {
+            conflicts.push(field);
+            const remoteWins = remoteTime > localTime ||
+                (remoteTime === localTime && JSON.stringify(remote[field]) > JSON.stringify(local[field]));
+            if (!remoteWins) return;
+        }
+
+        if (remote[field] === undefined) {
+            delete merged[field];
+        } else {
+            merged[field] = clone(remote[field]);
+        }
+    });
+
+    merged.updatedAt = remoteTime > localTime ? remote.updatedAt : local.updatedAt;
+    return { task: merged, conflicts };
+};
+
+/**
+ * Apply operations from another tab to the local tasks
+ * A task deleted there but edited here since (a newer `updatedAt` than the
+ * deleted version) is kept, and reported so it can be sent back.
+ * @param {Array} tasks - Local tasks
+ * @param {Array} ops - Operations from diffTasks
+ * @returns {Object} - { tasks, conflicts: list of { task, fields } or
+ *   { task, deleted: true }, kept: IDs of tasks kept against a delete }
+ */
+export const applyTaskOps = (tasks, ops) => {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const conflicts = [];
+    const kept = [];
+
+    ops.forEach(op => {
+        if (op.type === 'delete') {
+            const local = byId.get(op.id);
+            if (!local) return;
+
+            if (getTime(local.updatedAt) > getTime(op.updatedAt)) {
+                kept.push(local.id);
+                conflicts.push({ task: local, deleted: true });
+            } else {
+                byId.delete(op.id);
+            }
+            return;
+        }
+
+        if (op.type !== 'put' || !op.task) return;
+
+        const local = byId.get(op.task.id);
+        if (!local) {
+            byId.set(op.task.id, clone(op.task));
+        } else if (!op.base) {
+            // Sent as new (e.g. kept against a delete): the newer version wins
+            if (getTime(op.task.updatedAt) > getTime(local.updatedAt)) {
+                byId.set(op.task.id, clone(op.task));
+            }
+        } else {
+            const merged = mergeTask(local, op);
+            byId.set(op.task.id, merged.task);
+            if (merged.conflicts.length > 0) {
+                conflicts.push({ task: merged.task, fields: merged.conflicts });
+            }
+        }
+    });
+
+    return { tasks: [...byId.values()], conflicts, kept };
+};
+
+/**
+ * Describe merge conflicts for a notification
+ * @param {Array} conflicts - Conflicts from applyTaskOps
+ * @returns {string} - Message
+ */
+export const describeConflicts = (conflicts) => {
+    if (conflicts.length > 1) {
+        return `${conflicts.length} tasks were also changed in another tab. The newer edits were kept.`;
+    }
+
+    const [{ task, fields, deleted }] = conflicts;
+    if (deleted) {
+        return `"${task.text}" was deleted in another tab while you changed it here. It was kept.`;
+    }
+
+    const labels = fields.map(field => FIELD_LABELS[field] || field);
+    const named = labels.length > 1
+        ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+        : labels[0];
+    return `"${task.text}" was also changed in another tab. The newer ${named} was kept.`;
+};
+
+/**
+ * Get the settings shared by all tabs
+ * @param {Object} settings - Settings
+ * @returns {Object} - Settings without the per-tab ones
+ */
+export const getSharedSettings = (settings) => {
+    const shared = { ...settings };
+    TAB_SETTINGS.forEach(key => {
+        delete shared[key];
+    });
+    return shared;
+};
+
+/**
+ * Create the messaging between this tab and the other open tabs
+ * @param {Object} options - onMessage(message) for each message from another
+ *   tab ({ type: 'tasks', ops }, { type: 'lists', lists } or { type: 'settings', settings })
+ * @returns {Object} - { track(tasks), trackSettings(settings), publishTasks(tasks),
+ *   publishLists(lists), publishSettings(settings), handleStorageEvent(event), close() }
+ */
+export const createTabSync = ({ onMessage }) => {
+    const tabId = generateId();
+    const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+    // JSON of each task as last sent or received, by ID
+    let synced = new Map();
+    let sharedSettings = null;
+
+    const receive = (message) => {
+        if (!message || typeof message !== 'object' || message.source === tabId) return;
+
+        try {
+            onMessage(message);
+        } catch (error) {
+            console.error('Failed to apply changes from another tab:', error);
+        }
+    };
+
+    const post = (message) => {
+        const data = { ...message, source: tabId };
+
+        try {
+            if (channel) {
+                channel.postMessage(data);
+            } else {
+                // Setting the key fires a `storage` event in the other tabs
+                localStorage.setItem(MESSAGE_KEY, JSON.stringify(data));
+                localStorage.removeItem(MESSAGE_KEY);
+            }
+        } catch (error) {
+            // Syncing is best effort; other tabs still load the saved data when opened
+            console.error('Failed to send changes to other tabs:', error);
+        }
+    };
+
+    const track = (tasks) => {
+        synced = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+    };
+
+    if (channel) {
+        channel.onmessage = (event) => receive(event.data);
+    }
+
+    return {
+        /**
+         * Treat tasks as synced, so only later changes are sent
+         * @param {Array} tasks - Tasks as saved or received
+         */
+        track,
+
+        /**
+         * Treat settings as synced, so they are only sent once changed
+         * @param {Object} settings - Settings as loaded or received
+         */
+        trackSettings(settings) {
+            sharedSettings = JSON.stringify(getSharedSettings(settings));
+        },
+
+        /**
+         * Send the task changes since the last sync
+         * @param {Array} tasks - Current tasks
+         * @returns {number} - Number of operations sent
+         */
+        publishTasks(tasks) {
+            const ops = diffTasks(synced, tasks);
+            track(tasks);
+            if (ops.length > 0) {
+                post({ type: 'tasks', ops });
+            }
+            return ops.length;
+        },
+
+        /**
+         * Send the lists
+         * @param {Array} lists - List objects
+         */
+        publishLists(lists) {
+            post({ type: 'lists', lists });
+        },
+
+        /**
+         * Send the shared settings, if they changed since last sent
+         * @param {Object} settings - Settings
+         */
+        publishSettings(settings) {
+            const shared = JSON.stringify(getSharedSettings(settings));
+            if (shared === sharedSettings) return;
+
+            sharedSettings = shared;
+            post({ type: 'settings', settings: JSON.parse(shared) });
+        },
+
+        /**
+         * Receive a message sent through localStorage
+         * @param {StorageEvent} event - Storage event
+         * @returns {boolean} - Whether the event was a sync message
+         */
+        handleStorageEvent(event) {
+            if (channel || !event || event.key !== MESSAGE_KEY || !event.newValue) return false;
+
+            try {
+                receive(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Failed to read changes from another tab:', error);
+            }
+            return true;
+        },
+
+        /**
+         * Stop listening to other tabs
+         */
+        close() {
+            if (channel) channel.close();
+        }
+    };
+};
@@ -0,0 +1,103 @@
+/**
+ * Tags Module - #hashtag parsing and tag maintenance
+ * Tags are stored lower-case in a `tags` array on the task and kept out
+ * of the task text; text-based formats write them back as #hashtags
+ */
+
+const TAG_PATTERN = /(^|\s)#([\p{L}][\p{L}\p{N}_-]*)(?=\s|$)/gu;
+const VALID_TAG = /^[\p{L}][\p{L}\p{N}_-]*$/u;
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a tag name (strips a leading #, lower-cases)
+ * @param {string} tag - Raw tag
+ * @returns {string|null} - Tag, or null if not a valid tag name
+ */
+export const normalizeTag = (tag) => {
+    if (typeof tag !== 'string') return null;
+
+    const name = tag.trim().replace(/^#/, '').toLowerCase();
+    return VALID_TAG.test(name) && name.length <= MAX_TAG_LENGTH ? name : null;
+};
+
+/**
+ * Normalize a list of tags, dropping invalid names and duplicates
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} - Unique tags in first-seen order
+ */
+export const normalizeTags = (tags) => {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Pull #hashtags out of typed text
+ * @param {string} text - Text as typed
+ * @returns {Object} - { text: text without tags, tags }
+ */
+export const extractTags = (text) => {
+    const tags = [];
+    const cleaned = String(text || '').replace(TAG_PATTERN, (match, space, tag) => {
+        tags.push(tag);
+        return space;
+    });
+
+    return {
+        text: cleaned.replace(/\s+/g, ' ').trim(),
+        tags: normalizeTags(tags)
+    };
+};
+
+/**
+ * Append tags to text as #hashtags (the reverse of extractTags)
+ * @param {string} text - Task text
+ * @param {Array<string>} tags - Tags
+ * @returns {string} - Text followed by its tags
+ */
+export const appendTags = (text, tags = []) =>
+    [text, ...normalizeTags(tags).map(tag => `#${tag}`)].filter(Boolean).join(' ');
+
+/**
+ * Count how many tasks carry each tag
+ * @param {Array} tasks - Tasks to count
+ * @returns {Array<Object>} - { tag, count }, most used first, then by name
+ */
+export const countTags = (tasks) => {
+    const counts = new Map();
+
+    tasks.forEach(task => {
+        (task.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Replace one or more tags with a single tag on every task, in place
+ * Renaming is merging a single tag; tasks that end up with the target
+ * twice keep it once
+ * @param {Array} tasks - Tasks to update
+ * @param {Array<string>} sourceTags - Tags to replace
+ * @param {string} targetTag - Tag to use instead
+ * @returns {number} - Number of tasks changed
+ */
+export const mergeTags = (tasks, sourceTags, targetTag) => {
+    const target = normalizeTag(targetTag);
+    const sources = normalizeTags(sourceTags).filter(tag => tag !== target);
+    if (!target || sources.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    let changed = 0;
+
+    tasks.forEach(task => {
+        if (!task.tags || !task.tags.some(tag => sources.includes(tag))) return;
+
+        task.tags = normalizeTags(task.tags.map(tag => (sources.includes(tag) ? target : tag)));
+        task.updatedAt = now;
+        changed++;
+    });
+
+    return changed;
+};
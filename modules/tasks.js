@@ -0,0 +1,330 @@
+/**
+ * Tasks Module - Task model helpers
+ * Central place for building task objects, shared by the app and importers
+ */
+
+import { validateTaskInput, sanitizeInput } from './validation.js';
+import { generateId, isValidId } from './ids.js';
+import { isValidDueDate, isValidDueTime } from './dates.js';
+import { isValidPriority } from './priorities.js';
+import { normalizeTags } from './tags.js';
+import { DEFAULT_LIST_ID, ALL_LISTS_ID, getTaskListId } from './lists.js';
+import { normalizeRecurrence, getNextDueDate } from './recurrence.js';
+import { isValidReminder, shiftReminder } from './reminders.js';
+
+/**
+ * Optional free-text fields, sanitized like the task text
+ */
+const OPTIONAL_TEXT_FIELDS = ['group'];
+
+/**
+ * Create a subtask (a checklist step inside a task)
+ * @param {string} text - Subtask text (validated by the caller)
+ * @param {Object} fields - Optional extra fields (id, completed, dates)
+ * @returns {Object} - Subtask object
+ */
+export const createSubtask = (text, fields = {}) => {
+    const createdAt = fields.createdAt || new Date().toISOString();
+    return {
+        ...fields,
+        id: isValidId(fields.id) ? fields.id : generateId(),
+        text: sanitizeInput(text),
+        completed: Boolean(fields.completed),
+        createdAt,
+        updatedAt: fields.updatedAt || createdAt
+    };
+};
+
+/**
+ * Normalize a stored or imported subtask list, dropping empty steps
+ * @param {*} subtasks - Raw subtasks
+ * @returns {Array} - Subtask objects
+ */
+const normalizeSubtasks = (subtasks) => {
+    if (!Array.isArray(subtasks)) return [];
+
+    return subtasks
+        .filter(subtask => subtask && typeof subtask === 'object')
+        .map(subtask => createSubtask(subtask.text, subtask))
+        .filter(subtask => subtask.text);
+};
+
+/**
+ * Count finished and total subtasks of a task
+ * @param {Object} task - Task object
+ * @returns {Object} - { done, total }
+ */
+export const getSubtaskProgress = (task) => {
+    const subtasks = task.subtasks || [];
+    return {
+        done: subtasks.filter(subtask => subtask.completed).length,
+        total: subtasks.length
+    };
+};
+
+/**
+ * Create a new task object
+ * @param {string} text - Task text (validated by the caller)
+ * @param {Object} fields - Optional extra fields (id, completed, dates, ...)
+ * @returns {Object} - Task object
+ */
+export const createTask = (text, fields = {}) => {
+    const createdAt = fields.createdAt || new Date().toISOString();
+    const task = {
+        ...fields,
+        id: isValidId(fields.id) ? fields.id : generateId(),
+        text: sanitizeInput(text),
+        completed: Boolean(fields.completed),
+        createdAt,
+        updatedAt: fields.updatedAt || createdAt
+    };
+
+    OPTIONAL_TEXT_FIELDS.forEach(field => {
+        const value = sanitizeInput(task[field]);
+        if (value) {
+            task[field] = value;
+        } else {
+            delete task[field];
+        }
+    });
+
+    // A due time only means something together with a due date
+    if (!isValidDueDate(task.dueDate)) {
+        delete task.dueDate;
+        delete task.dueTime;
+    } else if (!isValidDueTime(task.dueTime)) {
+        delete task.dueTime;
+    }
+
+    // Tasks without a priority omit the field
+    if (!isValidPriority(task.priority) || task.priority === 'none') {
+        delete task.priority;
+    }
+
+    const tags = normalizeTags(task.tags);
+    if (tags.length > 0) {
+        task.tags = tags;
+    } else {
+        delete task.tags;
+    }
+
+    const recurrence = normalizeRecurrence(task.recurrence);
+    if (recurrence) {
+        task.recurrence = recurrence;
+    } else {
+        delete task.recurrence;
+    }
+
+    if (isValidReminder(task.reminderAt)) {
+        task.reminderAt = new Date(task.reminderAt).toISOString();
+    } else {
+        delete task.reminderAt;
+    }
+
+    // Manual order; missing positions are assigned by normalizePositions
+    if (!Number.isFinite(task.position)) {
+        delete task.position;
+    }
+
+    // Tasks in the default list omit the field
+    if (getTaskListId(task) === DEFAULT_LIST_ID || task.listId === ALL_LISTS_ID) {
+        delete task.listId;
+    }
+
+    const subtasks = normalizeSubtasks(task.subtasks);
+    if (subtasks.length > 0) {
+        task.subtasks = subtasks;
+    } else {
+        delete task.subtasks;
+    }
+
+    return task;
+};
+
+/**
+ * Validate imported task candidates and build new tasks from them
+ * Every candidate goes through validateTaskInput, including duplicate
+ * detection against existing tasks of the target list and earlier
+ * candidates. A candidate carrying an ID that is already in use (in any
+ * list) is treated as a duplicate too.
+ * @param {Array<Object>} candidates - { line, values, error? } per source line
+ * @param {Array} existingTasks - Current tasks (for duplicate check)
+ * @param {Object} options - Import options
+ * @param {string} options.listId - List the new tasks are added to
+ * @returns {Object} - { tasks, rejected: [{ line, text, message }] }
+ */
+export const buildImportedTasks = (candidates, existingTasks = [], { listId = DEFAULT_LIST_ID } = {}) => {
+    const result = { tasks: [], rejected: [] };
+    const usedIds = new Set(existingTasks.map(task => task.id));
+    const listTasks = existingTasks.filter(task => getTaskListId(task) === listId);
+
+    candidates.forEach(({ line, values, error }) => {
+        const text = values.text || '';
+
+        if (error) {
+            result.rejected.push({ line, text, message: error });
+            return;
+        }
+
+        if (values.id && usedIds.has(values.id)) {
+            result.rejected.push({ line, text, message: 'This task already exists' });
+            return;
+        }
+
+        const validation = validateTaskInput(text, [...listTasks, ...result.tasks]);
+        if (!validation.isValid) {
+            result.rejected.push({ line, text, message: validation.errors[0].message });
+            return;
+        }
+
+        const task = createTask(validation.cleaned, { ...values, listId });
+        usedIds.add(task.id);
+        result.tasks.push(task);
+    });
+
+    return result;
+};
+
+/**
+ * Set or clear a task's due date and time in place
+ * @param {Object} task - Task to update
+ * @param {Object} due - { dueDate, dueTime }; empty values clear the field
+ * @returns {boolean} - Whether anything changed
+ */
+export const setDueDate = (task, { dueDate = null, dueTime = null } = {}) => {
+    const nextDate = isValidDueDate(dueDate) ? dueDate : null;
+    const nextTime = nextDate && isValidDueTime(dueTime) ? dueTime : null;
+
+    if ((task.dueDate || null) === nextDate && (task.dueTime || null) === nextTime) {
+        return false;
+    }
+
+    delete task.dueDate;
+    delete task.dueTime;
+    if (nextDate) task.dueDate = nextDate;
+    if (nextTime) task.dueTime = nextTime;
+    return true;
+};
+
+/**
+ * Set or clear a task's priority in place
+ * @param {Object} task - Task to update
+ * @param {string} priority - Priority key; 'none' or unknown values clear it
+ * @returns {boolean} - Whether anything changed
+ */
+export const setPriority = (task, priority) => {
+    const next = isValidPriority(priority) && priority !== 'none' ? priority : null;
+    if ((task.priority || null) === next) return false;
+
+    delete task.priority;
+    if (next) task.priority = next;
+    return true;
+};
+
+/**
+ * Replace a task's tags in place
+ * @param {Object} task - Task to update
+ * @param {Array<string>} tags - New tags; an empty list removes them
+ * @returns {boolean} - Whether anything changed
+ */
+export const setTags = (task, tags) => {
+    const next = normalizeTags(tags);
+    const current = task.tags || [];
+    if (next.length === current.length && next.every((tag, index) => tag === current[index])) {
+        return false;
+    }
+
+    delete task.tags;
+    if (next.length > 0) task.tags = next;
+    return true;
+};
+
+/**
+ * Move a task to another list in place
+ * @param {Object} task - Task to update
+ * @param {string} listId - Target list ID
+ * @returns {boolean} - Whether anything changed
+ */
+export const setList = (task, listId) => {
+    if (getTaskListId(task) === getTaskListId({ listId })) return false;
+
+    delete task.listId;
+    if (getTaskListId({ listId }) !== DEFAULT_LIST_ID) task.listId = listId;
+    return true;
+};
+
+/**
+ * Set or clear a task's recurrence rule in place
+ * @param {Object} task - Task to update
+ * @param {Object|null} rule - New rule; null or an invalid rule clears it
+ * @returns {boolean} - Whether anything changed
+ */
+export const setRecurrence = (task, rule) => {
+    const next = normalizeRecurrence(rule);
+    if (JSON.stringify(normalizeRecurrence(task.recurrence)) === JSON.stringify(next)) return false;
+
+    delete task.recurrence;
+    if (next) task.recurrence = next;
+    return true;
+};
+
+/**
+ * Set or clear a task's reminder in place
+ * @param {Object} task - Task to update
+ * @param {string|null} reminderAt - ISO time; empty or invalid values clear it
+ * @returns {boolean} - Whether anything changed
+ */
+export const setReminder = (task, reminderAt) => {
+    const next = isValidReminder(reminderAt) ? new Date(reminderAt).toISOString() : null;
+    if ((task.reminderAt || null) === next) return false;
+
+    delete task.reminderAt;
+    if (next) task.reminderAt = next;
+    return true;
+};
+
+/**
+ * Build the next occurrence of a recurring task that was just completed
+ * The new task takes over the rule and the task's details with a fresh
+ * ID, open subtasks and the next due date; a reminder that has not fired
+ * moves along with the due date. The completed task stays as history,
+ * so the caller removes the rule from it
+ * @param {Object} task - Completed recurring task
+ * @param {Date} completedAt - Completion time
+ * @returns {Object|null} - New task, or null if the task does not recur
+ */
+export const createNextOccurrence = (task, completedAt = new Date()) => {
+    const dueDate = getNextDueDate(task.recurrence, task.dueDate, completedAt);
+    if (!dueDate) return null;
+
+    const { id, completed, createdAt, updatedAt, subtasks, reminderAt, ...fields } = task;
+    return createTask(task.text, {
+        ...fields,
+        dueDate,
+        reminderAt: shiftReminder(reminderAt, task.dueDate, dueDate),
+        subtasks: (subtasks || []).map(subtask => ({ text: subtask.text })),
+        createdAt: completedAt.toISOString()
+    });
+};
+
+/**
+ * Mark every subtask of a task complete or active in place
+ * @param {Object} task - Task to update
+ * @param {boolean} completed - New completion state
+ * @param {Date} changedAt - Time of the change
+ * @returns {number} - Number of subtasks changed
+ */
+export const setSubtasksCompleted = (task, completed, changedAt = new Date()) => {
+    const now = changedAt.toISOString();
+    let changed = 0;
+
+    (task.subtasks || []).forEach(subtask => {
+        if (subtask.completed === completed) return;
+
+        subtask.completed = completed;
+        subtask.updatedAt = now;
+        changed++;
+    });
+
+    return changed;
+};
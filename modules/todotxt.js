@@ -0,0 +1,199 @@
+/**
+ * todo.txt Module - Parser and serializer for the todo.txt format
+ * `+project` and `@context` tokens stay in the task text, #hashtags
+ * become tags; priorities A-D, `due:` and `recur:` (a repeat rule in its
+ * compact form) map to task fields, and other `key:value` extensions are
+ * kept in the task's `extensions` object so they survive a round trip
+ */
+
+import { buildImportedTasks } from './tasks.js';
+import { toLocalDateString, isValidDueDate } from './dates.js';
+import { splitTodoTxtPriority, priorityFromTodoTxt, priorityToTodoTxt } from './priorities.js';
+import { extractTags, appendTags } from './tags.js';
+import { formatRecurrence, parseRecurrence } from './recurrence.js';
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const PRIORITY_PATTERN = /^\(([A-Z])\)$/;
+const EXTENSION_PATTERN = /^([^\s:]+):([^\s:]+)$/;
+const PRIORITY_EXTENSION = 'pri';
+const DUE_EXTENSION = 'due';
+// Not `rec:`, which other tools use with a different syntax
+const RECURRENCE_EXTENSION = 'recur';
+
+/**
+ * Parse a todo.txt date as local midnight
+ * @param {string} value - Date token (YYYY-MM-DD)
+ * @returns {string|null} - ISO date string, or null if not a real date
+ */
+const parseDate = (value) => {
+    const match = value.match(DATE_PATTERN);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    const isRealDate = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+
+    return isRealDate ? date.toISOString() : null;
+};
+
+/**
+ * Format an ISO date string as a local todo.txt date
+ * @param {string} isoString - ISO date string
+ * @returns {string} - YYYY-MM-DD
+ */
+const formatDate = (isoString) => toLocalDateString(new Date(isoString));
+
+/**
+ * Parse a single todo.txt line
+ * Completed lines start with `x`, followed by optional completion and
+ * creation dates. Active lines may start with an `(A)` priority followed
+ * by an optional creation date.
+ * @param {string} lineText - Raw line
+ * @returns {Object} - { text, completed, createdAt, completedAt, extensions }
+ */
+export const parseTodoTxtLine = (lineText) => {
+    const tokens = lineText.trim().split(/\s+/);
+    const extensions = {};
+    let completed = false;
+    let completedAt = null;
+    let createdAt = null;
+
+    if (tokens[0] === 'x') {
+        completed = true;
+        tokens.shift();
+    }
+
+    // Some tools keep the priority on completed lines, so accept it either way
+    if (tokens.length > 0 && PRIORITY_PATTERN.test(tokens[0])) {
+        extensions[PRIORITY_EXTENSION] = tokens.shift().match(PRIORITY_PATTERN)[1];
+    }
+
+    if (completed && tokens.length > 0 && parseDate(tokens[0])) {
+        completedAt = parseDate(tokens.shift());
+    }
+
+    if (tokens.length > 0 && parseDate(tokens[0])) {
+        createdAt = parseDate(tokens.shift());
+    }
+
+    const words = tokens.filter(token => {
+        const match = token.match(EXTENSION_PATTERN);
+        // Leave URLs such as https://example.com in the text
+        if (!match || match[2].startsWith('//')) return true;
+
+        extensions[match[1]] = match[2];
+        return false;
+    });
+
+    return {
+        text: words.join(' '),
+        completed,
+        createdAt,
+        completedAt,
+        extensions
+    };
+};
+
+/**
+ * Parse a todo.txt document
+ * @param {string} text - todo.txt contents
+ * @returns {Array<Object>} - Parsed lines with their 1-based line number
+ */
+export const parseTodoTxt = (text) =>
+    String(text || '')
+        .split(/\r?\n/)
+        .map((lineText, index) => ({ line: index + 1, lineText }))
+        .filter(({ lineText }) => lineText.trim())
+        .map(({ line, lineText }) => ({ line, ...parseTodoTxtLine(lineText) }));
+
+/**
+ * Turn parsed todo.txt lines into new tasks
+ * The completion date becomes `updatedAt`, as tasks have no separate
+ * completion timestamp
+ * @param {Array<Object>} entries - Entries from parseTodoTxt
+ * @param {Array} existingTasks - Current tasks (for duplicate check)
+ * @param {Object} options - Import options passed to buildImportedTasks (listId)
+ * @returns {Object} - { tasks, rejected: [{ line, text, message }] }
+ */
+export const todoTxtEntriesToTasks = (entries, existingTasks = [], options = {}) => {
+    const candidates = entries.map(({ line, text, completed, createdAt, completedAt, extensions: parsed }) => {
+        const { priority, extensions } = splitTodoTxtPriority(parsed);
+        const remaining = { ...extensions };
+        const values = {
+            ...extractTags(text),
+            completed,
+            createdAt: createdAt || completedAt,
+            updatedAt: completedAt,
+            priority
+        };
+
+        // Unreadable `due:` values stay plain extensions
+        if (isValidDueDate(extensions[DUE_EXTENSION])) {
+            values.dueDate = extensions[DUE_EXTENSION];
+            delete remaining[DUE_EXTENSION];
+        }
+
+        const recurrence = parseRecurrence(extensions[RECURRENCE_EXTENSION]);
+        if (recurrence) {
+            values.recurrence = recurrence;
+            delete remaining[RECURRENCE_EXTENSION];
+        }
+
+        if (Object.keys(remaining).length > 0) {
+            values.extensions = remaining;
+        }
+
+        return { line, values };
+    });
+
+    return buildImportedTasks(candidates, existingTasks, options);
+};
+
+/**
+ * Serialize a task as a todo.txt line
+ * @param {Object} task - Task to serialize
+ * @returns {string} - todo.txt line
+ */
+export const taskToTodoTxtLine = (task) => {
+    const { [PRIORITY_EXTENSION]: letter, ...extensions } = task.extensions || {};
+    // Keep an imported E-Z letter as long as the task's level still matches it
+    const priority = letter && priorityFromTodoTxt(letter) === (task.priority || 'none')
+        ? letter
+        : priorityToTodoTxt(task.priority);
+    const parts = [];
+
+    if (task.completed) {
+        parts.push('x', formatDate(task.updatedAt), formatDate(task.createdAt));
+    } else {
+        if (priority) parts.push(`(${priority})`);
+        parts.push(formatDate(task.createdAt));
+    }
+
+    parts.push(appendTags(task.text, task.tags));
+
+    // Completed lines carry the priority as a `pri:` extension
+    if (task.completed && priority) {
+        parts.push(`${PRIORITY_EXTENSION}:${priority}`);
+    }
+
+    if (task.dueDate) {
+        parts.push(`${DUE_EXTENSION}:${task.dueDate}`);
+    }
+
+    if (task.recurrence) {
+        parts.push(`${RECURRENCE_EXTENSION}:${formatRecurrence(task.recurrence)}`);
+        delete extensions[RECURRENCE_EXTENSION];
+    }
+
+    Object.entries(extensions).forEach(([key, value]) => parts.push(`${key}:${value}`));
+
+    return parts.join(' ');
+};
+
+/**
+ * Serialize tasks as a todo.txt document
+ * @param {Array} tasks - Tasks to export
+ * @returns {string} - todo.txt contents
+ */
+export const tasksToTodoTxt = (tasks) =>
+    tasks.map(taskToTodoTxtLine).join('\n') + (tasks.length > 0 ? '\n' : '');
@@ -3,6 +3,11 @@
  * Provides comprehensive validation with user-friendly error messages
  */
 
+import { CURRENT_SCHEMA_VERSION, compareVersions } from './migrations.js';
+import { isValidDueDate, isValidDueTime } from './dates.js';
+import { normalizeRecurrence } from './recurrence.js';
+import { parseSearchQuery, isEmptySearch } from './search.js';
+
 /**
  * Validation error class for structured error handling
  */
@@ -24,6 +29,13 @@ const VALIDATION_RULES = {
         maxLength: 200,
         required: true,
         allowedChars: /^[a-zA-Z0-9\s\-.,!?()[\]{}:;"'@#$%^&*+=_~`|\\/<>\u00C0-\u024F\u1E00-\u1EFF]*$/
+    },
+    list: {
+        maxLength: 50
+    },
+    view: {
+        maxLength: 30,
+        maxQueryLength: 200
     }
 };
 
@@ -37,7 +49,28 @@ const ERROR_MESSAGES = {
     INVALID_CHARS: 'Task contains invalid characters',
     WHITESPACE_ONLY: 'Task cannot contain only whitespace',
     DUPLICATE: 'This task already exists',
-    EMPTY_AFTER_TRIM: 'Task cannot be empty after removing extra spaces'
+    EMPTY_AFTER_TRIM: 'Task cannot be empty after removing extra spaces',
+    INVALID_BACKUP: 'This file is not a TaskFlow Lite backup',
+    MISSING_TASKS: 'Backup does not contain a task list',
+    MISSING_VERSION: 'Backup does not declare a schema version',
+    UNSUPPORTED_VERSION: 'Backup was created by a newer version of TaskFlow Lite ({version})',
+    INVALID_DUE_DATE: 'Due date is not a valid date',
+    INVALID_DUE_TIME: 'Due time must be in HH:MM format',
+    TIME_WITHOUT_DATE: 'Choose a due date for the due time',
+    LIST_NAME_REQUIRED: 'List name is required',
+    LIST_NAME_TOO_LONG: 'List name cannot exceed {max} characters',
+    DUPLICATE_LIST: 'A list with this name already exists',
+    VIEW_NAME_REQUIRED: 'View name is required',
+    VIEW_NAME_TOO_LONG: 'View name cannot exceed {max} characters',
+    DUPLICATE_VIEW: 'A view with this name already exists',
+    VIEW_QUERY_REQUIRED: 'Describe which tasks the view shows, e.g. is:active updated:>14d',
+    VIEW_QUERY_TOO_LONG: 'View search cannot exceed {max} characters',
+    INVALID_RECURRENCE: 'Repeat rule is not valid',
+    RECURRENCE_DAYS_REQUIRED: 'Choose at least one day to repeat on',
+    RECURRENCE_DAY_RANGE: 'Day of the month must be between 1 and 31',
+    RECURRENCE_INTERVAL_RANGE: 'Repeat interval must be between 1 and 365 days',
+    INVALID_REMINDER: 'Reminder is not a valid date and time',
+    REMINDER_IN_PAST: 'Reminder time must be in the future'
 };
 
 /**
@@ -105,10 +138,11 @@ export const validateTaskInput = (input, existingTasks = []) => {
             });
         }
 
-        // Duplicate check
+        // Duplicate check (completed tasks are history, e.g. past occurrences
+        // of a recurring task, so they may share text with an open task)
         if (existingTasks && existingTasks.length > 0) {
             const isDuplicate = existingTasks.some(task => 
-                task.text.toLowerCase().trim() === value.toLowerCase()
+                !task.completed && task.text.toLowerCase().trim() === value.toLowerCase()
             );
             
             if (isDuplicate) {
@@ -162,9 +196,10 @@ export const validateTaskInput = (input, existingTasks = []) => {
  * Real-time validation for input fields
  * @param {HTMLInputElement} inputElement - Input element to validate
  * @param {Array} existingTasks - Array of existing tasks
+ * @param {HTMLElement|null} errorContainer - Where to show the error (the new task form's by default)
  * @returns {Object} - Validation result
  */
-export const validateInputRealtime = (inputElement, existingTasks = []) => {
+export const validateInputRealtime = (inputElement, existingTasks = [], errorContainer = document.getElementById('input-error')) => {
     if (!inputElement) {
         throw new ValidationError('Input element is required');
     }
@@ -172,7 +207,7 @@ export const validateInputRealtime = (inputElement, existingTasks = []) => {
     const result = validateTaskInput(inputElement.value, existingTasks);
     
     // Update visual feedback
-    updateInputValidationUI(inputElement, result);
+    updateInputValidationUI(inputElement, result, errorContainer);
     
     return result;
 };
@@ -181,9 +216,9 @@ export const validateInputRealtime = (inputElement, existingTasks = []) => {
  * Update input validation UI with visual feedback
  * @param {HTMLInputElement} inputElement - Input element
  * @param {Object} validationResult - Validation result object
+ * @param {HTMLElement|null} errorContainer - Error message element
  */
-const updateInputValidationUI = (inputElement, validationResult) => {
-    const errorContainer = document.getElementById('input-error');
+const updateInputValidationUI = (inputElement, validationResult, errorContainer) => {
     const inputGroup = inputElement.closest('.input-group');
     
     // Reset states
@@ -212,7 +247,7 @@ const updateInputValidationUI = (inputElement, validationResult) => {
             
             // Add ARIA attributes for accessibility
             inputElement.setAttribute('aria-invalid', 'true');
-            inputElement.setAttribute('aria-describedby', 'input-error');
+            inputElement.setAttribute('aria-describedby', errorContainer.id);
         }
     } 
     // Show warnings
@@ -334,6 +369,64 @@ export const showValidationSuccess = (inputElement) => {
     }, 2000);
 };
 
+/**
+ * Validate the structure and schema version of a parsed backup file
+ * Individual tasks are checked later when the import is planned, so a
+ * few bad entries are skipped instead of rejecting the whole file
+ * @param {*} data - Parsed backup contents
+ * @returns {Object} - Validation result object
+ */
+export const validateBackupData = (data) => {
+    const result = {
+        isValid: false,
+        errors: [],
+        warnings: [],
+        version: null
+    };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        result.errors.push({
+            type: 'INVALID_BACKUP',
+            message: ERROR_MESSAGES.INVALID_BACKUP,
+            field: 'backup'
+        });
+        return result;
+    }
+
+    if (typeof data.version !== 'string' || !/^\d+(\.\d+)*$/.test(data.version)) {
+        result.errors.push({
+            type: 'MISSING_VERSION',
+            message: ERROR_MESSAGES.MISSING_VERSION,
+            field: 'version'
+        });
+    } else if (compareVersions(data.version, CURRENT_SCHEMA_VERSION) > 0) {
+        result.errors.push({
+            type: 'UNSUPPORTED_VERSION',
+            message: ERROR_MESSAGES.UNSUPPORTED_VERSION.replace('{version}', data.version),
+            field: 'version'
+        });
+    } else if (compareVersions(data.version, CURRENT_SCHEMA_VERSION) < 0) {
+        result.warnings.push({
+            type: 'OLDER_VERSION',
+            message: `Backup will be upgraded from version ${data.version}`,
+            field: 'version'
+        });
+    }
+
+    if (!Array.isArray(data.tasks)) {
+        result.errors.push({
+            type: 'MISSING_TASKS',
+            message: ERROR_MESSAGES.MISSING_TASKS,
+            field: 'tasks'
+        });
+    }
+
+    result.version = data.version || null;
+    result.isValid = result.errors.length === 0;
+
+    return result;
+};
+
 /**
  * Get validation rules for a specific field
  * @param {string} fieldName - Name of the field
@@ -345,3 +438,239 @@ export const getValidationRules = (fieldName) => {
 
 // Export ValidationError class for external error handling
 export { ValidationError };
+
+/**
+ * Validate an optional due date and time
+ * Both may be empty; a time on its own is rejected
+ * @param {string} dueDate - Due date (YYYY-MM-DD) or empty
+ * @param {string} dueTime - Due time (HH:MM) or empty
+ * @returns {Object} - Validation result with cleaned { dueDate, dueTime }
+ */
+export const validateDueDate = (dueDate, dueTime) => {
+    const result = {
+        isValid: false,
+        errors: [],
+        cleaned: { dueDate: null, dueTime: null }
+    };
+
+    const date = String(dueDate || '').trim();
+    const time = String(dueTime || '').trim();
+
+    if (date && !isValidDueDate(date)) {
+        result.errors.push({
+            type: 'INVALID_DUE_DATE',
+            message: ERROR_MESSAGES.INVALID_DUE_DATE,
+            field: 'dueDate'
+        });
+    }
+
+    if (time && !isValidDueTime(time)) {
+        result.errors.push({
+            type: 'INVALID_DUE_TIME',
+            message: ERROR_MESSAGES.INVALID_DUE_TIME,
+            field: 'dueTime'
+        });
+    } else if (time && !date) {
+        result.errors.push({
+            type: 'TIME_WITHOUT_DATE',
+            message: ERROR_MESSAGES.TIME_WITHOUT_DATE,
+            field: 'dueTime'
+        });
+    }
+
+    result.cleaned = { dueDate: date || null, dueTime: time || null };
+    result.isValid = result.errors.length === 0;
+
+    return result;
+};
+
+/**
+ * Validate a list name
+ * @param {string} name - List name as typed
+ * @param {Array} lists - Existing lists (for duplicate check)
+ * @param {string|null} listId - ID of the list being renamed, if any
+ * @returns {Object} - { isValid, errors, cleaned }
+ */
+export const validateListName = (name, lists = [], listId = null) => {
+    const result = {
+        isValid: false,
+        errors: [],
+        cleaned: ''
+    };
+
+    const value = sanitizeInput(name);
+    const rules = VALIDATION_RULES.list;
+
+    if (!value) {
+        result.errors.push({
+            type: 'LIST_NAME_REQUIRED',
+            message: ERROR_MESSAGES.LIST_NAME_REQUIRED,
+            field: 'list'
+        });
+    } else if (value.length > rules.maxLength) {
+        result.errors.push({
+            type: 'LIST_NAME_TOO_LONG',
+            message: ERROR_MESSAGES.LIST_NAME_TOO_LONG.replace('{max}', rules.maxLength),
+            field: 'list'
+        });
+    } else if (lists.some(list => list.id !== listId && list.name.toLowerCase() === value.toLowerCase())) {
+        result.errors.push({
+            type: 'DUPLICATE_LIST',
+            message: ERROR_MESSAGES.DUPLICATE_LIST,
+            field: 'list'
+        });
+    }
+
+    result.cleaned = value;
+    result.isValid = result.errors.length === 0;
+
+    return result;
+};
+
+/**
+ * Validate a saved view from the view editor
+ * The search keeps < and >, which the query language uses for comparisons
+ * @param {Object} values - { name, query } as typed
+ * @param {Array} views - Existing views (for duplicate check)
+ * @param {string|null} viewId - ID of the view being edited, if any
+ * @returns {Object} - { isValid, errors, cleaned: { name, query } }
+ */
+export const validateView = ({ name = '', query = '' } = {}, views = [], viewId = null) => {
+    const result = {
+        isValid: false,
+        errors: [],
+        cleaned: null
+    };
+
+    const cleanedName = sanitizeInput(name);
+    const cleanedQuery = String(query || '').replace(/\s+/g, ' ').trim();
+    const rules = VALIDATION_RULES.view;
+
+    if (!cleanedName) {
+        result.errors.push({
+            type: 'VIEW_NAME_REQUIRED',
+            message: ERROR_MESSAGES.VIEW_NAME_REQUIRED,
+            field: 'name'
+        });
+    } else if (cleanedName.length > rules.maxLength) {
+        result.errors.push({
+            type: 'VIEW_NAME_TOO_LONG',
+            message: ERROR_MESSAGES.VIEW_NAME_TOO_LONG.replace('{max}', rules.maxLength),
+            field: 'name'
+        });
+    } else if (views.some(view => view.id !== viewId && view.name.toLowerCase() === cleanedName.toLowerCase())) {
+        result.errors.push({
+            type: 'DUPLICATE_VIEW',
+            message: ERROR_MESSAGES.DUPLICATE_VIEW,
+            field: 'name'
+        });
+    }
+
+    if (isEmptySearch(parseSearchQuery(cleanedQuery))) {
+        result.errors.push({
+            type: 'VIEW_QUERY_REQUIRED',
+            message: ERROR_MESSAGES.VIEW_QUERY_REQUIRED,
+            field: 'query'
+        });
+    } else if (cleanedQuery.length > rules.maxQueryLength) {
+        result.errors.push({
+            type: 'VIEW_QUERY_TOO_LONG',
+            message: ERROR_MESSAGES.VIEW_QUERY_TOO_LONG.replace('{max}', rules.maxQueryLength),
+            field: 'query'
+        });
+    }
+
+    result.cleaned = { name: cleanedName, query: cleanedQuery };
+    result.isValid = result.errors.length === 0;
+
+    return result;
+};
+
+/**
+ * Validate recurrence values from the task editor
+ * @param {Object} values - { type, days, day, interval } as entered
+ * @returns {Object} - { isValid, errors, cleaned: rule or null for no repeat }
+ */
+export const validateRecurrence = ({ type = 'none', days = [], day = '', interval = '' } = {}) => {
+    const result = {
+        isValid: false,
+        errors: [],
+        cleaned: null
+    };
+
+    if (!type || type === 'none') {
+        result.isValid = true;
+        return result;
+    }
+
+    const rule = normalizeRecurrence({ type, days, day: Number(day), interval: Number(interval) });
+    if (!rule) {
+        const errorTypes = {
+            weekly: 'RECURRENCE_DAYS_REQUIRED',
+            monthly: 'RECURRENCE_DAY_RANGE',
+            afterCompletion: 'RECURRENCE_INTERVAL_RANGE'
+        };
+        const errorType = errorTypes[type] || 'INVALID_RECURRENCE';
+        result.errors.push({
+            type: errorType,
+            message: ERROR_MESSAGES[errorType],
+            field: 'recurrence'
+        });
+        return result;
+    }
+
+    result.cleaned = rule;
+    result.isValid = true;
+
+    return result;
+};
+
+/**
+ * Validate a reminder time from the task editor
+ * A time in the past is only accepted when it is the current reminder,
+ * so editing other fields of a task never fails on its reminder
+ * @param {string} value - Local date and time (YYYY-MM-DDTHH:MM) or empty
+ * @param {number} now - Current time in milliseconds
+ * @param {string|null} current - Reminder the task has now (ISO)
+ * @returns {Object} - { isValid, errors, cleaned: ISO time or null }
+ */
+export const validateReminder = (value, now = Date.now(), current = null) => {
+    const result = {
+        isValid: false,
+        errors: [],
+        cleaned: null
+    };
+
+    const input = String(value || '').trim();
+    if (!input) {
+        result.isValid = true;
+        return result;
+    }
+
+    // Without a zone, Date reads YYYY-MM-DDTHH:MM as local time
+    const date = new Date(input);
+    if (Number.isNaN(date.getTime())) {
+        result.errors.push({
+            type: 'INVALID_REMINDER',
+            message: ERROR_MESSAGES.INVALID_REMINDER,
+            field: 'reminder'
+        });
+        return result;
+    }
+
+    const cleaned = date.toISOString();
+    const isCurrent = current && Math.floor(Date.parse(current) / 60000) === Math.floor(date.getTime() / 60000);
+    if (!isCurrent && date.getTime() <= now) {
+        result.errors.push({
+            type: 'REMINDER_IN_PAST',
+            message: ERROR_MESSAGES.REMINDER_IN_PAST,
+            field: 'reminder'
+        });
+        return result;
+    }
+
+    result.cleaned = isCurrent ? current : cleaned;
+    result.isValid = true;
+
+    return result;
+};
@@ -0,0 +1,92 @@
+/**
+ * Views Module - Saved smart views
+ * A view is a named search (in the search box's query language, e.g.
+ * "is:active updated:>14d") with its own sort order. Views are kept in
+ * the settings and show as extra filter tabs; the active view is stored
+ * as the filter `view:<id>`.
+ */
+
+import { generateId, isValidId } from './ids.js';
+import { getDefaultSortOrder } from './sorting.js';
+
+const VIEW_FILTER_PREFIX = 'view:';
+
+/**
+ * Create a view object
+ * @param {string} name - View name (validated by the caller)
+ * @param {Object} fields - Optional fields (id, query, sortBy, sortOrder)
+ * @returns {Object} - View object
+ */
+export const createView = (name, fields = {}) => {
+    const sortBy = typeof fields.sortBy === 'string' && fields.sortBy ? fields.sortBy : 'createdAt';
+
+    return {
+        ...fields,
+        id: isValidId(fields.id) ? fields.id : generateId(),
+        name: String(name || '').trim(),
+        query: String(fields.query || '').trim(),
+        sortBy,
+        sortOrder: fields.sortOrder === 'asc' || fields.sortOrder === 'desc' ? fields.sortOrder : getDefaultSortOrder(sortBy)
+    };
+};
+
+/**
+ * Normalize stored views, dropping ones without a name or with an ID seen before
+ * @param {*} views - Raw views from the settings
+ * @returns {Array} - View objects in tab order
+ */
+export const normalizeViews = (views) => {
+    const seen = new Set();
+
+    return (Array.isArray(views) ? views : [])
+        .filter(view => view && typeof view === 'object')
+        .map(view => createView(view.name, view))
+        .filter(view => {
+            if (!view.name || seen.has(view.id)) return false;
+            seen.add(view.id);
+            return true;
+        });
+};
+
+/**
+ * Get the filter value that selects a view
+ * @param {Object} view - View
+ * @returns {string} - Filter value
+ */
+export const getViewFilter = (view) => `${VIEW_FILTER_PREFIX}${view.id}`;
+
+/**
+ * Check whether a filter value selects a view (rather than a built-in filter)
+ * @param {string} filter - Filter value
+ * @returns {boolean} - Whether the filter names a view
+ */
+export const isViewFilter = (filter) => typeof filter === 'string' && filter.startsWith(VIEW_FILTER_PREFIX);
+
+/**
+ * Find the view a filter value selects
+ * @param {Array} views - Views
+ * @param {string} filter - Filter value
+ * @returns {Object|null} - View, or null for the built-in filters and unknown views
+ */
+export const findView = (views, filter) => {
+    if (!isViewFilter(filter)) return null;
+
+    const id = filter.slice(VIEW_FILTER_PREFIX.length);
+    return views.find(view => view.id === id) || null;
+};
+
+/**
+ * Move a view to another tab position
+ * @param {Array} views - Views
+ * @param {string} viewId - View to move
+ * @param {number} index - New position (0 is first)
+ * @returns {Array} - Views in the new order
+ */
+export const moveView = (views, viewId, index) => {
+    const view = views.find(v => v.id === viewId);
+    if (!view) return views;
+
+    const rest = views.filter(v => v !== view);
+    const target = Math.min(Math.max(index, 0), rest.length);
+    return [...rest.slice(0, target), view, ...rest.slice(target)];
+};
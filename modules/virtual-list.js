@@ -0,0 +1,303 @@
+/**
+ * Virtual List Module - Keyed, windowed rendering for long lists
+ * Rows are matched to their items by key and only rebuilt when their
+ * markup changes, so unchanged rows keep their elements (with focus and
+ * anything typed into them). Lists longer than the threshold only render
+ * the rows near the viewport; spacers stand in for the rest, so the
+ * page keeps its height and scroll position. The page (window) is the
+ * scroll container.
+ */
+
+const DEFAULT_ROW_HEIGHT = 72;
+const DEFAULT_OVERSCAN = 10;
+const DEFAULT_THRESHOLD = 200;
+
+/**
+ * Build a row element from its markup
+ * @param {string} html - Markup with a single root element
+ * @returns {HTMLElement} - Row element
+ */
+const createRowElement = (html) => {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    return template.content.firstElementChild;
+};
+
+/**
+ * Create a spacer row that takes the place of rows that aren't rendered
+ * @returns {HTMLElement} - Hidden spacer
+ */
+const createSpacer = () => {
+    const spacer = document.createElement('li');
+    spacer.className = 'virtual-spacer';
+    spacer.setAttribute('aria-hidden', 'true');
+    spacer.style.display = 'none';
+    return spacer;
+};
+
+/**
+ * Show a spacer at a height, or hide it
+ * @param {HTMLElement} spacer - Spacer row
+ * @param {number} height - Height in pixels (0 or less hides it)
+ */
+const setSpacerHeight = (spacer, height) => {
+    spacer.style.display = height > 0 ? '' : 'none';
+    spacer.style.height = `${Math.max(height, 0)}px`;
+};
+
+/**
+ * Find the last offset at or above a position
+ * @param {Array<number>} offsets - Ascending row offsets
+ * @param {number} position - Position in pixels from the top of the list
+ * @returns {number} - Row index
+ */
+const findRowAt = (offsets, position) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (offsets[mid] <= position) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+};
+
+/**
+ * Describe where focus is inside the list, so it can be put back on the
+ * matching element if its row is rebuilt
+ * @param {Map} rows - Rendered rows by key
+ * @returns {Object|null} - { key, element, selector }, or null if focus is elsewhere
+ */
+const getFocusedRow = (rows) => {
+    const element = document.activeElement;
+    if (!element) return null;
+
+    for (const [key, row] of rows) {
+        if (row.element.contains(element)) {
+            const selector = element !== row.element && element.classList.length > 0
+                ? `.${element.classList[0]}`
+                : null;
+            return { key, element, selector };
+        }
+    }
+    return null;
+};
+
+/**
+ * Create a keyed, windowed renderer for a list element
+ * @param {HTMLElement} container - List element (its children are managed here)
+ * @param {Object} options - getKey(item), estimated rowHeight in pixels, rows
+ *   rendered beyond the viewport (overscan), and the item count above which
+ *   rows are windowed (threshold)
+ * @returns {Object} - { update(items, renderRow), refresh(remeasure), reveal(key) }
+ */
+export const createVirtualList = (container, options = {}) => {
+    const {
+        getKey = (item) => item.id,
+        rowHeight = DEFAULT_ROW_HEIGHT,
+        overscan = DEFAULT_OVERSCAN,
+        threshold = DEFAULT_THRESHOLD
+    } = options;
+
+    let items = [];
+    let keys = [];
+    let renderRow = () => '';
+    let range = { start: 0, end: 0 };
+    let gap = null;
+
+    // Rendered rows by key ({ html, className, element }) and measured heights (with the gap)
+    let rows = new Map();
+    const heights = new Map();
+    let measuredTotal = 0;
+
+    const topSpacer = createSpacer();
+    const bottomSpacer = createSpacer();
+
+    const getGap = () => {
+        if (gap === null) {
+            gap = parseFloat(getComputedStyle(container).rowGap) || 0;
+        }
+        return gap;
+    };
+
+    const getHeight = (key) => {
+        if (heights.has(key)) return heights.get(key);
+        // Unmeasured rows are guessed from the ones measured so far
+        return heights.size > 0 ? measuredTotal / heights.size : rowHeight + getGap();
+    };
+
+    const setHeight = (key, height) => {
+        measuredTotal += height - (heights.get(key) || 0);
+        heights.set(key, height);
+    };
+
+    const isWindowed = () => items.length > threshold;
+
+    /**
+     * Get the top of each row, plus the total height at the end
+     * @returns {Array<number>} - Offsets in pixels
+     */
+    const getOffsets = () => {
+        const offsets = new Array(keys.length + 1);
+        offsets[0] = 0;
+        keys.forEach((key, index) => {
+            offsets[index + 1] = offsets[index] + getHeight(key);
+        });
+        return offsets;
+    };
+
+    /**
+     * Work out which rows are near the viewport
+     * @param {Array<number>} offsets - Row offsets
+     * @returns {Object} - { start, end } row indexes (end is exclusive)
+     */
+    const getRange = (offsets) => {
+        if (!isWindowed()) return { start: 0, end: items.length };
+
+        const top = -container.getBoundingClientRect().top;
+        const bottom = top + window.innerHeight;
+        return {
+            start: Math.max(findRowAt(offsets, top) - overscan, 0),
+            end: Math.min(findRowAt(offsets, bottom) + 1 + overscan, items.length)
+        };
+    };
+
+    /**
+     * Render the rows in a range, reusing the ones whose markup is unchanged
+     * @param {Object} nextRange - { start, end } row indexes
+     * @param {Array<number>} offsets - Row offsets (for the spacers)
+     */
+    const draw = (nextRange, offsets) => {
+        const focused = getFocusedRow(rows);
+        const nextRows = new Map();
+        const elements = [];
+
+        for (let index = nextRange.start; index < nextRange.end; index++) {
+            const key = keys[index];
+            const html = renderRow(items[index]);
+            let row = rows.get(key);
+
+            if (row && row.html === html) {
+                // Drop classes added while it was shown (e.g. while dragging), and
+                // put back checkboxes that were clicked but not applied
+                if (row.element.className !== row.className) row.element.className = row.className;
+                row.element.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                    input.checked = input.defaultChecked;
+                });
+            } else {
+                const element = createRowElement(html);
+                row = { html, className: element.className, element };
+            }
+
+            row.element.setAttribute('aria-posinset', index + 1);
+            row.element.setAttribute('aria-setsize', items.length);
+            nextRows.set(key, row);
+            elements.push(row.element);
+        }
+
+        // Put the rows in order, moving only the ones out of place
+        const wanted = new Set([topSpacer, ...elements, bottomSpacer]);
+        [...container.children].forEach(child => {
+            if (!wanted.has(child)) child.remove();
+        });
+        let cursor = container.firstElementChild;
+        wanted.forEach(element => {
+            if (element === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                container.insertBefore(element, cursor);
+            }
+        });
+
+        rows = nextRows;
+        range = nextRange;
+
+        const rowGap = getGap();
+        setSpacerHeight(topSpacer, nextRange.start > 0 ? offsets[nextRange.start] - rowGap : 0);
+        setSpacerHeight(bottomSpacer, nextRange.end < items.length ? offsets[items.length] - offsets[nextRange.end] - rowGap : 0);
+
+        // Focus goes back where it was if its row was moved or rebuilt
+        if (focused && document.activeElement !== focused.element && rows.has(focused.key)) {
+            const element = rows.get(focused.key).element;
+            const target = focused.element.isConnected
+                ? focused.element
+                : (focused.selector && element.querySelector(focused.selector)) || element;
+            target.focus({ preventScroll: true });
+        }
+
+        if (isWindowed()) {
+            rows.forEach((row, key) => {
+                const height = row.element.offsetHeight;
+                if (height > 0) setHeight(key, height + rowGap);
+            });
+        }
+    };
+
+    return {
+        /**
+         * Show a new set of items
+         * @param {Array} nextItems - Items in display order
+         * @param {Function} nextRenderRow - Returns the markup for an item
+         */
+        update(nextItems, nextRenderRow) {
+            items = nextItems;
+            keys = items.map(getKey);
+            renderRow = nextRenderRow;
+
+            const offsets = getOffsets();
+            draw(getRange(offsets), offsets);
+        },
+
+        /**
+         * Render the rows for the current scroll position
+         * Nothing is redrawn if the same rows are still in view
+         * @param {boolean} remeasure - Forget measured heights (e.g. after a resize)
+         */
+        refresh(remeasure = false) {
+            if (remeasure) {
+                heights.clear();
+                measuredTotal = 0;
+                gap = null;
+            }
+
+            const offsets = getOffsets();
+            const nextRange = getRange(offsets);
+            if (remeasure || nextRange.start !== range.start || nextRange.end !== range.end) {
+                draw(nextRange, offsets);
+            }
+        },
+
+        /**
+         * Scroll an item's row into view, rendering it if needed
+         * @param {*} key - Item key
+         * @returns {HTMLElement|null} - Row element, or null if the item isn't shown
+         */
+        reveal(key) {
+            if (rows.has(key)) return rows.get(key).element;
+
+            const index = keys.indexOf(key);
+            if (index === -1) return null;
+
+            const offsets = getOffsets();
+            const listTop = container.getBoundingClientRect().top + window.scrollY;
+            const rowTop = listTop + offsets[index];
+            const rowBottom = listTop + offsets[index + 1] - getGap();
+            if (rowTop < window.scrollY) {
+                window.scrollTo(window.scrollX, rowTop);
+            } else if (rowBottom > window.scrollY + window.innerHeight) {
+                window.scrollTo(window.scrollX, rowBottom - window.innerHeight);
+            }
+
+            // Without layout (or before the scroll applies) the range is built around the row
+            let nextRange = getRange(offsets);
+            if (index < nextRange.start || index >= nextRange.end) {
+                nextRange = { start: Math.max(index - overscan, 0), end: Math.min(index + 1 + overscan, items.length) };
+            }
+            draw(nextRange, offsets);
+            return rows.has(key) ? rows.get(key).element : null;
+        }
+    };
+};
@@ -11,11 +11,36 @@ const STATIC_CACHE_URLS = [
     '/styles/main.css',
     '/styles/utilities.css',
     '/modules/storage.js',
+    '/modules/storage-adapters.js',
+    '/modules/migrations.js',
+    '/modules/ids.js',
+    '/modules/dates.js',
+    '/modules/priorities.js',
+    '/modules/tags.js',
+    '/modules/lists.js',
+    '/modules/recurrence.js',
+    '/modules/reminders.js',
+    '/modules/history.js',
+    '/modules/sorting.js',
+    '/modules/search.js',
+    '/modules/views.js',
+    '/modules/commands.js',
+    '/modules/csv.js',
+    '/modules/markdown.js',
+    '/modules/ical.js',
+    '/modules/todotxt.js',
+    '/modules/tasks.js',
+    '/modules/virtual-list.js',
     '/modules/render.js',
+    '/modules/benchmark.js',
+    '/modules/sync.js',
     '/modules/validation.js',
     'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'
 ];
 
+// Notification actions offered on task reminders
+const REMINDER_ACTIONS = ['complete', 'snooze'];
+
 // Install event - cache static assets
 self.addEventListener('install', (event) => {
     console.log('Service Worker: Installing...');
@@ -159,13 +184,40 @@ self.addEventListener('notificationclick', (event) => {
     
     event.notification.close();
 
-    if (event.action === 'view') {
+    const { taskId } = event.notification.data || {};
+    if (taskId) {
+        event.waitUntil(handleReminderClick(event.action, taskId));
+    } else if (event.action === 'view') {
         event.waitUntil(
             self.clients.openWindow('/')
         );
     }
 });
 
+// Task reminders: pass "Complete" and "Snooze" to the app, which owns the data
+async function handleReminderClick(action, taskId) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find((windowClient) => windowClient.focused) || windows[0];
+
+    if (REMINDER_ACTIONS.includes(action)) {
+        if (client) {
+            client.postMessage({ type: 'reminder-action', action, taskId });
+            return;
+        }
+
+        // No window is open: the app applies the action from the URL on load
+        await self.clients.openWindow(`/?reminder=${action}&task=${encodeURIComponent(taskId)}`);
+        return;
+    }
+
+    // Clicking the reminder itself brings the app to the front
+    if (client) {
+        await client.focus();
+    } else {
+        await self.clients.openWindow('/');
+    }
+}
+
 // Helper function for syncing pending tasks (future enhancement)
 async function syncPendingTasks() {
     try {